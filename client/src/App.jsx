@@ -14,6 +14,10 @@ import AdminRooms from './pages/admin/ListRooms'
 import AdminCity from './pages/admin/ListCities'
 import AdminUsers from './pages/admin/ListUsers'
 import AdminHotels from './pages/admin/ListHotels'
+import AdminAuditLog from './pages/admin/AuditLog'
+import AdminPromotions from './pages/admin/Promotions'
+import AdminTaxRules from './pages/admin/TaxRules'
+import AdminExchangeRates from './pages/admin/ExchangeRates'
 import HotelReg from './components/HotelReg'
 import { useAppContext } from './context/AppContext'
 import { Toaster } from 'react-hot-toast'
@@ -27,6 +31,12 @@ import SupportInbox from './pages/admin/SupportInbox'
 import Loader from './components/Loader'
 import Booking from './pages/admin/ListBookin'
 import BookingList from './pages/hotelOwner/ListBookin'
+import Staff from './pages/hotelOwner/Staff'
+import HotelSettings from './pages/hotelOwner/Settings'
+import RoomRates from './pages/hotelOwner/RoomRates'
+import Promotions from './pages/hotelOwner/Promotions'
+import AcceptInvite from './pages/AcceptInvite'
+import FindBooking from './pages/FindBooking'
 
 const App = () => {
   const isOwnerPath = useLocation().pathname.includes("owner");
@@ -51,13 +61,19 @@ const App = () => {
           <Route path="/hotels/rooms/:id" element={<AllRooms />} />
           <Route path="/rooms/:id" element={<RoomDetails />} />
           <Route path="my-bookings" element={<MyBookings />} />
+          <Route path="/find-booking" element={<FindBooking />} />
           <Route path="/loader/:nextUrl" element={<Loader />} />
+          <Route path="/staff/accept/:token" element={<AcceptInvite />} />
 
           <Route path="/owner" element={<Layout />}>
             <Route index element={<Dashboard />} />
             <Route path="add-room" element={<AddRoom />} />
             <Route path="list-room" element={<ListRoom />} />
+            <Route path="rates" element={<RoomRates />} />
+            <Route path="promotions" element={<Promotions />} />
             <Route path="bookings" element={<BookingList />} />
+            <Route path="staff" element={<Staff />} />
+            <Route path="settings" element={<HotelSettings />} />
           </Route>
 
           <Route path="/admin" element={<AdminLayout />}>
@@ -69,6 +85,10 @@ const App = () => {
             <Route path="support-inbox" element={<SupportInbox />} />
             <Route path="list-bookings" element={<Booking />} />
             <Route path="list-users" element={<AdminUsers />} />
+            <Route path="audit-log" element={<AdminAuditLog />} />
+            <Route path="promotions" element={<AdminPromotions />} />
+            <Route path="taxes" element={<AdminTaxRules />} />
+            <Route path="currencies" element={<AdminExchangeRates />} />
           </Route>
         </Routes>
       </div>
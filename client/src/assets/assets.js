@@ -95,30 +95,13 @@ export const cities = [
 ];
 
 
-const offerTitles = [
-  "Summer Escape Package",
-  "Romantic Getaway",
-  "Luxury Retreat",
-  "Family Adventure Deal",
-  "Weekend Relaxation Offer",
-];
-
-const offerDescriptions = [
-  "Enjoy a complimentary night and daily breakfast.",
-  "Special couples package including spa treatment.",
-  "Book early and save at our top luxury properties.",
-  "Create unforgettable memories with your loved ones.",
-  "Exclusive weekend offer with spa and dining benefits.",
-];
-
-const offerImages = [
+// Backgrounds for offer cards whose promotion has no image of its own
+export const offerImages = [
   exclusiveOfferCardImg1,
   exclusiveOfferCardImg2,
   exclusiveOfferCardImg3
 ];
 
-const offerExpiryDates = ["Aug 31", "Sep 15", "Sep 20", "Oct 05"];
-
 const testimonialNames = [
   "Emma Rodriguez",
   "Liam Johnson",
@@ -156,17 +139,6 @@ function randomItem(array) {
   return array[Math.floor(Math.random() * array.length)];
 }
 
-function generateExclusiveOffers(count = 3) {
-  return Array.from({ length: count }).map((_, i) => ({
-    _id: i + 1,
-    title: randomItem(offerTitles),
-    description: randomItem(offerDescriptions),
-    priceOff: Math.floor(Math.random() * 30) + 10, 
-    expiryDate: randomItem(offerExpiryDates),
-    image: randomItem(offerImages),
-  }));
-}
-
 function generateTestimonials(count = 3) {
   return Array.from({ length: count }).map((_, i) => ({
     id: i + 1,
@@ -179,7 +151,6 @@ function generateTestimonials(count = 3) {
 }
 
 
-export const exclusiveOffers = generateExclusiveOffers();
 export const testimonials = generateTestimonials();
 
 
@@ -199,3 +170,10 @@ export const roomCommonData = [
     { icon: assets.heartIcon, title: "Smooth Check-In", description: "100% of guests gave check-in a 5-star rating." },
 ];
 
+
+// Mirrors CANCELLATION_POLICIES on the server
+export const cancellationPolicies = {
+    flexible: { label: "Flexible", description: "Free cancellation until 24 hours before check-in. After that, 10% of the amount paid is kept." },
+    moderate: { label: "Moderate", description: "Free cancellation until 5 days before check-in. After that, 50% of the amount paid is kept." },
+    strict: { label: "Strict", description: "Free cancellation until 14 days before check-in. After that, the amount paid is non-refundable." },
+};
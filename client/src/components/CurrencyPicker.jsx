@@ -0,0 +1,28 @@
+import React from 'react'
+import { useAppContext } from '../context/AppContext'
+
+// Lets guests see prices in their own currency; bookings are still charged in
+// each hotel's currency
+const CurrencyPicker = ({ className = '' }) => {
+
+    const { exchangeRates, displayCurrency, setDisplayCurrency } = useAppContext()
+    const currencies = Object.keys(exchangeRates.rates).sort()
+
+    if (currencies.length < 2) return null
+
+    return (
+        <select
+            aria-label='Display currency'
+            value={displayCurrency}
+            onChange={(e) => setDisplayCurrency(e.target.value)}
+            className={`bg-transparent border border-white/60 text-white text-sm rounded-full px-3 py-1 cursor-pointer ${className}`}
+        >
+            <option value='' className='text-gray-800'>Hotel currency</option>
+            {currencies.map((code) => (
+                <option key={code} value={code} className='text-gray-800'>{code}</option>
+            ))}
+        </select>
+    )
+}
+
+export default CurrencyPicker
@@ -1,31 +1,56 @@
-import React from 'react'
+import React, { useEffect, useState } from 'react'
+import { useNavigate } from 'react-router-dom'
 import Title from './Title'
-import { assets } from '../assets/assets'
-import { exclusiveOffers } from '../assets/assets'
+import OfferBadge from './OfferBadge'
+import { assets, offerImages } from '../assets/assets'
+import { useAppContext } from '../context/AppContext'
 
 const ExclusiveOffers = () => {
+
+    const { axios } = useAppContext()
+    const navigate = useNavigate()
+    const [offers, setOffers] = useState([])
+
+    useEffect(() => {
+        const fetchOffers = async () => {
+            try {
+                const { data } = await axios.get('/api/promotions')
+                if (data.success) setOffers(data.offers)
+            } catch (error) {
+                console.error(error.message)
+            }
+        }
+        fetchOffers()
+    }, [])
+
+    // Only offers that are running right now are returned, so hide the section otherwise
+    if (!offers.length) return null
+
     return (
         <div className='flex flex-col items-center px-6 md:px-16 lg:px-24 xl:px-32 pt-20 pb-30'>
             <div className='flex flex-col md:flex-row items-center justify-between w-full '>
                 <Title align='left' title="Exclusive Offers" subTitle="Take advantage of our limited-time offers and special packages to enhance your stay and create unforgettable memories." />
-                <button className='group flex items-center gap-2 font-medium cursor-pointer max-md:mt-12'>
-                    View All Offers
+                <button onClick={() => { navigate('/hotels'); scrollTo(0, 0) }} className='group flex items-center gap-2 font-medium cursor-pointer max-md:mt-12'>
+                    View All Hotels
                     <img className='group-hover:translate-x-1 transition-all' src={assets.arrowIcon} alt="arrow-icon" />
                 </button>
             </div>
 
             <div className='grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 mt-12'>
-                {exclusiveOffers.map((item) => (
-                    <div key={item._id} className='group relative flex flex-col items-start justify-between gap-1 pt-12 md:pt-18 px-4 rounded-xl text-white bg-no-repeat bg-cover bg-center' style={{ backgroundImage: `url(${item.image})` }}>
-                        <p className='px-3 py-1 absolute top-4 left-4 text-xs bg-white text-gray-800 font-medium rounded-full'>
-                            {item.priceOff}% OFF
-                        </p>
+                {offers.map((item, index) => (
+                    <div key={item._id} className='group relative flex flex-col items-start justify-between gap-1 pt-12 md:pt-18 px-4 rounded-xl text-white bg-no-repeat bg-cover bg-center' style={{ backgroundImage: `url(${item.image || offerImages[index % offerImages.length]})` }}>
+                        <OfferBadge offer={item} className='absolute top-4 left-4 bg-white text-gray-800' />
                         <div>
                             <p className='text-2xl font-medium font-playfair'>{item.title}</p>
                             <p>{item.description}</p>
-                            <p className='text-xs text-white/70 mt-3'>Expires {item.expiryDate}</p>
+                            {item.hotels.length > 0 && (
+                                <p className='text-sm text-white/80 mt-1'>{item.hotels.map((h) => h.name).join(', ')}</p>
+                            )}
+                            <p className='text-xs text-white/70 mt-3'>
+                                Expires {new Date(item.endsAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}
+                            </p>
                         </div>
-                        <button className='flex items-center gap-2 font-medium cursor-pointer mt-4 mb-5'>
+                        <button onClick={() => { navigate('/hotels'); scrollTo(0, 0) }} className='flex items-center gap-2 font-medium cursor-pointer mt-4 mb-5'>
                             View Offers
                             <img className='invert group-hover:translate-x-1 transition-all' src={assets.arrowIcon} alt="arrow-icon" />
                         </button>
@@ -36,4 +61,4 @@ const ExclusiveOffers = () => {
     )
 }
 
-export default ExclusiveOffers
\ No newline at end of file
+export default ExclusiveOffers
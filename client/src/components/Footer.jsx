@@ -59,6 +59,7 @@ const Footer = () => {
                         <li><a href="/hotels">Hotels</a></li>
                         <li><a href="/experience">Experience</a></li>
                         <li><a href="/contact">Contact Us</a></li>
+                        <li><a href="/find-booking">Find My Booking</a></li>
                     </ul>
                 </div>
 
@@ -5,7 +5,7 @@ import { useNavigate } from "react-router-dom";
 
 
 const Hero = () => {
-  const { axios, rooms } = useAppContext();
+  const { axios, rooms, formatPrice } = useAppContext();
 
   const [destination, setDestination] = useState("");
   const [checkIn, setCheckIn] = useState("");
@@ -17,10 +17,28 @@ const Hero = () => {
   const [showPopup, setShowPopup] = useState(false);
   const [message, setMessage] = useState("");
 
-  // 📅 Limit calendar to current year
-  const currentYear = new Date().getFullYear();
-  const minDate = `${currentYear}-01-01`;
-  const maxDate = `${currentYear}-12-31`;
+  // 📅 Limit the calendar to what any room of the chosen type allows under its
+  // stay rules; arrival days are checked by the search itself
+  const toDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+  const addDays = (key, days) => {
+    const [y, m, d] = key.split("-").map(Number);
+    return toDateKey(new Date(y, m - 1, d + days));
+  };
+
+  const typeRules = rooms
+    .filter((r) => r.roomType === destination && r.stayRules)
+    .map((r) => r.stayRules);
+  const loosest = (pick, combine, fallback) =>
+    typeRules.length ? combine(...typeRules.map(pick)) : fallback;
+
+  const today = toDateKey(new Date());
+  const minDate = addDays(today, loosest((r) => r.minLeadDays, Math.min, 0));
+  const maxDate = addDays(today, loosest((r) => r.maxAdvanceDays, Math.max, 365));
+  const minNights = loosest((r) => r.minNights, Math.min, 1);
+  const maxNights = typeRules.every((r) => r.maxNights)
+    ? loosest((r) => r.maxNights, Math.max, null)
+    : null;
 
   const onSearch = async (e) => {
     e.preventDefault();
@@ -39,7 +57,7 @@ const Hero = () => {
       });
 
       if (!res.data.availableRooms.length) {
-        setMessage("❌ Room for selected dates is not available");
+        setMessage(`❌ ${res.data.message || "Room for selected dates is not available"}`);
         return;
       }
 
@@ -109,8 +127,8 @@ const Hero = () => {
           </label>
           <input
             type="date"
-            min={checkIn || minDate}
-            max={maxDate}
+            min={checkIn ? addDays(checkIn, minNights) : addDays(minDate, 1)}
+            max={checkIn && maxNights ? addDays(checkIn, maxNights) : undefined}
             value={checkOut}
             onChange={(e) => setCheckOut(e.target.value)}
             className="rounded border px-3 py-1.5 mt-1.5 text-sm outline-none"
@@ -167,7 +185,7 @@ const Hero = () => {
             <h3 className="text-lg font-semibold">{room.roomType}</h3>
 
             <p className="text-gray-700">
-              ₦{room.pricePerNight} <span className="text-sm">/ night</span>
+              {formatPrice(room.pricePerNight, room.hotel?.currency)} <span className="text-sm">/ night</span>
             </p>
 
             {/* AMENITIES */}
@@ -3,6 +3,7 @@ import { assets } from "../assets/assets";
 import { Link, NavLink, useLocation } from "react-router-dom";
 import { useClerk, UserButton } from "@clerk/clerk-react";
 import { useAppContext } from "../context/AppContext";
+import CurrencyPicker from "./CurrencyPicker";
 
 const BookIcon = () => (
     <svg className="w-4 h-4 text-gray-700" aria-hidden="true" xmlns="http://www.w3.org/2000/svg" width="24" height="24" fill="none" viewBox="0 0 24 24" >
@@ -24,7 +25,8 @@ const Navbar = () => {
     const location = useLocation();
 
     const { openSignIn } = useClerk()
-    const { user, setShowHotelReg, isOwner, navigate, isAdmin, isPending } = useAppContext()
+    const { user, setShowHotelReg, isOwner, isStaff, navigate, isAdmin, isPending } = useAppContext()
+    const hasDashboard = isOwner || isStaff
 
     
 
@@ -70,7 +72,7 @@ const Navbar = () => {
         >
             Admin Panel
         </button>
-    ) : isPending ? (
+    ) : (isPending && !hasDashboard) ? (
         <div
             className={`border px-4 py-1 text-sm font-light rounded-full cursor-pointer ${
                 isScrolled ? "text-white" : "text-white"
@@ -84,10 +86,10 @@ const Navbar = () => {
                 isScrolled ? "text-white" : "text-white"
             } transition-all`}
             onClick={() =>
-                isOwner ? navigate("/owner") : setShowHotelReg(true)
+                hasDashboard ? navigate("/owner") : setShowHotelReg(true)
             }
         >
-            {isOwner ? "Dashboard" : "List Your Hotel"}
+            {hasDashboard ? "Dashboard" : "List Your Hotel"}
         </button>
     )
 ) : (
@@ -99,6 +101,7 @@ const Navbar = () => {
             </div>
 
             <div className="hidden md:flex items-center gap-4">
+                <CurrencyPicker />
                 {user ? (
                     <UserButton >
                         <UserButton.MenuItems>
@@ -155,7 +158,7 @@ const Navbar = () => {
                         >
                             Admin Panel
                         </button>
-                    ) : isPending ? (
+                    ) : (isPending && !hasDashboard) ? (
                         <div className="border px-4 py-1 text-sm font-light rounded-full cursor-pointer text-white transition-all">
                             Pending Approval
                         </div>
@@ -163,11 +166,11 @@ const Navbar = () => {
                         <button
                             className="border px-4 py-1 text-sm font-light rounded-full cursor-pointer text-white transition-all"
                             onClick={() => {
-                                isOwner ? navigate("/owner") : setShowHotelReg(true);
+                                hasDashboard ? navigate("/owner") : setShowHotelReg(true);
                                 setIsMenuOpen(false);
                             }}
                         >
-                            {isOwner ? "Dashboard" : "List Your Hotel"}
+                            {hasDashboard ? "Dashboard" : "List Your Hotel"}
                         </button>
                     )
                 ) : null}
@@ -179,6 +182,8 @@ const Navbar = () => {
             </>
         )}
 
+        <CurrencyPicker />
+
         {/* Login Button for Non-User */}
         {!user && (
             <button
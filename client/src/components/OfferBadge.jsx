@@ -0,0 +1,19 @@
+import React from 'react'
+import { useAppContext } from '../context/AppContext'
+
+// "20% OFF" / "$50 OFF" for a promotion or a room's `offer` summary. Fixed
+// discounts are in the promotion's own currency.
+const OfferBadge = ({ offer, exact = false, className = '' }) => {
+
+    const { formatPrice } = useAppContext()
+
+    if (!offer) return null
+
+    return (
+        <p className={`text-xs font-inter py-1 px-3 font-medium rounded-full ${className}`}>
+            {offer.discountType === 'percent' ? `${offer.discountValue}%` : formatPrice(offer.discountValue, offer.currency, { exact })} OFF
+        </p>
+    )
+}
+
+export default OfferBadge
@@ -0,0 +1,40 @@
+import React from 'react'
+import { useAppContext } from '../context/AppContext'
+
+// Itemised price of a booking or quote, in the `currency` it is charged in.
+// Bookings made before prices were itemised have no breakdown, so only their
+// total is shown.
+const PriceBreakdown = ({ breakdown, total, currency, className = '' }) => {
+
+    const { formatPrice } = useAppContext()
+    const charged = (amount) => formatPrice(amount, currency, { exact: true })
+
+    if (!breakdown) return <p className={className}>Total: {charged(total)}</p>
+
+    const converted = formatPrice(breakdown.total, currency)
+
+    const lines = [
+        { name: 'Room', amount: breakdown.subtotal },
+        ...(breakdown.discount > 0 ? [{ name: 'Discount', amount: -breakdown.discount }] : []),
+        ...breakdown.taxes,
+        ...breakdown.fees,
+    ]
+
+    return (
+        <div className={`text-sm text-gray-500 ${className}`}>
+            {lines.map((line, index) => (
+                <div key={index} className='flex justify-between gap-6'>
+                    <span>{line.name}</span>
+                    <span>{charged(line.amount)}</span>
+                </div>
+            ))}
+            <div className='flex justify-between gap-6 font-medium text-gray-800 border-t border-gray-200 mt-1 pt-1'>
+                <span>Total</span>
+                <span>{charged(breakdown.total)}</span>
+            </div>
+            {converted !== charged(breakdown.total) && <p className='text-right text-xs text-gray-400'>{converted}</p>}
+        </div>
+    )
+}
+
+export default PriceBreakdown
@@ -0,0 +1,322 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { useAppContext } from '../context/AppContext'
+import OfferBadge from './OfferBadge'
+
+const emptyForm = {
+    title: '',
+    description: '',
+    discountType: 'percent',
+    discountValue: '',
+    currency: '',
+    startsAt: '',
+    endsAt: '',
+    hotels: [],
+    rooms: [],
+    code: '',
+    maxUses: '',
+}
+
+// Offer periods are edited as whole local days; the stored `endsAt` is the
+// start of the day after the last one
+const toDateInput = (date) => {
+    const d = new Date(date)
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+// Promotions list and editor shared by the owner and admin panels. Admins may
+// leave hotels empty to run a promotion across every hotel.
+const PromotionManager = ({ isAdmin = false }) => {
+
+    const { axios, getToken, user, ownerHotels, selectedHotel, rooms, exchangeRates } = useAppContext()
+
+    const [promotions, setPromotions] = useState([])
+    const [hotels, setHotels] = useState([])
+    const [form, setForm] = useState(emptyForm)
+    const [image, setImage] = useState(null)
+    const [editingId, setEditingId] = useState(null)
+    const [loading, setLoading] = useState(false)
+
+    const fetchPromotions = async () => {
+        try {
+            const { data } = await axios.get('/api/promotions/manage', {
+                params: isAdmin ? {} : { hotelId: selectedHotel },
+                headers: { Authorization: `Bearer ${await getToken()}` },
+            })
+            if (data.success) setPromotions(data.promotions)
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user) fetchPromotions()
+    }, [user, selectedHotel])
+
+    useEffect(() => {
+        const fetchHotels = async () => {
+            const { data } = await axios.get('/api/hotels')
+            if (data.success) setHotels(data.hotels)
+        }
+
+        if (isAdmin) fetchHotels()
+        else setHotels(ownerHotels.filter((h) => h.permissions?.includes('editRooms')))
+    }, [isAdmin, ownerHotels])
+
+    const eligibleRooms = rooms.filter((r) =>
+        form.hotels.length ? form.hotels.includes(r.hotel?._id) : hotels.some((h) => h._id === r.hotel?._id)
+    )
+
+    const toggle = (key, id) => {
+        setForm((prev) => ({
+            ...prev,
+            [key]: prev[key].includes(id) ? prev[key].filter((v) => v !== id) : [...prev[key], id],
+        }))
+    }
+
+    const resetForm = () => {
+        setForm(emptyForm)
+        setImage(null)
+        setEditingId(null)
+    }
+
+    const startEditing = (promotion) => {
+        setEditingId(promotion._id)
+        setImage(null)
+        setForm({
+            title: promotion.title,
+            description: promotion.description,
+            discountType: promotion.discountType,
+            discountValue: promotion.discountValue,
+            currency: promotion.currency || '',
+            startsAt: toDateInput(promotion.startsAt),
+            endsAt: toDateInput(new Date(promotion.endsAt).getTime() - 1),
+            hotels: promotion.hotels.map((h) => h._id),
+            rooms: promotion.rooms.map((r) => r._id),
+            code: promotion.code || '',
+            maxUses: promotion.maxUses || '',
+        })
+    }
+
+    const onSubmitHandler = async (e) => {
+        e.preventDefault()
+        if (!form.startsAt || !form.endsAt) {
+            toast.error('Choose when the promotion runs')
+            return
+        }
+        setLoading(true)
+        try {
+            const formData = new FormData()
+            Object.entries(form).forEach(([key, value]) => {
+                if (key === 'startsAt' || key === 'endsAt') return
+                formData.append(key, Array.isArray(value) ? value.join(',') : value)
+            })
+            const endsAt = new Date(`${form.endsAt}T00:00`)
+            endsAt.setDate(endsAt.getDate() + 1)
+            formData.append('startsAt', new Date(`${form.startsAt}T00:00`).toISOString())
+            formData.append('endsAt', endsAt.toISOString())
+            if (image) formData.append('image', image)
+
+            const headers = { Authorization: `Bearer ${await getToken()}` }
+            const { data } = editingId
+                ? await axios.put(`/api/promotions/manage/${editingId}`, formData, { headers })
+                : await axios.post('/api/promotions/manage', formData, { headers })
+
+            if (data.success) {
+                toast.success(data.message)
+                resetForm()
+                fetchPromotions()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const toggleActive = async (promotion) => {
+        try {
+            const { data } = await axios.put(`/api/promotions/manage/${promotion._id}`, { isActive: !promotion.isActive }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) fetchPromotions()
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const deletePromotion = async (promotion) => {
+        if (!window.confirm(`Delete "${promotion.title}"? Existing bookings keep their discount.`)) return
+        try {
+            const { data } = await axios.delete(`/api/promotions/manage/${promotion._id}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchPromotions()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const status = (promotion) => {
+        const now = new Date()
+        if (!promotion.isActive) return { label: 'Paused', className: 'bg-gray-100 text-gray-600' }
+        if (new Date(promotion.startsAt) > now) return { label: 'Scheduled', className: 'bg-blue-100 text-blue-700' }
+        if (new Date(promotion.endsAt) <= now) return { label: 'Ended', className: 'bg-gray-100 text-gray-600' }
+        if (promotion.maxUses && promotion.usedCount >= promotion.maxUses) return { label: 'Used up', className: 'bg-gray-100 text-gray-600' }
+        return { label: 'Active', className: 'bg-green-100 text-green-700' }
+    }
+
+    return (
+        <div>
+            <form onSubmit={onSubmitHandler} className='mt-6 max-w-3xl text-sm'>
+                <h2 className='text-xl text-blue-950/70 font-medium'>{editingId ? 'Edit promotion' : 'New promotion'}</h2>
+
+                <div className='grid md:grid-cols-2 gap-4 mt-3'>
+                    <div>
+                        <p className='text-gray-800'>Title</p>
+                        <input type='text' maxLength={80} className='border border-gray-300 mt-1 rounded p-2 w-full'
+                            value={form.title} onChange={(e) => setForm({ ...form, title: e.target.value })} />
+                    </div>
+                    <div>
+                        <p className='text-gray-800'>Description</p>
+                        <input type='text' maxLength={200} className='border border-gray-300 mt-1 rounded p-2 w-full'
+                            value={form.description} onChange={(e) => setForm({ ...form, description: e.target.value })} />
+                    </div>
+                    <div className='flex gap-3'>
+                        <div>
+                            <p className='text-gray-800'>Discount</p>
+                            <input type='number' min={1} max={form.discountType === 'percent' ? 100 : undefined} className='border border-gray-300 mt-1 rounded p-2 w-24'
+                                value={form.discountValue} onChange={(e) => setForm({ ...form, discountValue: e.target.value })} />
+                        </div>
+                        <div>
+                            <p className='text-gray-800'>Type</p>
+                            <select className='border border-gray-300 mt-1 rounded p-2' value={form.discountType} onChange={(e) => setForm({ ...form, discountType: e.target.value })}>
+                                <option value='percent'>% off</option>
+                                <option value='fixed'>Amount off</option>
+                            </select>
+                        </div>
+                        {form.discountType === 'fixed' && (
+                            <div>
+                                <p className='text-gray-800'>Currency</p>
+                                <select className='border border-gray-300 mt-1 rounded p-2' value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value })}>
+                                    <option value=''>Hotel's</option>
+                                    {Object.keys(exchangeRates.rates).sort().map((code) => (
+                                        <option key={code} value={code}>{code}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+                    </div>
+                    <div className='flex gap-3'>
+                        <div>
+                            <p className='text-gray-800'>First day</p>
+                            <input type='date' className='border border-gray-300 mt-1 rounded p-1.5'
+                                value={form.startsAt} onChange={(e) => setForm({ ...form, startsAt: e.target.value })} />
+                        </div>
+                        <div>
+                            <p className='text-gray-800'>Last day</p>
+                            <input type='date' min={form.startsAt} className='border border-gray-300 mt-1 rounded p-1.5'
+                                value={form.endsAt} onChange={(e) => setForm({ ...form, endsAt: e.target.value })} />
+                        </div>
+                    </div>
+                    <div>
+                        <p className='text-gray-800'>Promo code <span className='text-xs'>(leave empty for a public offer)</span></p>
+                        <input type='text' placeholder='SUMMER25' className='border border-gray-300 mt-1 rounded p-2 w-40 uppercase'
+                            value={form.code} onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })} />
+                    </div>
+                    <div>
+                        <p className='text-gray-800'>Usage limit <span className='text-xs'>(bookings, optional)</span></p>
+                        <input type='number' min={1} placeholder='Unlimited' className='border border-gray-300 mt-1 rounded p-2 w-32'
+                            value={form.maxUses} onChange={(e) => setForm({ ...form, maxUses: e.target.value })} />
+                    </div>
+                </div>
+
+                <p className='text-gray-800 mt-4'>Hotels {isAdmin && <span className='text-xs'>(none selected means every hotel)</span>}</p>
+                <div className='flex flex-wrap gap-x-4 gap-y-1 mt-1 text-gray-600'>
+                    {hotels.map((h) => (
+                        <label key={h._id} className='flex items-center gap-1.5'>
+                            <input type='checkbox' checked={form.hotels.includes(h._id)} onChange={() => toggle('hotels', h._id)} />
+                            {h.name}
+                        </label>
+                    ))}
+                </div>
+
+                {eligibleRooms.length > 0 && (
+                    <>
+                        <p className='text-gray-800 mt-4'>Rooms <span className='text-xs'>(none selected means every room at those hotels)</span></p>
+                        <div className='flex flex-wrap gap-x-4 gap-y-1 mt-1 text-gray-600'>
+                            {eligibleRooms.map((r) => (
+                                <label key={r._id} className='flex items-center gap-1.5'>
+                                    <input type='checkbox' checked={form.rooms.includes(r._id)} onChange={() => toggle('rooms', r._id)} />
+                                    {r.roomType} · {r.hotel?.name}
+                                </label>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <p className='text-gray-800 mt-4'>Card image <span className='text-xs'>(optional, shown on the home page)</span></p>
+                <input type='file' accept='image/*' className='mt-1' onChange={(e) => setImage(e.target.files[0])} />
+
+                <div className='flex gap-3 mt-6'>
+                    <button className='bg-primary text-white px-8 py-2 rounded cursor-pointer' disabled={loading}>
+                        {loading ? 'Saving...' : editingId ? 'Save Changes' : 'Create Promotion'}
+                    </button>
+                    {editingId && (
+                        <button type='button' onClick={resetForm} className='px-6 py-2 border border-gray-300 rounded cursor-pointer'>Cancel</button>
+                    )}
+                </div>
+            </form>
+
+            <p className='text-gray-500 mt-10'>Promotions</p>
+            <div className='w-full text-left border border-gray-300 rounded-lg mt-3 overflow-x-auto'>
+                <table className='w-full'>
+                    <thead className='bg-gray-50'>
+                        <tr>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Promotion</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Applies to</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Runs</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Used</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium text-center'>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className='text-sm'>
+                        {promotions.map((p) => (
+                            <tr key={p._id}>
+                                <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>
+                                    <div className='flex items-center gap-2'>
+                                        <OfferBadge offer={p} exact className='bg-orange-500 text-white' />
+                                        <span className={`text-xs px-2 py-0.5 rounded-full ${status(p).className}`}>{status(p).label}</span>
+                                    </div>
+                                    <p className='mt-1'>{p.title}</p>
+                                    {p.code && <p className='text-xs text-gray-500 font-mono'>{p.code}</p>}
+                                </td>
+                                <td className='py-3 px-4 text-gray-500 border-t border-gray-300 max-sm:hidden'>
+                                    {p.hotels.length ? p.hotels.map((h) => h.name).join(', ') : 'All hotels'}
+                                    {p.rooms.length > 0 && <p className='text-xs'>{p.rooms.map((r) => r.roomType).join(', ')}</p>}
+                                </td>
+                                <td className='py-3 px-4 text-gray-500 border-t border-gray-300 max-sm:hidden'>
+                                    {new Date(p.startsAt).toLocaleDateString()} → {new Date(new Date(p.endsAt).getTime() - 1).toLocaleDateString()}
+                                </td>
+                                <td className='py-3 px-4 text-gray-500 border-t border-gray-300'>
+                                    {p.usedCount}{p.maxUses ? ` / ${p.maxUses}` : ''}
+                                </td>
+                                <td className='py-3 px-4 border-t border-gray-300 text-center whitespace-nowrap'>
+                                    <button onClick={() => startEditing(p)} className='text-blue-600 hover:underline cursor-pointer'>Edit</button>
+                                    <button onClick={() => toggleActive(p)} className='ml-3 text-gray-600 hover:underline cursor-pointer'>{p.isActive ? 'Pause' : 'Resume'}</button>
+                                    <button onClick={() => deletePromotion(p)} className='ml-3 text-red-500 hover:underline cursor-pointer'>Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {promotions.length === 0 && (
+                    <p className='text-gray-500 text-center py-10'>No promotions yet</p>
+                )}
+            </div>
+        </div>
+    )
+}
+
+export default PromotionManager
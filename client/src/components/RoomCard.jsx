@@ -2,15 +2,17 @@ import React from 'react'
 import { Link } from 'react-router-dom'
 import { assets } from '../assets/assets'
 import { useAppContext } from '../context/AppContext';
+import OfferBadge from './OfferBadge';
 
 const HotelCard = ({room,index}) => {
 
-    const { currency } = useAppContext();
+    const { formatPrice } = useAppContext();
 
     return (
         <Link to={'/rooms/' + room._id} onClick={() => scrollTo(0, 0)} key={room._id} className='relative max-w-70 w-full rounded-xl overflow-hidden bg-white text-gray-500/90 shadow-[0px_4px_4px_rgba(0,0,0,0.05)]'>
             <img src={room.images[0]} alt="hotel-img" draggable="false" />
             {index % 2 === 0 && <p className='px-3 py-1 absolute top-3 left-3 text-xs bg-white text-gray-800 font-medium rounded-full'>Best Seller</p>}
+            <OfferBadge offer={room.offer} className='absolute top-3 right-3 text-white bg-orange-500' />
             <div className='p-4 pt-5'>
                 <div className='flex items-center justify-between'>
                     <p className='font-playfair text-xl font-medium text-gray-800'>{room.hotel.name}</p>
@@ -23,7 +25,7 @@ const HotelCard = ({room,index}) => {
                     <span>{room.hotel.address}</span>
                 </div>
                 <div className='flex items-center justify-between mt-4'>
-                    <p><span className='text-xl text-gray-800'>{currency}{room.pricePerNight}</span>/night</p>
+                    <p><span className='text-xl text-gray-800'>{formatPrice(room.pricePerNight, room.hotel.currency)}</span>/night</p>
                     <button className='px-4 py-2 text-sm font-medium border border-gray-300 rounded hover:bg-gray-50 transition-all cursor-pointer'>Book Now</button>
                 </div>
             </div>
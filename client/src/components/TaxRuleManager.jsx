@@ -0,0 +1,188 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { useAppContext } from '../context/AppContext'
+
+const calculations = {
+    percent: '% of room price',
+    per_night: 'per night',
+    per_stay: 'per stay',
+}
+
+const emptyForm = { name: '', kind: 'tax', calculation: 'percent', amount: '', currency: '', scope: 'city', city: '', hotel: '' }
+
+// Taxes and fees added to bookings. Admins set them per city or per hotel;
+// owners (with `hotelId`) manage their hotel's own and see the city's.
+const TaxRuleManager = ({ isAdmin = false, hotelId }) => {
+
+    const { axios, getToken, user, formatPrice, exchangeRates } = useAppContext()
+
+    const [rules, setRules] = useState([])
+    const [cities, setCities] = useState([])
+    const [hotels, setHotels] = useState([])
+    const [form, setForm] = useState(emptyForm)
+
+    const fetchRules = async () => {
+        try {
+            const { data } = await axios.get('/api/taxes', {
+                params: hotelId ? { hotelId } : {},
+                headers: { Authorization: `Bearer ${await getToken()}` },
+            })
+            if (data.success) setRules(data.rules)
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user && (isAdmin || hotelId)) fetchRules()
+    }, [user, hotelId])
+
+    useEffect(() => {
+        const fetchScopes = async () => {
+            const headers = { Authorization: `Bearer ${await getToken()}` }
+            const [cityRes, hotelRes] = await Promise.all([
+                axios.get('/api/cities', { headers }),
+                axios.get('/api/hotels'),
+            ])
+            if (cityRes.data.success) setCities(cityRes.data.cities)
+            if (hotelRes.data.success) setHotels(hotelRes.data.hotels)
+        }
+
+        if (user && isAdmin) fetchScopes()
+    }, [user, isAdmin])
+
+    const addRule = async (e) => {
+        e.preventDefault()
+        try {
+            const { scope, city, hotel, ...fields } = form
+            const target = isAdmin
+                ? scope === 'city' ? { city } : { hotel }
+                : { hotel: hotelId }
+            const { data } = await axios.post('/api/taxes', { ...fields, ...target }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setForm({ ...emptyForm, scope })
+                fetchRules()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const toggleRule = async (rule) => {
+        try {
+            const { data } = await axios.put(`/api/taxes/${rule._id}/toggle`, {}, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) fetchRules()
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete "${rule.name}"? Existing bookings keep the amount they were charged.`)) return
+        try {
+            const { data } = await axios.delete(`/api/taxes/${rule._id}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchRules()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    // Fixed amounts are in the rule's own currency and converted at each hotel
+    const describe = (rule) => {
+        if (rule.calculation === 'percent') return `${rule.amount}% of room price`
+        return `${formatPrice(rule.amount, rule.currency, { exact: true })} ${calculations[rule.calculation]}`
+    }
+
+    return (
+        <div className='text-sm'>
+            <div className='w-full max-w-3xl text-left border border-gray-300 rounded-lg mt-3 overflow-x-auto'>
+                <table className='w-full'>
+                    <thead className='bg-gray-50'>
+                        <tr>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Name</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Amount</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Applies to</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium text-center'>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {rules.map((rule) => (
+                            <tr key={rule._id} className={rule.isActive ? '' : 'opacity-50'}>
+                                <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>
+                                    {rule.name} <span className='text-xs text-gray-400'>({rule.kind})</span>
+                                </td>
+                                <td className='py-3 px-4 text-gray-500 border-t border-gray-300'>{describe(rule)}</td>
+                                <td className='py-3 px-4 text-gray-500 border-t border-gray-300 max-sm:hidden'>
+                                    {rule.city ? `All hotels in ${rule.city}` : rule.hotel?.name}
+                                </td>
+                                <td className='py-3 px-4 border-t border-gray-300 text-center whitespace-nowrap'>
+                                    {isAdmin || rule.hotel ? (
+                                        <>
+                                            <button onClick={() => toggleRule(rule)} className='text-gray-600 hover:underline cursor-pointer'>{rule.isActive ? 'Disable' : 'Enable'}</button>
+                                            <button onClick={() => deleteRule(rule)} className='ml-3 text-red-500 hover:underline cursor-pointer'>Delete</button>
+                                        </>
+                                    ) : (
+                                        <span className='text-xs text-gray-400'>Set by VacayStay</span>
+                                    )}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                {rules.length === 0 && <p className='text-gray-500 text-center py-6'>No taxes or fees yet</p>}
+            </div>
+
+            <form onSubmit={addRule} className='flex flex-wrap items-end gap-3 mt-4'>
+                <input type='text' placeholder='e.g. VAT' maxLength={60} className='border border-gray-300 rounded p-2 w-36'
+                    value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} />
+                <select className='border border-gray-300 rounded p-2' value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })}>
+                    <option value='tax'>Tax</option>
+                    <option value='fee'>Fee</option>
+                </select>
+                <input type='number' min={0} step='0.01' placeholder='Amount' className='border border-gray-300 rounded p-2 w-24'
+                    value={form.amount} onChange={(e) => setForm({ ...form, amount: e.target.value })} />
+                <select className='border border-gray-300 rounded p-2' value={form.calculation} onChange={(e) => setForm({ ...form, calculation: e.target.value })}>
+                    {Object.entries(calculations).map(([key, label]) => (
+                        <option key={key} value={key}>{label}</option>
+                    ))}
+                </select>
+                {form.calculation !== 'percent' && (
+                    <select className='border border-gray-300 rounded p-2' value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value })}>
+                        <option value=''>{isAdmin && form.scope === 'city' ? exchangeRates.base : "Hotel's currency"}</option>
+                        {Object.keys(exchangeRates.rates).sort().map((code) => (
+                            <option key={code} value={code}>{code}</option>
+                        ))}
+                    </select>
+                )}
+                {isAdmin && (
+                    <>
+                        <select className='border border-gray-300 rounded p-2' value={form.scope} onChange={(e) => setForm({ ...form, scope: e.target.value })}>
+                            <option value='city'>City</option>
+                            <option value='hotel'>Hotel</option>
+                        </select>
+                        {form.scope === 'city' ? (
+                            <select className='border border-gray-300 rounded p-2' value={form.city} onChange={(e) => setForm({ ...form, city: e.target.value })}>
+                                <option value=''>Choose city</option>
+                                {cities.map((c) => <option key={c._id} value={c.name}>{c.name}</option>)}
+                            </select>
+                        ) : (
+                            <select className='border border-gray-300 rounded p-2' value={form.hotel} onChange={(e) => setForm({ ...form, hotel: e.target.value })}>
+                                <option value=''>Choose hotel</option>
+                                {hotels.map((h) => <option key={h._id} value={h._id}>{h.name}</option>)}
+                            </select>
+                        )}
+                    </>
+                )}
+                <button className='bg-primary text-white px-6 py-2 rounded cursor-pointer'>Add</button>
+            </form>
+        </div>
+    )
+}
+
+export default TaxRuleManager
@@ -13,6 +13,10 @@ const Sidebar = () => {
         { name: "Rooms", path: "/admin/list-room", icon: assets.roomIcon },
         { name: "Bookings", path: "/admin/list-bookings", icon: assets.bookingsIcon },
         { name: "Users", path: "/admin/list-users", icon: assets.userIcon2 },
+        { name: "Promotions", path: "/admin/promotions", icon: assets.badgeIcon },
+        { name: "Taxes & Fees", path: "/admin/taxes", icon: assets.paymentIcon },
+        { name: "Currencies", path: "/admin/currencies", icon: assets.totalRevenueIcon },
+        { name: "Audit Log", path: "/admin/audit-log", icon: assets.listIcon },
         { name: "Support", path: "/admin/support-inbox", icon: assets.support },
         { name: "Cities", path: "/admin/list-city", icon: assets.cityIcon },
     ];
@@ -0,0 +1,163 @@
+import React, { useEffect, useState } from 'react'
+import DatePicker from 'react-datepicker'
+import 'react-datepicker/dist/react-datepicker.css'
+import toast from 'react-hot-toast'
+import { useAppContext } from '../../context/AppContext'
+
+// Calendar day of a picker value as YYYY-MM-DD, independent of timezone
+const toDateKey = (date) =>
+    `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+
+// Blackouts are stored half-open, so the last blocked night is the day before endDate
+const blackoutNights = (blackout) => {
+    const nights = []
+    const [y, m, d] = blackout.startDate.slice(0, 10).split('-').map(Number)
+    const night = new Date(y, m - 1, d)
+    while (toDateKey(night) < blackout.endDate.slice(0, 10)) {
+        nights.push(new Date(night))
+        night.setDate(night.getDate() + 1)
+    }
+    return nights
+}
+
+const lastNight = (blackout) => {
+    const nights = blackoutNights(blackout)
+    return nights[nights.length - 1]
+}
+
+// Owner calendar to take a room or a whole hotel off sale for a date range
+const BlackoutCalendar = ({ rooms }) => {
+
+    const { axios, getToken, user, selectedHotel, ownerHotels } = useAppContext()
+    const [blackouts, setBlackouts] = useState([])
+    const [hotelId, setHotelId] = useState('')
+    const [room, setRoom] = useState('')
+    const [range, setRange] = useState([null, null])
+    const [reason, setReason] = useState('')
+
+    const targetHotel = selectedHotel !== 'all' ? selectedHotel : hotelId || ownerHotels[0]?._id || ''
+    const hotelRooms = rooms.filter((r) => (r.hotel?._id || r.hotel) === targetHotel)
+
+    const fetchBlackouts = async () => {
+        try {
+            const { data } = await axios.get('/api/rooms/blackouts', { params: { hotelId: selectedHotel }, headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) setBlackouts(data.blackouts)
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user) fetchBlackouts()
+    }, [user, selectedHotel])
+
+    // Blackouts that apply to what is being edited: the whole hotel, or one room plus hotel-wide ones
+    const visible = blackouts.filter((b) =>
+        b.hotel?._id === targetHotel && (!b.room || !room || b.room._id === room))
+
+    const highlighted = visible.flatMap(blackoutNights)
+
+    const createBlackout = async (e) => {
+        e.preventDefault()
+        const [start, end] = range
+        if (!start) {
+            toast.error('Pick the dates on the calendar')
+            return
+        }
+        try {
+            const { data } = await axios.post('/api/rooms/blackouts', {
+                hotelId: targetHotel,
+                room: room || null,
+                startDate: toDateKey(start),
+                endDate: toDateKey(end || start),
+                reason,
+            }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setRange([null, null])
+                setReason('')
+                fetchBlackouts()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    const deleteBlackout = async (id) => {
+        try {
+            const { data } = await axios.delete(`/api/rooms/blackouts/${id}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchBlackouts()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    return (
+        <div className='mt-10'>
+            <p className='text-gray-800 text-lg'>Blackout Dates</p>
+            <p className='text-gray-500 text-sm'>Take a room or the whole property off sale, e.g. for maintenance. Guests can't book blacked-out nights.</p>
+
+            <div className='flex flex-col md:flex-row gap-8 mt-4'>
+                <DatePicker
+                    inline
+                    selectsRange
+                    startDate={range[0]}
+                    endDate={range[1]}
+                    onChange={setRange}
+                    minDate={new Date()}
+                    highlightDates={[{ 'bg-red-200 rounded': highlighted }]}
+                />
+
+                <form onSubmit={createBlackout} className='flex flex-col gap-3 text-sm max-w-sm'>
+                    {selectedHotel === 'all' && ownerHotels.length > 1 && (
+                        <select className='border border-gray-300 rounded p-2' value={targetHotel} onChange={(e) => { setHotelId(e.target.value); setRoom('') }}>
+                            {ownerHotels.map((hotel) => (
+                                <option key={hotel._id} value={hotel._id}>{hotel.name}</option>
+                            ))}
+                        </select>
+                    )}
+                    <select className='border border-gray-300 rounded p-2' value={room} onChange={(e) => setRoom(e.target.value)}>
+                        <option value=''>Whole property</option>
+                        {hotelRooms.map((r) => (
+                            <option key={r._id} value={r._id}>{r.roomType}</option>
+                        ))}
+                    </select>
+                    <p className='text-gray-500'>
+                        {range[0]
+                            ? `${range[0].toDateString()} → ${(range[1] || range[0]).toDateString()} (last night off sale)`
+                            : 'Select the first and last night on the calendar'}
+                    </p>
+                    <input className='border border-gray-300 rounded p-2' placeholder='Reason, e.g. Plumbing repairs' value={reason} onChange={(e) => setReason(e.target.value)} required />
+                    <button className='bg-primary text-white px-6 py-2 rounded cursor-pointer'>Add Blackout</button>
+                </form>
+            </div>
+
+            {visible.length > 0 && (
+                <ul className='mt-6 max-w-3xl divide-y divide-gray-200 border border-gray-300 rounded-lg text-sm'>
+                    {visible.map((b) => (
+                        <li key={b._id} className='flex justify-between items-center gap-4 px-4 py-3'>
+                            <div>
+                                <p className='text-gray-700'>
+                                    {new Date(b.startDate).toDateString()} → {lastNight(b)?.toDateString()}
+                                    <span className='text-gray-400'> • {b.room ? b.room.roomType : 'Whole property'}</span>
+                                </p>
+                                <p className='text-gray-500'>{b.reason}</p>
+                            </div>
+                            <button onClick={() => deleteBlackout(b._id)} className='text-red-500 hover:underline cursor-pointer'>Remove</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    )
+}
+
+export default BlackoutCalendar
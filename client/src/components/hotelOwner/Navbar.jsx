@@ -2,17 +2,40 @@ import React from 'react'
 import { assets } from '../../assets/assets'
 import { UserButton } from '@clerk/clerk-react'
 import { Link } from 'react-router-dom'
+import { useAppContext } from '../../context/AppContext'
 
 const Navbar = () => {
 
+    const { ownerHotels, selectedHotel, setSelectedHotel, setShowHotelReg } = useAppContext()
+
     return (
         <div className="flex items-center justify-between px-4 md:px-8 border-b border-gray-300 py-3 bg-white transition-all duration-300">
             <Link to="/">
                 <img className="h-9 invert opacity-80" src={assets.logo} alt="logo" />
             </Link>
-            <UserButton />
+            <div className="flex items-center gap-3">
+                {ownerHotels.length > 0 && (
+                    <select
+                        value={selectedHotel}
+                        onChange={(e) => setSelectedHotel(e.target.value)}
+                        className="border border-gray-300 rounded px-2 py-1.5 text-sm max-w-48"
+                    >
+                        {ownerHotels.length > 1 && <option value="all">All properties</option>}
+                        {ownerHotels.map((hotel) => (
+                            <option key={hotel._id} value={hotel._id}>{hotel.name}</option>
+                        ))}
+                    </select>
+                )}
+                <button
+                    onClick={() => setShowHotelReg(true)}
+                    className="max-sm:hidden border border-gray-300 px-3 py-1.5 text-sm rounded hover:bg-gray-50 cursor-pointer"
+                >
+                    Add Property
+                </button>
+                <UserButton />
+            </div>
         </div>
     )
 }
 
-export default Navbar
\ No newline at end of file
+export default Navbar
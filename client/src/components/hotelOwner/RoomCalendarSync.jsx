@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { useAppContext } from '../../context/AppContext'
+
+// Export feed and external iCal calendars for one room
+const RoomCalendarSync = ({ room, onClose }) => {
+
+    const { axios, getToken } = useAppContext()
+    const [feedToken, setFeedToken] = useState(null)
+    const [calendars, setCalendars] = useState([])
+    const [newCalendar, setNewCalendar] = useState({ name: '', url: '' })
+    const [file, setFile] = useState(null)
+    const [loading, setLoading] = useState(false)
+
+    const feedUrl = feedToken && `${axios.defaults.baseURL}/api/rooms/ical/${feedToken}.ics`
+
+    const fetchCalendars = async () => {
+        try {
+            const { data } = await axios.get(`/api/rooms/${room._id}/calendars`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                setFeedToken(data.feedToken)
+                setCalendars(data.calendars)
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    useEffect(() => {
+        fetchCalendars()
+    }, [room._id])
+
+    const copyFeedUrl = async () => {
+        await navigator.clipboard.writeText(feedUrl)
+        toast.success('Feed link copied')
+    }
+
+    const regenerateToken = async () => {
+        if (!window.confirm('Platforms using the current link will stop receiving updates. Continue?')) return
+        const { data } = await axios.post(`/api/rooms/${room._id}/calendars/regenerate-token`, {}, { headers: { Authorization: `Bearer ${await getToken()}` } })
+        if (data.success) {
+            setFeedToken(data.feedToken)
+            toast.success(data.message)
+        } else {
+            toast.error(data.message)
+        }
+    }
+
+    const addCalendar = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await axios.post(`/api/rooms/${room._id}/calendars`, newCalendar, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setNewCalendar({ name: '', url: '' })
+                fetchCalendars()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const uploadFile = async (e) => {
+        e.preventDefault()
+        if (!file) {
+            toast.error('Choose an .ics file to upload')
+            return
+        }
+        setLoading(true)
+        try {
+            const formData = new FormData()
+            formData.append('file', file)
+            const { data } = await axios.post(`/api/rooms/${room._id}/calendars/upload`, formData, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setFile(null)
+                fetchCalendars()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const removeCalendar = async (calendarId) => {
+        const { data } = await axios.delete(`/api/rooms/${room._id}/calendars/${calendarId}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+        if (data.success) {
+            toast.success(data.message)
+            fetchCalendars()
+        } else {
+            toast.error(data.message)
+        }
+    }
+
+    return (
+        <div className='border border-gray-300 rounded-lg mt-6 p-5 text-sm max-w-3xl'>
+            <div className='flex justify-between items-center'>
+                <p className='text-base font-medium text-gray-800'>Calendar sync - {room.roomType}</p>
+                <button onClick={onClose} className='text-gray-500 hover:text-gray-800 cursor-pointer'>Close</button>
+            </div>
+
+            <p className='mt-4 text-gray-800'>Export</p>
+            <p className='text-gray-500'>Add this link to other platforms so they see your VacayStay bookings.</p>
+            {feedUrl && (
+                <div className='flex flex-wrap gap-2 mt-2'>
+                    <input readOnly value={feedUrl} className='flex-1 min-w-60 border border-gray-300 rounded px-2 py-1.5 text-gray-600' />
+                    <button onClick={copyFeedUrl} className='px-3 py-1.5 border border-gray-300 rounded hover:bg-gray-50'>Copy</button>
+                    <button onClick={regenerateToken} className='px-3 py-1.5 border border-gray-300 rounded hover:bg-gray-50'>New link</button>
+                </div>
+            )}
+
+            <p className='mt-6 text-gray-800'>Import</p>
+            <p className='text-gray-500'>Dates booked elsewhere are blocked here. Linked calendars refresh every 30 minutes.</p>
+
+            {calendars.length > 0 && (
+                <ul className='mt-3 divide-y divide-gray-200 border border-gray-200 rounded'>
+                    {calendars.map((calendar) => (
+                        <li key={calendar._id} className='flex justify-between items-center gap-4 px-3 py-2'>
+                            <div>
+                                <p className='text-gray-700'>{calendar.name} <span className='text-xs text-gray-400'>{calendar.url ? 'Linked' : 'Uploaded file'}</span></p>
+                                <p className={`text-xs ${calendar.lastError ? 'text-red-500' : 'text-gray-400'}`}>
+                                    {calendar.lastError
+                                        ? `Sync failed: ${calendar.lastError}`
+                                        : calendar.lastSyncedAt ? `Updated ${new Date(calendar.lastSyncedAt).toLocaleString()}` : 'Not synced yet'}
+                                </p>
+                            </div>
+                            <button onClick={() => removeCalendar(calendar._id)} className='text-red-500 hover:underline cursor-pointer'>Remove</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <form onSubmit={addCalendar} className='flex flex-wrap gap-2 mt-3'>
+                <input placeholder='Name, e.g. Airbnb' value={newCalendar.name} onChange={(e) => setNewCalendar({ ...newCalendar, name: e.target.value })} className='border border-gray-300 rounded px-2 py-1.5 w-40' required />
+                <input type='url' placeholder='https://...ics' value={newCalendar.url} onChange={(e) => setNewCalendar({ ...newCalendar, url: e.target.value })} className='flex-1 min-w-60 border border-gray-300 rounded px-2 py-1.5' required />
+                <button disabled={loading} className='bg-primary text-white px-4 py-1.5 rounded cursor-pointer'>Link calendar</button>
+            </form>
+
+            <form onSubmit={uploadFile} className='flex flex-wrap items-center gap-2 mt-3'>
+                <input type='file' accept='.ics,text/calendar' onChange={(e) => setFile(e.target.files[0])} className='text-gray-500' />
+                <button disabled={loading} className='px-4 py-1.5 border border-gray-300 rounded hover:bg-gray-50 cursor-pointer'>Upload .ics</button>
+            </form>
+        </div>
+    )
+}
+
+export default RoomCalendarSync
@@ -1,15 +1,22 @@
 import React from 'react'
 import { assets } from '../../assets/assets';
 import { NavLink } from 'react-router-dom';
+import { useAppContext } from '../../context/AppContext';
 
 const Sidebar = () => {
 
+    const { isOwner, hasHotelPermission } = useAppContext()
+
     const sidebarLinks = [
-        { name: "Dashboard", path: "/owner", icon: assets.dashboardIcon },
-        { name: "Add Room", path: "/owner/add-room", icon: assets.addIcon },
-        { name: "Bookings", path: "/owner/bookings", icon: assets.bookingsIcon },
-        { name: "List Room", path: "/owner/list-room", icon: assets.listIcon },
-    ];
+        { name: "Dashboard", path: "/owner", icon: assets.dashboardIcon, permission: "viewBookings" },
+        { name: "Add Room", path: "/owner/add-room", icon: assets.addIcon, permission: "editRooms" },
+        { name: "Bookings", path: "/owner/bookings", icon: assets.bookingsIcon, permission: "viewBookings" },
+        { name: "List Room", path: "/owner/list-room", icon: assets.listIcon, permission: "editRooms" },
+        { name: "Rates", path: "/owner/rates", icon: assets.calenderIcon, permission: "editRooms" },
+        { name: "Promotions", path: "/owner/promotions", icon: assets.badgeIcon, permission: "editRooms" },
+        { name: "Staff", path: "/owner/staff", icon: assets.userIcon2, ownerOnly: true },
+        { name: "Settings", path: "/owner/settings", icon: assets.hotelIcon, ownerOnly: true },
+    ].filter((item) => item.ownerOnly ? isOwner : hasHotelPermission(item.permission));
 
     return (
         <div className="md:w-64 w-16 border-r h-full text-base border-gray-300 pt-4 flex flex-col transition-all duration-300">
@@ -23,4 +30,4 @@ const Sidebar = () => {
     );
 }
 
-export default Sidebar
\ No newline at end of file
+export default Sidebar
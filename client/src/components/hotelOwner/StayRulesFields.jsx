@@ -0,0 +1,51 @@
+import React from 'react'
+
+const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+const fields = [
+    { key: 'minNights', label: 'Minimum stay', unit: 'nights', min: 1 },
+    { key: 'maxNights', label: 'Maximum stay', unit: 'nights', min: 1 },
+    { key: 'minLeadDays', label: 'Book at least', unit: 'days ahead', min: 0 },
+    { key: 'maxAdvanceDays', label: 'Book at most', unit: 'days ahead', min: 1 },
+]
+
+// Length of stay, booking window and arrival days for a hotel, or for a room
+// (`forRoom`) where blank fields fall back to the hotel's rules
+const StayRulesFields = ({ value = {}, onChange, forRoom = false }) => {
+
+    const arrivalDays = value.arrivalDays || []
+    const toggleDay = (day) => onChange({
+        ...value,
+        arrivalDays: arrivalDays.includes(day)
+            ? arrivalDays.filter((d) => d !== day)
+            : [...arrivalDays, day],
+    })
+
+    return (
+        <div className='mt-2'>
+            <div className='flex flex-wrap gap-6'>
+                {fields.map((field) => (
+                    <div key={field.key}>
+                        <p className='text-gray-800'>{field.label} <span className='text-xs'>({field.unit})</span></p>
+                        <input type='number' min={field.min} placeholder={forRoom ? "Hotel's rule" : 'No limit'} className='border border-gray-300 mt-1 rounded p-2 w-32'
+                            value={value[field.key] ?? ''} onChange={(e) => onChange({ ...value, [field.key]: e.target.value })} />
+                    </div>
+                ))}
+            </div>
+            <p className='text-gray-800 mt-4'>Arrival days</p>
+            <div className='flex flex-wrap gap-3 mt-1 text-sm text-gray-600'>
+                {weekdays.map((name, day) => (
+                    <label key={day} className='flex items-center gap-1 cursor-pointer'>
+                        <input type='checkbox' checked={arrivalDays.includes(day)} onChange={() => toggleDay(day)} />
+                        {name}
+                    </label>
+                ))}
+            </div>
+            <p className='text-xs text-gray-400 mt-1'>
+                {forRoom ? "Leave every day unticked to use the hotel's arrival days." : 'Leave every day unticked to allow check-in on any day.'}
+            </p>
+        </div>
+    )
+}
+
+export default StayRulesFields
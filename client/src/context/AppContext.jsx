@@ -9,8 +9,21 @@ axios.defaults.baseURL = import.meta.env.VITE_BACKEND_URL;
 
 const AppContext = createContext();
 
+const formatMoney = (amount, currency) => {
+    const whole = Number.isInteger(Math.round(amount * 100) / 100);
+    try {
+        return new Intl.NumberFormat(undefined, {
+            style: "currency",
+            currency,
+            currencyDisplay: "narrowSymbol",
+            ...(whole && { minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+        }).format(amount);
+    } catch {
+        return `${amount} ${currency}`;
+    }
+};
+
 export const AppProvider = ({ children }) => {
-    const currency = import.meta.env.VITE_CURRENCY || "$";
     const navigate = useNavigate();
     const { user } = useUser();
     const { getToken } = useAuth();
@@ -28,7 +41,17 @@ export const AppProvider = ({ children }) => {
     const [hotels, setHotels] = useState([]);
     const [orders, setOrders] = useState([]);
     const [searchedCities, setSearchedCities] = useState([]);
+    const [ownerHotels, setOwnerHotels] = useState([]);
+    const [selectedHotel, setSelectedHotel] = useState(
+        localStorage.getItem("selectedHotel") || "all"
+    );
     const [loading, setLoading] = useState(true);
+    // Rates are per unit of `base`, which is also the currency of older hotels
+    const [exchangeRates, setExchangeRates] = useState({ base: "NGN", rates: { NGN: 1 } });
+    // Empty shows every price in its hotel's own currency
+    const [displayCurrency, setDisplayCurrency] = useState(
+        localStorage.getItem("displayCurrency") || ""
+    );
 
     const facilityIcons = {
         "Free WiFi": assets.freeWifiIcon,
@@ -56,6 +79,7 @@ export const AppProvider = ({ children }) => {
         setHotels([]);
         setOrders([]);
         setSearchedCities([]);
+        setOwnerHotels([]);
     };
 
     const authHeaders = async () => {
@@ -72,6 +96,14 @@ export const AppProvider = ({ children }) => {
                 setAdmin(data.role === "Admin");
                 setSearchedCities(data.recentSearchedCities || []);
                 fetchOwnerHotels();
+
+                fetchMyHotels();
+
+                if (data.role === "Admin") {
+                    fetchPendingHotels();
+                    fetchPendingPayments();
+                    fetchOrders();
+                }
             }
         } catch (err) {
             safeError(err);
@@ -80,7 +112,8 @@ export const AppProvider = ({ children }) => {
 
     const fetchPendingHotels = async () => {
         try {
-            const { data } = await axios.get("/api/hotels/pending");
+            const headers = await authHeaders();
+            const { data } = await axios.get("/api/hotels/pending", { headers });
             if (data.success) setPendingCurrent(data.hotelsP);
         } catch (err) {
             safeError(err);
@@ -135,6 +168,19 @@ export const AppProvider = ({ children }) => {
         }
     };
 
+    const fetchExchangeRates = async () => {
+        try {
+            const { data } = await axios.get("/api/currencies");
+            if (data.success) {
+                const rates = { [data.base]: 1 };
+                data.rates.forEach((r) => { rates[r.currency] = r.rate; });
+                setExchangeRates({ base: data.base, rates });
+            }
+        } catch (err) {
+            safeError(err);
+        }
+    };
+
     const fetchCities = async () => {
         try {
             const headers = await authHeaders();
@@ -155,6 +201,60 @@ export const AppProvider = ({ children }) => {
         }
     };
 
+    const fetchMyHotels = async () => {
+        try {
+            const headers = await authHeaders();
+            const { data } = await axios.get("/api/hotels/mine", { headers });
+            if (data.success) {
+                setOwnerHotels(data.hotels);
+                // Drop a remembered selection for a hotel the owner no longer has
+                setSelectedHotel((current) =>
+                    current === "all" || data.hotels.some((h) => h._id === current)
+                        ? current
+                        : "all"
+                );
+            }
+        } catch (err) {
+            safeError(err);
+        }
+    };
+
+    useEffect(() => {
+        localStorage.setItem("selectedHotel", selectedHotel);
+    }, [selectedHotel]);
+
+    useEffect(() => {
+        localStorage.setItem("displayCurrency", displayCurrency);
+    }, [displayCurrency]);
+
+    useEffect(() => {
+        fetchExchangeRates();
+    }, []);
+
+    // Formats an amount priced in `from` (a hotel's or booking's currency). With
+    // a display currency picked it is converted and marked "≈", since guests
+    // are still charged in `from`; `exact` skips conversion for owners, admins
+    // and amounts being charged.
+    const formatPrice = (amount, from = exchangeRates.base, { exact = false } = {}) => {
+        const { rates } = exchangeRates;
+        const to = !exact && displayCurrency && rates[from] && rates[displayCurrency]
+            ? displayCurrency
+            : from;
+        if (to === from) return formatMoney(amount, from);
+        return `≈ ${formatMoney((amount / rates[from]) * rates[to], to)}`;
+    };
+
+    // Staff accounts manage hotels they don't own
+    const isStaff = ownerHotels.some((h) => !h.isOwner);
+
+    // True when the selected hotel (or any hotel in the "all" view) grants `permission`
+    const hasHotelPermission = (permission) => {
+        const inScope = selectedHotel === "all"
+            ? ownerHotels
+            : ownerHotels.filter((h) => h._id === selectedHotel);
+        return inScope.some((h) => h.permissions?.includes(permission));
+    };
+
     useEffect(() => {
         if (!user) {
             resetAppContext();
@@ -169,10 +269,7 @@ export const AppProvider = ({ children }) => {
 
         Promise.all([
             fetchUser(),
-            fetchPendingHotels(),
             fetch_hotelRooms(),
-            fetchPendingPayments(),
-            fetchOrders(),
             fetchCities(),
         ]).finally(() => setLoading(false));
 
@@ -181,7 +278,11 @@ export const AppProvider = ({ children }) => {
     }, [user]);
 
     const value = {
-        currency,
+        formatPrice,
+        exchangeRates,
+        fetchExchangeRates,
+        displayCurrency,
+        setDisplayCurrency,
         navigate,
         user,
         getToken,
@@ -211,6 +312,12 @@ export const AppProvider = ({ children }) => {
         setOrders,
         searchedCities,
         setSearchedCities,
+        ownerHotels,
+        fetchMyHotels,
+        isStaff,
+        hasHotelPermission,
+        selectedHotel,
+        setSelectedHotel,
         loading
     };
 
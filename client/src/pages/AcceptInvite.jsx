@@ -0,0 +1,51 @@
+import React, { useState } from "react";
+import { useParams } from "react-router-dom";
+import { useClerk } from "@clerk/clerk-react";
+import toast from "react-hot-toast";
+import Title from "../components/Title";
+import { useAppContext } from "../context/AppContext";
+
+const AcceptInvite = () => {
+  const { token } = useParams();
+  const { axios, getToken, user, navigate, fetchMyHotels } = useAppContext();
+  const { openSignIn } = useClerk();
+  const [loading, setLoading] = useState(false);
+
+  const acceptInvite = async () => {
+    setLoading(true);
+    try {
+      const { data } = await axios.post(
+        "/api/staff/accept",
+        { token },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+      if (data.success) {
+        toast.success(data.message);
+        await fetchMyHotels();
+        navigate("/owner");
+      } else toast.error(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col items-center py-40 px-4 md:px-16 lg:px-24">
+      <Title
+        title="Staff Invitation"
+        subTitle="You've been invited to help manage a hotel on VacayStay. Accept to get access to its owner panel."
+      />
+      <button
+        onClick={user ? acceptInvite : () => openSignIn()}
+        disabled={loading}
+        className="mt-10 bg-primary hover:bg-blue-700 text-white px-8 py-3 rounded-md cursor-pointer"
+      >
+        {!user ? "Sign in to accept" : loading ? "Accepting..." : "Accept Invitation"}
+      </button>
+    </div>
+  );
+};
+
+export default AcceptInvite;
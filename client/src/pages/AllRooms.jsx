@@ -2,6 +2,7 @@ import { useState, useMemo, useEffect } from 'react'
 import { assets } from '../assets/assets'
 import { useAppContext } from '../context/AppContext'
 import StarRating from '../components/StarRating'
+import OfferBadge from '../components/OfferBadge'
 import { useSearchParams } from 'react-router-dom'
 import { useParams } from 'react-router-dom'
 
@@ -32,7 +33,7 @@ const AllRooms = () => {
     const [searchParams, setSearchParams] = useSearchParams();
     const [rooms, setRoom] = useState([]);
 
-    const { facilityIcons, navigate, hotel_rooms, currency } = useAppContext();
+    const { facilityIcons, navigate, hotel_rooms, formatPrice } = useAppContext();
     const [openFilters, setOpenFilters] = useState(false);
 
     const [selectedFilters, setSelectedFilters] = useState({
@@ -83,6 +84,12 @@ const AllRooms = () => {
         setSelectedSort(sortOption);
     }
 
+    // All rooms here are at one hotel, so the ranges are in its currency
+    const rangeLabel = (range) => range
+        .split(' to ')
+        .map((amount) => formatPrice(+amount, rooms[0]?.hotel.currency, { exact: true }))
+        .join(' to ');
+
     const matchesRoomType = (room) => {
         return selectedFilters.roomType.length === 0 || selectedFilters.roomType.includes(room.roomType);
     };
@@ -152,7 +159,10 @@ const AllRooms = () => {
                     <div key={room._id} className='flex flex-col md:flex-row items-start py-10 gap-6 border-b border-gray-300 last:pb-30 last:border-0'>
                         <img title='View Room Details' onClick={() => { navigate(`/rooms/${room._id}`); scrollTo(0, 0) }} src={room.images[0]} alt="hotel-img" className='max-h-65 md:w-1/2 rounded-xl shadow-lg object-cover cursor-pointer' />
                         <div className='md:w-1/2 flex flex-col gap-2'>
-                            <p className='text-gray-500'>{room.hotel.city}</p>
+                            <div className='flex items-center gap-2'>
+                                <p className='text-gray-500'>{room.hotel.city}</p>
+                                <OfferBadge offer={room.offer} className='text-white bg-orange-500' />
+                            </div>
                             <p onClick={() => { navigate(`/rooms/${room._id}`); scrollTo(0, 0) }} className='text-gray-800 text-3xl font-playfair cursor-pointer' title='View Room Details'>{room.roomType}</p>
                             <div className='flex items-center'>
                                 <StarRating />
@@ -171,7 +181,12 @@ const AllRooms = () => {
                                     </div>
                                 ))}
                             </div>
-                         <p className='text-xl font-medium text-gray-700'>{ currency }{room.pricePerNight} /night</p>
+                         <p className='text-xl font-medium text-gray-700'>{formatPrice(room.pricePerNight, room.hotel.currency)} /night</p>
+                            {room.unitsLeft === 0 ? (
+                                <p className='text-sm text-gray-500'>Fully booked tonight</p>
+                            ) : room.unitsLeft <= 3 && (
+                                <p className='text-sm text-red-600'>Only {room.unitsLeft} left</p>
+                            )}
                         </div>
                     </div>
                 ))}
@@ -198,7 +213,7 @@ const AllRooms = () => {
                     <div className='px-5 pt-5'>
                         <p className='font-medium text-gray-800 pb-2'>Price Range</p>
                         {priceRanges.map((range, index) => (
-                            <CheckBox key={index} label={`${currency} ${range}`} selected={selectedFilters.priceRange.includes(range)} onChange={(checked) => handleFilterChange(checked, range, 'priceRange')} />
+                            <CheckBox key={index} label={rangeLabel(range)} selected={selectedFilters.priceRange.includes(range)} onChange={(checked) => handleFilterChange(checked, range, 'priceRange')} />
                         ))}</div>
                     <div className="px-5 pt-5 pb-7">
                         <p className="font-medium text-gray-800 pb-2">Sort By</p>
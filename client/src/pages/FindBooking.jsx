@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import toast from "react-hot-toast";
+import Title from "../components/Title";
+import { assets } from "../assets/assets";
+import { useAppContext } from "../context/AppContext";
+
+const FindBooking = () => {
+  const { axios, formatPrice } = useAppContext();
+  const [reference, setReference] = useState("");
+  const [email, setEmail] = useState("");
+  const [booking, setBooking] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const onSubmitHandler = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setBooking(null);
+    try {
+      const { data } = await axios.post("/api/bookings/lookup", { reference, email });
+      if (data.success) setBooking(data.booking);
+      else toast.error(data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || error.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="py-28 md:pb-35 md:pt-32 px-4 md:px-16 lg:px-24 xl:px-32">
+      <Title
+        title="Find My Booking"
+        subTitle="Enter the reference from your confirmation email and the email address you booked with."
+        align="left"
+      />
+
+      <form onSubmit={onSubmitHandler} className="flex flex-wrap items-end gap-4 mt-8 text-sm">
+        <div className="flex flex-col">
+          <label htmlFor="reference" className="font-medium">Booking reference</label>
+          <input
+            id="reference"
+            value={reference}
+            onChange={(e) => setReference(e.target.value.toUpperCase())}
+            placeholder="VS-7K3Q9P"
+            className="rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none uppercase"
+            required
+          />
+        </div>
+        <div className="flex flex-col">
+          <label htmlFor="email" className="font-medium">Email</label>
+          <input
+            id="email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="you@example.com"
+            className="rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none"
+            required
+          />
+        </div>
+        <button
+          disabled={loading}
+          className="bg-primary hover:bg-blue-700 text-white px-8 py-2.5 rounded-md cursor-pointer"
+        >
+          {loading ? "Searching..." : "Find Booking"}
+        </button>
+      </form>
+
+      {booking && (
+        <div className="flex flex-col md:flex-row gap-6 max-w-4xl mt-10 border-t border-gray-300 pt-6 text-gray-800">
+          {booking.room?.images?.[0] && (
+            <img className="md:w-56 rounded shadow object-cover" src={booking.room.images[0]} alt="room-img" />
+          )}
+          <div className="flex flex-col gap-1.5">
+            <p className="text-sm text-gray-500">{booking.reference}</p>
+            <p className="font-playfair text-2xl">
+              {booking.hotel?.name}
+              <span className="font-inter text-sm"> ({booking.room?.roomType})</span>
+            </p>
+            <div className="flex items-center gap-1 text-sm text-gray-500">
+              <img src={assets.locationIcon} alt="location-icon" />
+              <span>{booking.hotel?.address}</span>
+            </div>
+            <p className="text-sm">
+              {new Date(booking.checkInDate).toDateString()} → {new Date(booking.checkOutDate).toDateString()}
+            </p>
+            <p className="text-sm">Guests: {booking.guests}</p>
+            <p className="text-sm">Total: {formatPrice(booking.totalPrice, booking.currency, { exact: true })}</p>
+            <p className="text-sm capitalize">
+              Status: {booking.status} • {booking.paymentStatus === "paid" ? "Paid" : "Unpaid"}
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FindBooking;
@@ -1,13 +1,30 @@
 import React, { useEffect, useState } from 'react'
 import Title from '../components/Title'
-import { assets } from '../assets/assets'
+import { assets, cancellationPolicies } from '../assets/assets'
 import { useAppContext } from '../context/AppContext'
 import toast from 'react-hot-toast'
+import PriceBreakdown from '../components/PriceBreakdown'
 
 const MyBookings = () => {
 
-    const { axios, getToken, user, currency } = useAppContext();
+    const { axios, getToken, user, formatPrice, rooms, navigate } = useAppContext();
     const [bookings, setBookings] = useState([]);
+    const [now, setNow] = useState(Date.now());
+    const [editing, setEditing] = useState(null);
+    const [changes, setChanges] = useState({});
+    const [waitlist, setWaitlist] = useState([]);
+
+    // Keeps the payment countdowns current
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+        return () => clearInterval(timer);
+    }, []);
+
+    const holdRemaining = (booking) => {
+        if (booking.status !== "pending" || booking.paymentStatus !== "awaiting" || !booking.holdExpiresAt) return null;
+        const minutes = Math.max(Math.floor((new Date(booking.holdExpiresAt) - now) / 60000), 0);
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    };
 
     const StatusBadge = ({ status, paymentStatus }) => {
   let label = "Pending";
@@ -28,11 +45,26 @@ const MyBookings = () => {
     style = "bg-green-100 text-green-700";
   }
 
-  if (paymentStatus === "paid" && status !== "confirmed") {
+  if (paymentStatus === "paid" && status === "pending") {
     label = "Paid";
     style = "bg-blue-100 text-blue-700";
   }
 
+  if (status === "checked_in") {
+    label = "Checked In";
+    style = "bg-green-100 text-green-700";
+  }
+
+  if (status === "checked_out") {
+    label = "Completed";
+    style = "bg-gray-100 text-gray-700";
+  }
+
+  if (status === "no_show") {
+    label = "No-show";
+    style = "bg-gray-200 text-gray-700";
+  }
+
   return (
     <span
       className={`px-3 py-1 rounded-full text-xs font-medium ${style}`}
@@ -58,9 +90,10 @@ const MyBookings = () => {
         }
     }
 
-    const handlePayment = async (bookingId) => {
+    // `target` is either { bookingId } or { groupId }
+    const handlePayment = async (target) => {
         try {
-            const { data } = await axios.post('/api/bookings/stripe-payment', { bookingId }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            const { data } = await axios.post('/api/bookings/stripe-payment', target, { headers: { Authorization: `Bearer ${await getToken()}` } })
             if (data.success) {
                 window.location.href = data.url
             } else {
@@ -71,23 +104,101 @@ const MyBookings = () => {
         }
     }
 
+    const cancelBooking = async (booking) => {
+        const { refundableAmount } = booking.cancellation;
+        const summary = refundableAmount > 0
+            ? `You will be refunded ${formatPrice(refundableAmount, booking.currency, { exact: true })}.`
+            : booking.paymentStatus === "paid"
+                ? "This booking is no longer refundable."
+                : "You have not been charged for this booking.";
+        if (!window.confirm(`Cancel this booking? ${summary}`)) return;
+
+        try {
+            const { data } = await axios.post(`/api/bookings/${booking._id}/cancel`, {}, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchUserBookings()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const startEditing = (booking) => {
+        setEditing(booking._id);
+        setChanges({
+            room: booking.room._id,
+            checkInDate: booking.checkInDate.slice(0, 10),
+            checkOutDate: booking.checkOutDate.slice(0, 10),
+            adults: booking.adults ?? booking.guests,
+            children: booking.children ?? 0,
+        });
+    }
+
+    const modifyBooking = async (booking) => {
+        const charged = (amount) => formatPrice(amount, booking.currency, { exact: true })
+        try {
+            const { data } = await axios.put(`/api/bookings/${booking._id}/modify`, changes, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                if (data.priceDifference > 0) toast.success(`Booking updated. You owe ${charged(data.priceDifference)} more.`)
+                else if (data.priceDifference < 0) toast.success(`Booking updated. ${charged(-data.priceDifference)} will be refunded.`)
+                else toast.success(data.message)
+                setEditing(null)
+                fetchUserBookings()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const isModifiable = (booking) =>
+        !["cancelled", "refunded"].includes(booking.status) &&
+        new Date(booking.checkInDate) > new Date(now);
+
+    const fetchWaitlist = async () => {
+        try {
+            const { data } = await axios.get('/api/waitlist/mine', { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) setWaitlist(data.entries)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    const leaveWaitlist = async (entryId) => {
+        try {
+            const { data } = await axios.delete(`/api/waitlist/${entryId}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchWaitlist()
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
     useEffect(() => {
         if (user) {
             fetchUserBookings();
+            fetchWaitlist();
         }
     }, [user]);
 
-    return (
-        <div className='py-28 md:pb-35 md:pt-32 px-4 md:px-16 lg:px-24 xl:px-32'>
-            <Title title='My Bookings' subTitle='Easily manage your past, current, and upcoming hotel reservations in one place. Plan your trips seamlessly with just a few clicks' align='left' />
-            <div className="max-w-6xl mt-8 w-full text-gray-800">
-                <div className="hidden md:grid md:grid-cols-[3fr_2fr_1fr] w-full border-b border-gray-300 font-medium text-base py-3">
-                    <div className="w-1/3">Hotels</div>
-                    <div className="w-1/3">Date & Timings</div>
-                    <div className="w-1/3">Payment</div>
-                </div>
+    // Rooms booked together in one group checkout are shown as one trip
+    const entries = Object.values(
+        bookings.reduce((acc, booking) => {
+            const key = booking.group || booking._id;
+            (acc[key] ||= []).push(booking);
+            return acc;
+        }, {})
+    );
 
-                {bookings.map((booking) => (
+    const renderBooking = (booking) => (
   <div
     key={booking._id}
     className="grid grid-cols-1 md:grid-cols-[3fr_2fr_1fr] w-full border-b border-gray-300 py-6 first:border-t"
@@ -100,6 +211,9 @@ const MyBookings = () => {
         alt="hotel-img"
       />
       <div className="flex flex-col gap-1.5 max-md:mt-3 min-md:ml-4">
+        {booking.reference && (
+          <p className="text-xs text-gray-500">Ref: {booking.reference}</p>
+        )}
         <p className="font-playfair text-2xl">
           {booking.hotel.name}
           <span className="font-inter text-sm">
@@ -118,10 +232,31 @@ const MyBookings = () => {
           <span>Guests: {booking.guests}</span>
         </div>
 
-        <p className="text-base">
-          Total: {currency}
-          {booking.totalPrice}
+        <PriceBreakdown
+          breakdown={booking.priceBreakdown}
+          total={booking.totalPrice}
+          currency={booking.currency}
+          className="text-base max-w-xs"
+        />
+
+        {booking.balanceDue > 0 && (
+          <p className="text-sm text-orange-500">
+            Balance due: {formatPrice(booking.balanceDue, booking.currency, { exact: true })}
+          </p>
+        )}
+
+        <p className="text-xs text-gray-500 max-w-sm">
+          <span className="font-medium">
+            {cancellationPolicies[booking.cancellation?.policy]?.label} cancellation:
+          </span>{" "}
+          {cancellationPolicies[booking.cancellation?.policy]?.description}
         </p>
+
+        {booking.modifications?.length > 0 && (
+          <p className="text-xs text-gray-400">
+            Modified {new Date(booking.modifications.at(-1).changedAt).toDateString()}
+          </p>
+        )}
       </div>
     </div>
 
@@ -168,21 +303,199 @@ const MyBookings = () => {
     </p>
   </div>
 
+  {holdRemaining(booking) && (
+    <p className="text-xs text-orange-500">
+      Pay within {holdRemaining(booking)}
+    </p>
+  )}
+
   {booking.paymentStatus !== "paid" &&
     booking.status !== "cancelled" &&
     booking.status !== "refunded" && (
       <button
-        onClick={() => handlePayment(booking._id)}
+        onClick={() => handlePayment({ bookingId: booking._id })}
         className="px-4 py-1.5 mt-2 text-xs border border-gray-400 rounded-full hover:bg-gray-50 transition-all"
       >
         Pay Now
       </button>
     )}
+
+  {booking.paymentStatus === "paid" && booking.balanceDue > 0 && (
+    <button
+      onClick={() => handlePayment({ bookingId: booking._id })}
+      className="px-4 py-1.5 mt-2 text-xs border border-gray-400 rounded-full hover:bg-gray-50 transition-all"
+    >
+      Pay balance
+    </button>
+  )}
+
+  {isModifiable(booking) && editing !== booking._id && (
+    <button
+      onClick={() => startEditing(booking)}
+      className="px-4 py-1.5 text-xs border border-gray-400 rounded-full hover:bg-gray-50 transition-all"
+    >
+      Modify
+    </button>
+  )}
+
+  {booking.cancellation?.cancellable && (
+    <button
+      onClick={() => cancelBooking(booking)}
+      className="px-4 py-1.5 text-xs border border-red-300 text-red-500 rounded-full hover:bg-red-50 transition-all"
+    >
+      Cancel booking
+      {booking.cancellation.refundableAmount > 0 &&
+        ` (refund ${formatPrice(booking.cancellation.refundableAmount, booking.currency, { exact: true })})`}
+    </button>
+  )}
 </div>
+
+    {editing === booking._id && (
+      <div className="md:col-span-3 flex flex-wrap items-end gap-4 mt-4 p-4 bg-gray-50 rounded text-sm">
+        <div className="flex flex-col">
+          <label className="text-gray-500">Room</label>
+          <select
+            value={changes.room}
+            onChange={(e) => setChanges({ ...changes, room: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1.5"
+          >
+            {rooms
+              .filter((room) => room.hotel?._id === booking.hotel._id)
+              .map((room) => (
+                <option key={room._id} value={room._id}>
+                  {room.roomType} ({formatPrice(room.pricePerNight, room.hotel.currency)}/night, sleeps {room.maxAdults + room.maxChildren})
+                </option>
+              ))}
+          </select>
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-500">Check-In</label>
+          <input
+            type="date"
+            value={changes.checkInDate}
+            min={new Date().toISOString().slice(0, 10)}
+            onChange={(e) => setChanges({ ...changes, checkInDate: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-500">Check-Out</label>
+          <input
+            type="date"
+            value={changes.checkOutDate}
+            min={changes.checkInDate}
+            onChange={(e) => setChanges({ ...changes, checkOutDate: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-500">Adults</label>
+          <input
+            type="number"
+            min={1}
+            value={changes.adults}
+            onChange={(e) => setChanges({ ...changes, adults: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 w-20"
+          />
+        </div>
+        <div className="flex flex-col">
+          <label className="text-gray-500">Children</label>
+          <input
+            type="number"
+            min={0}
+            value={changes.children}
+            onChange={(e) => setChanges({ ...changes, children: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1 w-20"
+          />
+        </div>
+        <button
+          onClick={() => modifyBooking(booking)}
+          className="px-4 py-1.5 bg-primary text-white rounded hover:bg-blue-700"
+        >
+          Save changes
+        </button>
+        <button
+          onClick={() => setEditing(null)}
+          className="px-4 py-1.5 border border-gray-300 rounded hover:bg-gray-100"
+        >
+          Discard
+        </button>
+      </div>
+    )}
   </div>
-))}
+    );
+
+    return (
+        <div className='py-28 md:pb-35 md:pt-32 px-4 md:px-16 lg:px-24 xl:px-32'>
+            <Title title='My Bookings' subTitle='Easily manage your past, current, and upcoming hotel reservations in one place. Plan your trips seamlessly with just a few clicks' align='left' />
+            <div className="max-w-6xl mt-8 w-full text-gray-800">
+                <div className="hidden md:grid md:grid-cols-[3fr_2fr_1fr] w-full border-b border-gray-300 font-medium text-base py-3">
+                    <div className="w-1/3">Hotels</div>
+                    <div className="w-1/3">Date & Timings</div>
+                    <div className="w-1/3">Payment</div>
+                </div>
+
+                {entries.map((group) =>
+                    group.length === 1 ? renderBooking(group[0]) : (
+                        <div key={group[0].group} className="border border-gray-300 rounded-lg px-4 my-6">
+                            <div className="flex flex-wrap items-center justify-between gap-3 py-4 border-b border-gray-300">
+                                <div>
+                                    <p className="font-playfair text-xl">Group trip to {group[0].hotel.name}</p>
+                                    <p className="text-sm text-gray-500">
+                                        {group.length} rooms • Total: {formatPrice(group.reduce((sum, b) => sum + b.totalPrice, 0), group[0].currency, { exact: true })}
+                                    </p>
+                                </div>
+                                {group.some((b) => b.paymentStatus !== "paid" && !["cancelled", "refunded"].includes(b.status)) && (
+                                    <button
+                                        onClick={() => handlePayment({ groupId: group[0].group })}
+                                        className="px-4 py-1.5 text-xs border border-gray-400 rounded-full hover:bg-gray-50 transition-all"
+                                    >
+                                        Pay for all rooms
+                                    </button>
+                                )}
+                            </div>
+                            {group.map(renderBooking)}
+                        </div>
+                    )
+                )}
 
             </div>
+
+            {waitlist.length > 0 && (
+                <div className="max-w-6xl mt-12 w-full text-gray-800">
+                    <p className="font-playfair text-2xl">Waitlist</p>
+                    {waitlist.map((entry) => (
+                        <div key={entry._id} className="flex flex-wrap items-center justify-between gap-4 border-b border-gray-300 py-4 text-sm">
+                            <div>
+                                <p className="font-medium">
+                                    {entry.room?.hotel?.name} ({entry.room?.roomType})
+                                </p>
+                                <p className="text-gray-500">
+                                    {new Date(entry.checkInDate).toDateString()} → {new Date(entry.checkOutDate).toDateString()}
+                                </p>
+                            </div>
+                            <div className="flex items-center gap-3">
+                                {entry.status === "offered" ? (
+                                    <button
+                                        onClick={() => navigate(`/rooms/${entry.room?._id}?waitlist=${entry.offerToken}`)}
+                                        className="px-4 py-1.5 text-xs bg-primary text-white rounded-full hover:bg-blue-700"
+                                    >
+                                        Available now - book by {new Date(entry.offerExpiresAt).toLocaleTimeString()}
+                                    </button>
+                                ) : (
+                                    <span className="text-gray-500">Waiting</span>
+                                )}
+                                <button
+                                    onClick={() => leaveWaitlist(entry._id)}
+                                    className="px-4 py-1.5 text-xs border border-gray-400 rounded-full hover:bg-gray-50 transition-all"
+                                >
+                                    Leave
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
         </div>
     )
 }
@@ -1,33 +1,61 @@
 import React, { useEffect, useState, useMemo } from 'react'
-import { assets, roomCommonData } from '../assets/assets'
+import { assets, roomCommonData, cancellationPolicies } from '../assets/assets'
 import { useAppContext } from '../context/AppContext';
 import { useUser } from "@clerk/clerk-react";
 import DatePicker from "react-datepicker";
 import "react-datepicker/dist/react-datepicker.css";
-import { useParams } from 'react-router-dom';
+import { useParams, useSearchParams } from 'react-router-dom';
 import StarRating from '../components/StarRating';
+import OfferBadge from '../components/OfferBadge';
+import PriceBreakdown from '../components/PriceBreakdown';
 import toast from 'react-hot-toast';
 
 const RoomDetails = () => {
     const { id } = useParams();
+    const [searchParams] = useSearchParams();
+    const waitlistToken = searchParams.get('waitlist');
     const { user } = useUser();
 
-    const { facilityIcons, rooms, getToken, axios, navigate } = useAppContext();
+    const { facilityIcons, rooms, getToken, axios, navigate, formatPrice } = useAppContext();
 
     const [room, setRoom] = useState(null);
     const [mainImage, setMainImage] = useState(null);
     const [checkInDate, setCheckInDate] = useState(null);
     const [checkOutDate, setCheckOutDate] = useState(null);
-    const [bookings, setBookings] = useState([]);
-    const ifUserPrev = bookings.some(
-  booking =>
-    booking.user === user?.id &&
-    booking.room === room?._id
-    );
-
-    const [guests, setGuests] = useState(1);
-
-    const currency = import.meta.env.VITE_CURRENCY
+    const [bookedDates, setBookedDates] = useState([]);
+    // Price, night by night, and availability of the chosen stay
+    const [quote, setQuote] = useState(null);
+
+    // What the guest typed, and the code last applied to the price
+    const [promoInput, setPromoInput] = useState('');
+    const [promoCode, setPromoCode] = useState('');
+    const [myBooking, setMyBooking] = useState(null);
+    const [waitlistOffer, setWaitlistOffer] = useState(null);
+    const [waitlistDates, setWaitlistDates] = useState({ checkInDate: '', checkOutDate: '' });
+
+    const [adults, setAdults] = useState(1);
+    const [children, setChildren] = useState(0);
+    const [arrivalTime, setArrivalTime] = useState('');
+    const [specialRequests, setSpecialRequests] = useState('');
+
+    // Other rooms at this hotel added to the same trip, keyed by room id
+    const [extraRooms, setExtraRooms] = useState({});
+    const otherRooms = rooms.filter(r => r.hotel?._id === room?.hotel?._id && r._id !== id);
+
+    const toggleExtraRoom = (roomId) => {
+        setExtraRooms(prev => {
+            const next = { ...prev };
+            if (next[roomId]) delete next[roomId];
+            else next[roomId] = { adults: 1, children: 0 };
+            return next;
+        });
+    };
+
+    // Capacity of the room, used to cap the party size inputs
+    const maxAdults = room?.maxAdults ?? 2;
+    const maxChildren = room?.maxChildren ?? 2;
+
+    const hotelCurrency = room?.hotel.currency
 
     const onSubmitHandler = async (e) => {
         try {
@@ -35,13 +63,18 @@ const RoomDetails = () => {
                 toast.error("Invalid date selection, Check-Out date must be after Check-In date");
                 return;
             }
-            if (ifUserPrev) {
-                toast.error("You have already booked this room");
-                navigate('/my-bookings');
-                return;
-            }
             e.preventDefault();
-            const { data } = await axios.post('/api/bookings/book', { room: id, checkInDate, checkOutDate, guests, paymentMethod: "Pay At Hotel" }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            const headers = { Authorization: `Bearer ${await getToken()}` };
+            const extras = Object.entries(extraRooms);
+            const notes = { arrivalTime: arrivalTime || null, specialRequests, promoCode };
+            const { data } = extras.length
+                ? await axios.post('/api/bookings/book-group', {
+                    rooms: [{ room: id, adults, children }, ...extras.map(([room, party]) => ({ room, ...party }))],
+                    checkInDate: toDateKey(checkInDate),
+                    checkOutDate: toDateKey(checkOutDate),
+                    ...notes,
+                }, { headers })
+                : await axios.post('/api/bookings/book', { room: id, checkInDate: toDateKey(checkInDate), checkOutDate: toDateKey(checkOutDate), adults, children, ...notes, paymentMethod: "Pay At Hotel" }, { headers })
             if (data.success) {
                 toast.success(data.message)
                 navigate('/my-bookings')
@@ -50,7 +83,7 @@ const RoomDetails = () => {
                 toast.error(data.message)
             }
         } catch (error) {
-            toast.error(error.message)
+            toast.error(error.response?.data?.message || error.message)
         }
     }
 
@@ -60,44 +93,173 @@ const RoomDetails = () => {
         room && setMainImage(room.images[0]);
     }, [rooms]);
 
+    // The guest's own active booking for this room, with its cancellation terms
+    const fetchMyBooking = async () => {
+        try {
+            const { data } = await axios.get('/api/bookings/user', { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                setMyBooking(data.bookings.find(b => b.room?._id === id && b.cancellation?.cancellable) || null)
+            }
+        } catch (error) {
+            console.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user && room?._id) fetchMyBooking();
+    }, [user, room]);
+
+    const cancelMyBooking = async () => {
+        if (!window.confirm("Cancel your booking for this room?")) return;
+        try {
+            const { data } = await axios.post(`/api/bookings/${myBooking._id}/cancel`, {}, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setMyBooking(null)
+                navigate('/my-bookings')
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    // Opened from a waitlist email: prefill the stay that was offered
+    useEffect(() => {
+        const fetchOffer = async () => {
+            try {
+                const { data } = await axios.get(`/api/waitlist/offer/${waitlistToken}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+                if (data.success) {
+                    const fromKey = (value) => {
+                        const [y, m, d] = value.slice(0, 10).split('-').map(Number);
+                        return new Date(y, m - 1, d);
+                    };
+                    setWaitlistOffer(data.entry)
+                    setCheckInDate(fromKey(data.entry.checkInDate))
+                    setCheckOutDate(fromKey(data.entry.checkOutDate))
+                    setAdults(data.entry.adults)
+                    setChildren(data.entry.children)
+                } else {
+                    toast.error(data.message)
+                }
+            } catch (error) {
+                toast.error(error.response?.data?.message || error.message)
+            }
+        }
+
+        if (user && waitlistToken) fetchOffer();
+    }, [user, waitlistToken]);
+
+    const joinWaitlist = async () => {
+        if (!waitlistDates.checkInDate || !waitlistDates.checkOutDate) {
+            toast.error("Choose the dates you'd like to stay")
+            return;
+        }
+        try {
+            const { data } = await axios.post('/api/waitlist', { room: id, ...waitlistDates, adults, children }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setWaitlistDates({ checkInDate: '', checkOutDate: '' })
+            } else {
+                toast.error(data.message)
+            }
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    // Nights already taken, as YYYY-MM-DD calendar dates from the server
     useEffect(() => {
-        const fetchBookings = async () => {
-            const { data } = await axios.get(`/api/bookings/room/${room._id}`);
-            setBookings(data);
+        const fetchAvailability = async () => {
+            const { data } = await axios.get(`/api/rooms/${room._id}/availability`);
+            if (data.success) setBookedDates(data.bookedDates);
         };
 
-        if (room?._id) fetchBookings();
+        if (room?._id) fetchAvailability();
     }, [room]);
-    
-    const normalizeDate = (date) =>
-        new Date(date.getFullYear(), date.getMonth(), date.getDate());
 
+    useEffect(() => {
+        // Dates change faster than quotes come back; only the latest counts
+        let stale = false;
+
+        const fetchQuote = async () => {
+            try {
+                const { data } = await axios.post('/api/bookings/quote', {
+                    room: id,
+                    checkInDate: toDateKey(checkInDate),
+                    checkOutDate: toDateKey(checkOutDate),
+                    adults,
+                    children,
+                    promoCode,
+                }, { headers: user ? { Authorization: `Bearer ${await getToken()}` } : {} });
+                if (stale) return;
+                setQuote(data.success ? data : null);
+                if (data.promoError) {
+                    toast.error(data.promoError);
+                    setPromoCode('');
+                }
+            } catch {
+                if (!stale) setQuote(null);
+            }
+        };
+
+        if (checkInDate && checkOutDate > checkInDate) fetchQuote();
+        else setQuote(null);
 
-    const disabledDates = useMemo(() => {
-    const dates = [];
+        return () => { stale = true; };
+    }, [id, checkInDate, checkOutDate, adults, children, promoCode]);
 
-  bookings.forEach(({ checkInDate, checkOutDate, user }) => {
-    let current = normalizeDate(new Date(checkInDate));
-    const end = normalizeDate(new Date(checkOutDate));
+    // "3 left" for the chosen dates, otherwise for tonight
+    const left = quote?.unitsLeft ?? room?.unitsLeft;
 
+    // Calendar date of a picker value, independent of the guest's timezone
+    const toDateKey = (date) =>
+        `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 
-    while (current <= end) {
-      dates.push(new Date(current));
-      current.setDate(current.getDate() + 1);
-    }
-  });
-
-  return dates;
-    }, [bookings]);
-    
-const isDateBooked = (date) => {
-  return bookings.some(({ checkInDate, checkOutDate }) => {
-    return (
-      date >= new Date(checkInDate) &&
-      date <= new Date(checkOutDate)
+    // A booked night can't be a check-in day, but the stay before it may check out that morning
+    const disabledDates = useMemo(
+        () => bookedDates.map((key) => {
+            const [y, m, d] = key.split('-').map(Number);
+            return new Date(y, m - 1, d);
+        }),
+        [bookedDates]
     );
-  });
-};
+
+    // The room's stay rules (already merged with the hotel's) limit which
+    // days can be picked
+    const stayRules = room?.stayRules;
+    const addDays = (date, days) => {
+        const next = new Date(date);
+        next.setDate(next.getDate() + days);
+        return next;
+    };
+    const today = new Date(new Date().setHours(0, 0, 0, 0));
+    const firstCheckIn = addDays(today, stayRules?.minLeadDays ?? 0);
+    const lastCheckIn = addDays(today, stayRules?.maxAdvanceDays ?? 365);
+
+    const isValidCheckIn = (date) =>
+        !stayRules?.arrivalDays.length || stayRules.arrivalDays.includes(date.getDay());
+
+    const isValidCheckOut = (date) => {
+        if (!checkInDate || date <= checkInDate) return false;
+        const night = new Date(checkInDate);
+        let nights = 0;
+        while (toDateKey(night) < toDateKey(date)) {
+            if (bookedDates.includes(toDateKey(night))) return false;
+            night.setDate(night.getDate() + 1);
+            nights++;
+        }
+        return nights >= (stayRules?.minNights ?? 1) && (!stayRules?.maxNights || nights <= stayRules.maxNights);
+    };
+
+    const weekdayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const stayRuleNotes = stayRules ? [
+        stayRules.minNights > 1 && `Minimum stay ${stayRules.minNights} nights`,
+        stayRules.maxNights && `Maximum stay ${stayRules.maxNights} night${stayRules.maxNights === 1 ? '' : 's'}`,
+        stayRules.arrivalDays.length > 0 && `Check-in on ${stayRules.arrivalDays.map((d) => weekdayNames[d]).join(', ')}`,
+        stayRules.minLeadDays > 0 && `Book at least ${stayRules.minLeadDays} day${stayRules.minLeadDays === 1 ? '' : 's'} ahead`,
+    ].filter(Boolean) : [];
 
 
 
@@ -107,7 +269,12 @@ const isDateBooked = (date) => {
             {/* Room Details */}
             <div className='flex flex-col md:flex-row items-start md:items-center gap-2'>
                 <h1 className='text-3xl md:text-4xl font-playfair'>{room.hotel.name} <span className='font-inter text-sm'>({room.roomType})</span></h1>
-                <p className='text-xs font-inter py-1.5 px-3 text-white bg-orange-500 rounded-full'>20% OFF</p>
+                <OfferBadge offer={room.offer} className='text-white bg-orange-500' />
+                {left > 0 && left <= 3 && (
+                    <p className='text-xs font-inter py-1.5 px-3 text-red-600 bg-red-50 rounded-full'>
+                        {left} left{quote ? ' for your dates' : ''}
+                    </p>
+                )}
             </div>
             <div className='flex items-center gap-1 mt-2'>
                 <StarRating />
@@ -146,8 +313,28 @@ const isDateBooked = (date) => {
                         ))}
                     </div>
                 </div>
-                {/* Room Price */}
-                <p className='text-2xl font-medium'>{currency}{room.pricePerNight}/night</p>
+                {/* Room Price, and a live summary once dates are picked since rates vary by night */}
+                <div className='md:text-right'>
+                    <p className='text-2xl font-medium'>{formatPrice(room.pricePerNight, hotelCurrency)}/night</p>
+                    {quote && (
+                        <div className='mt-2 min-w-56 text-left'>
+                            {quote.message && <p className='text-red-500 text-sm mb-1'>{quote.message}</p>}
+                            {quote.promotion && <p className='text-green-600 text-sm mb-1'>{quote.promotion.title} applied</p>}
+                            <details className='text-sm text-gray-500 mb-1'>
+                                <summary className='cursor-pointer'>
+                                    {quote.nights.length} night{quote.nights.length === 1 ? '' : 's'}
+                                </summary>
+                                {quote.nights.map((night) => (
+                                    <div key={night.date} className='flex justify-between gap-6 text-xs'>
+                                        <span>{new Date(night.date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })}</span>
+                                        <span>{formatPrice(night.price, quote.currency, { exact: true })}</span>
+                                    </div>
+                                ))}
+                            </details>
+                            <PriceBreakdown breakdown={quote.priceBreakdown} currency={quote.currency} />
+                        </div>
+                    )}
+                </div>
             </div>
 
             <form
@@ -170,8 +357,9 @@ const isDateBooked = (date) => {
             setCheckInDate(date);
             setCheckOutDate(null);
         }}
-        minDate={new Date()}
-        maxDate={new Date(new Date().setFullYear(new Date().getFullYear() + 1))}
+        minDate={firstCheckIn}
+        maxDate={lastCheckIn}
+        filterDate={isValidCheckIn}
         excludeDates={disabledDates}
         placeholderText="Check-In"
         className="w-full rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none"
@@ -185,8 +373,9 @@ const isDateBooked = (date) => {
       <DatePicker
   selected={checkOutDate}
   onChange={(date) => setCheckOutDate(date)}
-  minDate={checkInDate}
-  excludeDates={disabledDates}
+  minDate={checkInDate && addDays(checkInDate, stayRules?.minNights ?? 1)}
+  maxDate={checkInDate && stayRules?.maxNights ? addDays(checkInDate, stayRules.maxNights) : null}
+  filterDate={isValidCheckOut}
   disabled={!checkInDate}
   placeholderText="Check-Out"
   className="w-full rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none"
@@ -197,17 +386,76 @@ const isDateBooked = (date) => {
     <div className='w-px h-15 bg-gray-300/70 max-md:hidden'></div>
 
     <div className='flex flex-col'>
-      <label htmlFor='guests' className='font-medium'>Guests</label>
+      <label htmlFor='adults' className='font-medium'>Adults</label>
       <input
-        onChange={(e) => setGuests(e.target.value)}
-        value={guests}
-        id='guests'
+        onChange={(e) => setAdults(Math.min(Math.max(+e.target.value, 1), maxAdults))}
+        value={adults}
+        id='adults'
         type='number'
+        min={1}
+        max={maxAdults}
         className='max-w-20 rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none'
-        placeholder='0'
+        placeholder='1'
         required
       />
     </div>
+
+    <div className='flex flex-col'>
+      <label htmlFor='children' className='font-medium'>Children</label>
+      <input
+        onChange={(e) => setChildren(Math.min(Math.max(+e.target.value, 0), maxAdults + maxChildren - adults))}
+        value={children}
+        id='children'
+        type='number'
+        min={0}
+        max={maxAdults + maxChildren - adults}
+        className='max-w-20 rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none'
+        placeholder='0'
+      />
+    </div>
+
+    <div className='w-px h-15 bg-gray-300/70 max-md:hidden'></div>
+
+    <div className='flex flex-col'>
+      <label htmlFor='arrivalTime' className='font-medium'>Arrival Time</label>
+      <input
+        onChange={(e) => setArrivalTime(e.target.value)}
+        value={arrivalTime}
+        id='arrivalTime'
+        type='time'
+        className='rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none'
+      />
+    </div>
+
+    <div className='flex flex-col'>
+      <label htmlFor='promoCode' className='font-medium'>Promo Code</label>
+      <div className='flex gap-2 mt-1.5'>
+        <input
+          onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+          value={promoInput}
+          id='promoCode'
+          type='text'
+          placeholder='SUMMER25'
+          className='max-w-32 rounded border border-gray-300 px-3 py-2 outline-none'
+        />
+        <button type='button' onClick={() => setPromoCode(promoInput.trim())} className='px-3 text-sm text-primary border border-primary rounded cursor-pointer'>
+          {promoCode && promoCode === promoInput.trim() ? 'Applied' : 'Apply'}
+        </button>
+      </div>
+    </div>
+
+    <div className='flex flex-col w-full md:basis-full'>
+      <label htmlFor='specialRequests' className='font-medium'>Special Requests <span className='font-normal text-xs'>(optional)</span></label>
+      <textarea
+        onChange={(e) => setSpecialRequests(e.target.value)}
+        value={specialRequests}
+        id='specialRequests'
+        rows={2}
+        maxLength={500}
+        placeholder='Late arrival, extra bed, dietary needs...'
+        className='rounded border border-gray-300 px-3 py-2 mt-1.5 outline-none resize-none'
+      />
+    </div>
   </div>
 
 <button
@@ -219,7 +467,7 @@ const isDateBooked = (date) => {
     md:px-25 py-3 md:py-4
     cursor-pointer
     ${
-      !user || ifUserPrev
+      !user
         ? "bg-red-500 hover:bg-red-600 text-sm"
         : "bg-primary hover:bg-primary-dull text-base"
     }
@@ -227,8 +475,8 @@ const isDateBooked = (date) => {
 >
   {!user
     ? "Login to Book"
-    : ifUserPrev
-    ? "You Booked Already"
+    : Object.keys(extraRooms).length
+    ? `Book ${Object.keys(extraRooms).length + 1} Rooms`
     : "Book Now"}
 </button>
 
@@ -236,6 +484,80 @@ const isDateBooked = (date) => {
 
 </form>
 
+            {stayRuleNotes.length > 0 && (
+                <p className='max-w-6xl mx-auto mt-3 text-sm text-gray-500'>{stayRuleNotes.join(' · ')}</p>
+            )}
+
+            {waitlistOffer && (
+                <p className='max-w-6xl mx-auto mt-4 text-sm text-green-700 bg-green-50 rounded px-4 py-2'>
+                    Good news! This room is held for you until {new Date(waitlistOffer.offerExpiresAt).toLocaleString()}. Book now to secure it.
+                </p>
+            )}
+
+            {/* Waitlist for dates that are already taken */}
+            {user && (
+                <div className='max-w-6xl mx-auto mt-6 flex flex-wrap items-end gap-3 text-sm text-gray-600'>
+                    <p className='w-full font-medium text-gray-700'>Your dates sold out? Join the waitlist and we'll email you if the room frees up.</p>
+                    <input type='date' value={waitlistDates.checkInDate} min={toDateKey(new Date())}
+                        onChange={(e) => setWaitlistDates({ ...waitlistDates, checkInDate: e.target.value })}
+                        className='rounded border border-gray-300 px-2 py-1' />
+                    <input type='date' value={waitlistDates.checkOutDate} min={waitlistDates.checkInDate || toDateKey(new Date())}
+                        onChange={(e) => setWaitlistDates({ ...waitlistDates, checkOutDate: e.target.value })}
+                        className='rounded border border-gray-300 px-2 py-1' />
+                    <button type='button' onClick={joinWaitlist} className='px-4 py-1.5 border border-gray-400 rounded-md hover:bg-gray-50 cursor-pointer'>
+                        Join waitlist
+                    </button>
+                </div>
+            )}
+
+            {/* Group booking: more rooms at this hotel for the same dates */}
+            {user && otherRooms.length > 0 && (
+                <div className='max-w-6xl mx-auto mt-6 text-sm'>
+                    <p className='font-medium text-gray-700'>Travelling as a group? Add more rooms at {room.hotel.name} for the same dates</p>
+                    <div className='flex flex-col gap-2 mt-3'>
+                        {otherRooms.map(other => (
+                            <div key={other._id} className='flex flex-wrap items-center gap-4 text-gray-600'>
+                                <label className='flex items-center gap-2 cursor-pointer min-w-56'>
+                                    <input type='checkbox' checked={!!extraRooms[other._id]} onChange={() => toggleExtraRoom(other._id)} />
+                                    {other.roomType} ({formatPrice(other.pricePerNight, hotelCurrency)}/night)
+                                </label>
+                                {extraRooms[other._id] && (
+                                    <>
+                                        <label>Adults <input type='number' min={1} max={other.maxAdults} value={extraRooms[other._id].adults}
+                                            onChange={(e) => setExtraRooms({ ...extraRooms, [other._id]: { ...extraRooms[other._id], adults: +e.target.value } })}
+                                            className='w-16 rounded border border-gray-300 px-2 py-1 ml-1' /></label>
+                                        <label>Children <input type='number' min={0} max={other.maxChildren} value={extraRooms[other._id].children}
+                                            onChange={(e) => setExtraRooms({ ...extraRooms, [other._id]: { ...extraRooms[other._id], children: +e.target.value } })}
+                                            className='w-16 rounded border border-gray-300 px-2 py-1 ml-1' /></label>
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                </div>
+            )}
+
+            {/* Cancellation Policy */}
+            <div className='max-w-6xl mx-auto mt-6 flex flex-col md:flex-row md:items-center justify-between gap-4 text-sm text-gray-500'>
+                <p>
+                    <span className='font-medium text-gray-700'>
+                        {cancellationPolicies[room.hotel.cancellationPolicy || 'flexible'].label} cancellation:
+                    </span>{' '}
+                    {cancellationPolicies[room.hotel.cancellationPolicy || 'flexible'].description}
+                </p>
+                {myBooking && (
+                    <div className='flex gap-2'>
+                    <button onClick={() => navigate('/my-bookings')} className='px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 whitespace-nowrap cursor-pointer'>
+                        Modify booking
+                    </button>
+                    <button onClick={cancelMyBooking} className='px-4 py-2 border border-red-300 text-red-500 rounded-md hover:bg-red-50 whitespace-nowrap cursor-pointer'>
+                        Cancel booking
+                        {myBooking.cancellation.refundableAmount > 0 && ` (refund ${formatPrice(myBooking.cancellation.refundableAmount, myBooking.currency, { exact: true })})`}
+                    </button>
+                    </div>
+                )}
+            </div>
+
 
             {/* Common Specifications */}
             <div className='mt-25 space-y-4'>                
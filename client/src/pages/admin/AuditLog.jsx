@@ -0,0 +1,223 @@
+import React, { useEffect, useState } from "react";
+import Title from "../../components/Title";
+import { useAppContext } from "../../context/AppContext";
+import toast from "react-hot-toast";
+
+const ACTIONS = [
+  "hotel.approve",
+  "hotel.decline",
+  "hotel.availability.toggle",
+  "room.availability.toggle",
+  "room.blackout.add",
+  "room.blackout.remove",
+  "room.rates.update",
+  "user.role.update",
+  "booking.release",
+  "booking.refund",
+  "booking.payment.mark",
+  "booking.checked_in",
+  "booking.checked_out",
+  "booking.no_show",
+  "promotion.create",
+  "promotion.update",
+  "promotion.delete",
+  "tax.create",
+  "tax.toggle",
+  "tax.delete",
+  "currency.rate.update",
+  "currency.rate.delete",
+  "city.add",
+  "city.delete",
+  "support.reply",
+];
+
+const AuditLog = () => {
+  const { axios, getToken, user } = useAppContext();
+  const [logs, setLogs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [filters, setFilters] = useState({ action: "", targetType: "", from: "", to: "" });
+
+  const limit = 25;
+
+  const fetchLogs = async () => {
+    try {
+      const params = { page, limit };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+
+      const { data } = await axios.get("/api/admin/audit", {
+        params,
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
+
+      if (data.success) {
+        setLogs(data.logs);
+        setTotal(data.total);
+      } else toast.error(data.message);
+    } catch (error) {
+      toast.error(error.message);
+    }
+  };
+
+  useEffect(() => {
+    if (user) fetchLogs();
+  }, [user, page, filters]);
+
+  const updateFilter = (key, value) => {
+    setPage(1);
+    setFilters((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+  return (
+    <div>
+      <Title
+        align="left"
+        font="outfit"
+        title="Audit Log"
+        subTitle="Review every privileged action taken across the platform, who took it and what changed."
+      />
+
+      <div className="mt-6 flex flex-wrap gap-3 items-end text-sm">
+        <div className="flex flex-col">
+          <label className="text-gray-500">Action</label>
+          <select
+            value={filters.action}
+            onChange={(e) => updateFilter("action", e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1.5"
+          >
+            <option value="">All actions</option>
+            {ACTIONS.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-col">
+          <label className="text-gray-500">Target</label>
+          <select
+            value={filters.targetType}
+            onChange={(e) => updateFilter("targetType", e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1.5"
+          >
+            <option value="">All targets</option>
+            <option value="Hotel">Hotel</option>
+            <option value="HotelPending">Pending Hotel</option>
+            <option value="Room">Room</option>
+            <option value="User">User</option>
+            <option value="Booking">Booking</option>
+            <option value="City">City</option>
+            <option value="Promotion">Promotion</option>
+            <option value="TaxRule">Tax / Fee</option>
+            <option value="ExchangeRate">Exchange Rate</option>
+            <option value="Contact">Support Message</option>
+          </select>
+        </div>
+
+        <div className="flex flex-col">
+          <label className="text-gray-500">From</label>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(e) => updateFilter("from", e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        </div>
+
+        <div className="flex flex-col">
+          <label className="text-gray-500">To</label>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(e) => updateFilter("to", e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          />
+        </div>
+      </div>
+
+      <p className="text-gray-500 mt-8">Total Entries: {total}</p>
+      <div className="w-full text-left border border-gray-300 rounded-lg mt-3 overflow-hidden">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="py-3 px-4 text-gray-800 font-medium">Time</th>
+              <th className="py-3 px-4 text-gray-800 font-medium">Actor</th>
+              <th className="py-3 px-4 text-gray-800 font-medium">Action</th>
+              <th className="py-3 px-4 text-gray-800 font-medium max-sm:hidden">Target</th>
+            </tr>
+          </thead>
+          <tbody className="text-sm">
+            {logs.map((log) => (
+              <React.Fragment key={log._id}>
+                <tr
+                  onClick={() => setExpanded(expanded === log._id ? null : log._id)}
+                  className="cursor-pointer hover:bg-gray-50"
+                >
+                  <td className="py-3 px-4 text-gray-700 border-t border-gray-300">
+                    {new Date(log.createdAt).toLocaleString()}
+                  </td>
+                  <td className="py-3 px-4 text-gray-700 border-t border-gray-300">
+                    {log.actor?.username || log.actor?.email || "Unknown"}
+                  </td>
+                  <td className="py-3 px-4 text-blue-600 border-t border-gray-300">{log.action}</td>
+                  <td className="py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden">
+                    {log.targetType} #{log.targetId.slice(-6)}
+                  </td>
+                </tr>
+
+                {expanded === log._id && (
+                  <tr>
+                    <td colSpan={4} className="bg-gray-50 px-6 py-4 border-t border-gray-300">
+                      <div className="grid md:grid-cols-2 gap-4 text-xs">
+                        <div>
+                          <p className="font-medium text-gray-700 mb-1">Before</p>
+                          <pre className="bg-white border rounded p-3 overflow-x-auto">
+                            {JSON.stringify(log.before, null, 2)}
+                          </pre>
+                        </div>
+                        <div>
+                          <p className="font-medium text-gray-700 mb-1">After</p>
+                          <pre className="bg-white border rounded p-3 overflow-x-auto">
+                            {JSON.stringify(log.after, null, 2)}
+                          </pre>
+                        </div>
+                      </div>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+
+        {logs.length === 0 && (
+          <p className="text-gray-500 text-center py-10">No audit entries found</p>
+        )}
+      </div>
+
+      <div className="flex items-center justify-end gap-3 mt-4 text-sm">
+        <button
+          disabled={page <= 1}
+          onClick={() => setPage(page - 1)}
+          className="px-3 py-1.5 border border-gray-300 rounded disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <span className="text-gray-500">Page {page} of {totalPages}</span>
+        <button
+          disabled={page >= totalPages}
+          onClick={() => setPage(page + 1)}
+          className="px-3 py-1.5 border border-gray-300 rounded disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default AuditLog;
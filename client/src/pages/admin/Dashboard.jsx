@@ -11,7 +11,7 @@ import { BadgeCheck, XCircle, Clock } from "lucide-react";
 
 export default function Dashboard() {
 
-    const { Pending, PendingPayment, orders, user, axios } = useAppContext()
+    const { Pending, PendingPayment, orders, user, axios, getToken } = useAppContext()
 
   const [dashboardData, setDashboardData] = useState({
           bookings: [],
@@ -21,7 +21,7 @@ export default function Dashboard() {
   
       const fetchDashboardData = async () => {
           try {
-              const { data } = await axios.get('/api/bookings/hotelAdmin')
+              const { data } = await axios.get('/api/bookings/hotelAdmin', { headers: { Authorization: `Bearer ${await getToken()}` } })
               if (data.success) {
                   setDashboardData(data.dashboardData)
               } else {
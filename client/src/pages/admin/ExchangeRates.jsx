@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react'
+import Title from '../../components/Title'
+import { useAppContext } from '../../context/AppContext'
+import toast from 'react-hot-toast'
+
+const ExchangeRates = () => {
+
+    const { axios, getToken, user, fetchExchangeRates } = useAppContext()
+
+    const [base, setBase] = useState('')
+    const [rates, setRates] = useState([])
+    const [edits, setEdits] = useState({})
+    const [form, setForm] = useState({ currency: '', rate: '' })
+
+    const fetchRates = async () => {
+        try {
+            const { data } = await axios.get('/api/currencies')
+            if (data.success) {
+                setBase(data.base)
+                setRates(data.rates)
+                setEdits({})
+                // Keep guest-facing prices in step with the table
+                fetchExchangeRates()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user) fetchRates()
+    }, [user])
+
+    const saveRate = async (currency, rate) => {
+        try {
+            const { data } = await axios.put(`/api/currencies/${currency.trim()}`, { rate }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setForm({ currency: '', rate: '' })
+                fetchRates()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    const deleteRate = async (currency) => {
+        if (!window.confirm(`Remove ${currency}? Guests will no longer be able to view prices in it.`)) return
+        try {
+            const { data } = await axios.delete(`/api/currencies/${currency}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchRates()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    return (
+        <div>
+            <Title align='left' font='outfit' title='Currencies' subTitle={`Exchange rates used to show guests prices in their own currency. Each rate is how much one ${base || 'unit of the base currency'} buys. Guests are always charged in the hotel's currency.`} />
+
+            <div className='w-full max-w-xl text-left border border-gray-300 rounded-lg mt-6 overflow-hidden text-sm'>
+                <table className='w-full'>
+                    <thead className='bg-gray-50'>
+                        <tr>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Currency</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Per 1 {base}</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Updated</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium text-center'>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>{base} <span className='text-xs text-gray-400'>(base)</span></td>
+                            <td className='py-3 px-4 text-gray-500 border-t border-gray-300'>1</td>
+                            <td className='py-3 px-4 border-t border-gray-300 max-sm:hidden'></td>
+                            <td className='py-3 px-4 border-t border-gray-300'></td>
+                        </tr>
+                        {rates.map((r) => (
+                            <tr key={r._id}>
+                                <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>{r.currency}</td>
+                                <td className='py-3 px-4 border-t border-gray-300'>
+                                    <input type='number' min={0} step='any' className='border border-gray-300 rounded p-1 w-32'
+                                        value={edits[r.currency] ?? r.rate} onChange={(e) => setEdits({ ...edits, [r.currency]: e.target.value })} />
+                                </td>
+                                <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden'>{new Date(r.updatedAt).toLocaleDateString()}</td>
+                                <td className='py-3 px-4 border-t border-gray-300 text-center whitespace-nowrap'>
+                                    <button onClick={() => saveRate(r.currency, edits[r.currency] ?? r.rate)} disabled={edits[r.currency] === undefined}
+                                        className='text-gray-600 hover:underline cursor-pointer disabled:opacity-40 disabled:no-underline'>Save</button>
+                                    <button onClick={() => deleteRate(r.currency)} className='ml-3 text-red-500 hover:underline cursor-pointer'>Delete</button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+
+            <form onSubmit={(e) => { e.preventDefault(); saveRate(form.currency, form.rate) }} className='flex flex-wrap items-end gap-3 mt-4 text-sm'>
+                <input type='text' placeholder='e.g. USD' maxLength={3} className='border border-gray-300 rounded p-2 w-24 uppercase'
+                    value={form.currency} onChange={(e) => setForm({ ...form, currency: e.target.value })} />
+                <input type='number' min={0} step='any' placeholder={`Per 1 ${base}`} className='border border-gray-300 rounded p-2 w-32'
+                    value={form.rate} onChange={(e) => setForm({ ...form, rate: e.target.value })} />
+                <button className='bg-primary text-white px-6 py-2 rounded cursor-pointer'>Add</button>
+            </form>
+        </div>
+    )
+}
+
+export default ExchangeRates
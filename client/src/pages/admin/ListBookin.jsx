@@ -3,8 +3,12 @@ import Title from "../../components/Title";
 import { useAppContext } from "../../context/AppContext";
 import toast from "react-hot-toast";
 
+// What the guest has paid and not had back; older bookings don't track it
+const amountPaidOf = (b) =>
+  b.amountPaid ?? (b.paymentStatus === "paid" ? b.totalPrice - (b.balanceDue || 0) : 0);
+
 const BookingList = () => {
-  const { axios, getToken, user } = useAppContext();
+  const { axios, getToken, user, formatPrice } = useAppContext();
   const [bookings, setBookings] = useState([]);
   const [expanded, setExpanded] = useState(null);
 
@@ -78,7 +82,7 @@ const BookingList = () => {
             >
               <div>
                 <p className="font-medium">
-                  Booking #{b._id.slice(-6)}
+                  Booking {b.reference || `#${b._id.slice(-6)}`}
                 </p>
                 <p className="text-sm text-gray-500">
                   {b.paymentStatus.toUpperCase()} • {b.status}
@@ -94,7 +98,7 @@ const BookingList = () => {
               <div className="bg-gray-50 px-6 py-4 text-sm space-y-2">
                 <p><b>Room:</b> {b.room}</p>
                 <p><b>Guests:</b> {b.guests}</p>
-                <p><b>Total:</b> ₦{b.totalPrice}</p>
+                <p><b>Total:</b> {formatPrice(b.totalPrice, b.currency, { exact: true })}</p>
                 <p>
                   <b>Dates:</b>{" "}
                   {new Date(b.checkInDate).toDateString()} →{" "}
@@ -112,7 +116,7 @@ const BookingList = () => {
                   )}
 
                   {b.paymentStatus === "paid" &&
-                    b.refundStatus !== "refunded" && (
+                    amountPaidOf(b) > 0 && (
                       <button
                         onClick={() => refundBooking(b._id)}
                         className="px-4 py-2 bg-red-600 text-white rounded"
@@ -4,7 +4,7 @@ import { useAppContext } from "../../context/AppContext";
 import toast from "react-hot-toast";
 
 const ListRoom = () => {
-  const { axios, getToken, user } = useAppContext();
+  const { axios, getToken, user, formatPrice } = useAppContext();
   const [rooms, setRooms] = useState([]);
   const [openHotel, setOpenHotel] = useState(null);
 
@@ -116,7 +116,7 @@ const ListRoom = () => {
                           {room.amenities.join(", ")}
                         </td>
                         <td className="py-3 px-4 text-gray-400 border-t border-gray-300">
-                          {room.pricePerNight}
+                          {formatPrice(room.pricePerNight, room.hotel?.currency, { exact: true })}
                         </td>
                         <td className="py-3 px-4 border-t border-gray-300 text-center">
                           <label className="relative inline-flex items-center cursor-pointer text-gray-900 gap-3">
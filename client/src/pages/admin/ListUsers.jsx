@@ -9,7 +9,9 @@ const ListUsers = () => {
 
   const fetchUsers = async () => {
     try {
-      const { data } = await axios.get("/api/user/find-users");
+      const { data } = await axios.get("/api/user/find-users", {
+        headers: { Authorization: `Bearer ${await getToken()}` },
+      });
       if (data.success) {
         setUsers(data.users);
       } else {
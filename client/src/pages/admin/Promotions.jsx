@@ -0,0 +1,12 @@
+import React from 'react'
+import Title from '../../components/Title'
+import PromotionManager from '../../components/PromotionManager'
+
+const Promotions = () => (
+    <div>
+        <Title align='left' font='outfit' title='Promotions' subTitle='Create platform-wide offers and promo codes, and review the ones hotel owners are running.' />
+        <PromotionManager isAdmin />
+    </div>
+)
+
+export default Promotions
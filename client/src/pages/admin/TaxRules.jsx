@@ -0,0 +1,12 @@
+import React from 'react'
+import Title from '../../components/Title'
+import TaxRuleManager from '../../components/TaxRuleManager'
+
+const TaxRules = () => (
+    <div>
+        <Title align='left' font='outfit' title='Taxes & Fees' subTitle='Set VAT, tourism levies and service fees for every hotel in a city, or for a single hotel. They are itemised on each booking.' />
+        <TaxRuleManager isAdmin />
+    </div>
+)
+
+export default TaxRules
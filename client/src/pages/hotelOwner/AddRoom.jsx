@@ -6,7 +6,11 @@ import { useAppContext } from '../../context/AppContext'
 
 const AddRoom = () => {
 
-    const { axios, getToken } = useAppContext()
+    const { axios, getToken, ownerHotels, selectedHotel } = useAppContext()
+
+    // Rooms always belong to one property; in the "all properties" view the owner picks it here
+    const [hotelId, setHotelId] = useState('')
+    const targetHotel = selectedHotel !== 'all' ? selectedHotel : hotelId || ownerHotels[0]?._id || ''
 
     const [images, setImages] = useState({ 1: null, 2: null, 3: null, 4: null })
     const [loading, setLoading] = useState(false);
@@ -14,6 +18,10 @@ const AddRoom = () => {
     const [inputs, setInputs] = useState({
         roomType: '',
         pricePerNight: 0,
+        maxAdults: 2,
+        maxChildren: 0,
+        units: 1,
+        unitNumbers: '',
         amenities: {
             'Free WiFi': false,
             'Free Breakfast': false,
@@ -29,11 +37,24 @@ const AddRoom = () => {
             toast.error("Please fill in all the details")
             return;
         }
+        if (inputs.maxAdults < 1 || inputs.maxChildren < 0) {
+            toast.error("A room must sleep at least one adult")
+            return;
+        }
+        if (inputs.units < 1) {
+            toast.error("A room type needs at least one room")
+            return;
+        }
         setLoading(true);
         try {
             const formData = new FormData()
+            formData.append('hotelId', targetHotel)
             formData.append('roomType', inputs.roomType)
             formData.append('pricePerNight', inputs.pricePerNight)
+            formData.append('maxAdults', inputs.maxAdults)
+            formData.append('maxChildren', inputs.maxChildren)
+            formData.append('units', inputs.units)
+            formData.append('unitNumbers', inputs.unitNumbers)
             const amenities = Object.keys(inputs.amenities).filter(key => inputs.amenities[key])
             formData.append('amenities', JSON.stringify(amenities))
 
@@ -48,6 +69,10 @@ const AddRoom = () => {
                 setInputs({
                     roomType: '',
                     pricePerNight: 0,
+                    maxAdults: 2,
+                    maxChildren: 0,
+                    units: 1,
+                    unitNumbers: '',
                     amenities: {
                         'Free WiFi': false,
                         'Free Breakfast': false,
@@ -85,6 +110,17 @@ const AddRoom = () => {
 
             <div className='w-full flex max-sm:flex-col sm:gap-4 mt-4'>
 
+                {selectedHotel === 'all' && ownerHotels.length > 1 && (
+                    <div className='flex-1 max-w-48'>
+                        <p className='text-gray-800 mt-4'>Hotel</p>
+                        <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-full' value={targetHotel} onChange={(e) => setHotelId(e.target.value)}>
+                            {ownerHotels.map((hotel) => (
+                                <option key={hotel._id} value={hotel._id}>{hotel.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
                 <div className='flex-1 max-w-48'>
                     <p className='text-gray-800 mt-4'>Room Type</p>
                     <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-full' value={inputs.roomType} onChange={(e) => setInputs({ ...inputs, roomType: e.target.value })}>
@@ -101,6 +137,26 @@ const AddRoom = () => {
                     <input type="number" placeholder='0' className='border border-gray-300 mt-1 rounded p-2 w-24' value={inputs.pricePerNight} onChange={(e) => setInputs({ ...inputs, pricePerNight: e.target.value })} />
                 </div>
 
+                <div>
+                    <p className='mt-4 text-gray-800'>Max Adults</p>
+                    <input type="number" min={1} className='border border-gray-300 mt-1 rounded p-2 w-24' value={inputs.maxAdults} onChange={(e) => setInputs({ ...inputs, maxAdults: e.target.value })} />
+                </div>
+
+                <div>
+                    <p className='mt-4 text-gray-800'>Max Children</p>
+                    <input type="number" min={0} className='border border-gray-300 mt-1 rounded p-2 w-24' value={inputs.maxChildren} onChange={(e) => setInputs({ ...inputs, maxChildren: e.target.value })} />
+                </div>
+
+                <div>
+                    <p className='mt-4 text-gray-800'>Rooms of this type</p>
+                    <input type="number" min={1} disabled={!!inputs.unitNumbers.trim()} className='border border-gray-300 mt-1 rounded p-2 w-24 disabled:opacity-50' value={inputs.unitNumbers.trim() ? inputs.unitNumbers.split(',').filter(n => n.trim()).length : inputs.units} onChange={(e) => setInputs({ ...inputs, units: e.target.value })} />
+                </div>
+
+                <div>
+                    <p className='mt-4 text-gray-800'>Room numbers <span className='text-xs'>(optional)</span></p>
+                    <input type="text" placeholder='101, 102, 103' className='border border-gray-300 mt-1 rounded p-2 w-48' value={inputs.unitNumbers} onChange={(e) => setInputs({ ...inputs, unitNumbers: e.target.value })} />
+                </div>
+
             </div>
 
             <p className='text-gray-800 mt-4'>Amenities</p>
@@ -2,6 +2,7 @@ import React, { useEffect, useState } from 'react'
 import { assets } from '../../assets/assets'
 import Title from '../../components/Title';
 import { useAppContext } from '../../context/AppContext';
+import PriceBreakdown from '../../components/PriceBreakdown';
 
 const Dashboard = () => {
 
@@ -29,17 +30,20 @@ const Dashboard = () => {
     };
     
 
-    const { currency, user, getToken, toast, axios } = useAppContext();
+    const { formatPrice, user, getToken, toast, axios, selectedHotel } = useAppContext();
 
     const [dashboardData, setDashboardData] = useState({
         bookings: [],
         totalBookings: 0,
         totalRevenue: 0,
+        realisedRevenue: 0,
+        upcomingRevenue: 0,
+        hotels: [],
     });
 
     const fetchDashboardData = async () => {
         try {
-            const { data } = await axios.get('/api/bookings/hotel', { headers: { Authorization: `Bearer ${await getToken()}` } })
+            const { data } = await axios.get('/api/bookings/hotel', { params: { hotelId: selectedHotel }, headers: { Authorization: `Bearer ${await getToken()}` } })
             if (data.success) {
                 setDashboardData(data.dashboardData)
             } else {
@@ -54,7 +58,14 @@ const Dashboard = () => {
         if (user) {
             fetchDashboardData();
         }
-    }, [user]);
+    }, [user, selectedHotel]);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const guestRequests = dashboardData.bookings
+        .filter((b) => (b.specialRequests || b.arrivalTime) &&
+            ['pending', 'confirmed', 'checked_in'].includes(b.status) &&
+            b.checkOutDate.slice(0, 10) > today)
+        .sort((a, b) => new Date(a.checkInDate) - new Date(b.checkInDate));
 
     return (
         <div>
@@ -71,11 +82,61 @@ const Dashboard = () => {
                     <img className='max-sm:hidden h-10' src={assets.totalRevenueIcon} alt="" />
                     <div className='flex flex-col sm:ml-4 font-medium'>
                         <p className='text-blue-500 text-lg'>Total Revenue</p>
-                        <p className='text-neutral-400 text-base'>{currency} { dashboardData.totalRevenue }</p>
+                        <p className='text-neutral-400 text-base'>{formatPrice(dashboardData.totalRevenue, dashboardData.currency, { exact: true })}</p>
+                        <p className='text-neutral-400 text-xs font-normal mt-1'>
+                            {formatPrice(dashboardData.realisedRevenue, dashboardData.currency, { exact: true })} realised • {formatPrice(dashboardData.upcomingRevenue, dashboardData.currency, { exact: true })} upcoming
+                        </p>
                     </div>
                 </div>
             </div>
 
+            {/* Combined view: per-property totals */}
+            {selectedHotel === 'all' && dashboardData.hotels?.length > 1 && (
+                <>
+                    <h2 className='text-xl text-blue-950/70 font-medium mb-5'>Properties</h2>
+                    <div className='w-full max-w-3xl text-left border border-gray-300 rounded-lg mb-8'>
+                        <table className='w-full'>
+                            <thead className='bg-gray-50'>
+                                <tr>
+                                    <th className='py-3 px-4 text-gray-800 font-medium'>Hotel</th>
+                                    <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>City</th>
+                                    <th className='py-3 px-4 text-gray-800 font-medium text-center'>Bookings</th>
+                                    <th className='py-3 px-4 text-gray-800 font-medium text-center'>Revenue</th>
+                                </tr>
+                            </thead>
+                            <tbody className='text-sm'>
+                                {dashboardData.hotels.map((hotel) => (
+                                    <tr key={hotel._id}>
+                                        <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>{hotel.name}</td>
+                                        <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden'>{hotel.city}</td>
+                                        <td className='py-3 px-4 text-gray-400 border-t border-gray-300 text-center'>{hotel.totalBookings}</td>
+                                        <td className='py-3 px-4 text-gray-400 border-t border-gray-300 text-center'>{formatPrice(hotel.totalRevenue, hotel.currency, { exact: true })}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </>
+            )}
+
+            {/* Upcoming stays where the guest asked for something */}
+            {guestRequests.length > 0 && (
+                <>
+                    <h2 className='text-xl text-blue-950/70 font-medium mb-5'>Guest Requests</h2>
+                    <div className='w-full max-w-3xl border border-amber-200 bg-amber-50 rounded-lg mb-8 divide-y divide-amber-200 text-sm'>
+                        {guestRequests.map((item) => (
+                            <div key={item._id} className='px-4 py-3'>
+                                <p className='text-gray-800 font-medium'>
+                                    {item.user?.username} • {item.room?.roomType} • {new Date(item.checkInDate).toDateString()}
+                                    {item.arrivalTime && <span className='font-normal text-gray-500'> • arriving {item.arrivalTime}</span>}
+                                </p>
+                                {item.specialRequests && <p className='text-amber-900 mt-1 whitespace-pre-line'>{item.specialRequests}</p>}
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+
             <h2 className='text-xl text-blue-950/70 font-medium mb-5'>Recent Bookings</h2>
             {/* Table with heads User Name, Room Name, Amount Paid, Payment Status */}
             <div className='w-full max-w-3xl text-left border border-gray-300 rounded-lg max-h-80 overflow-y-scroll'>
@@ -94,7 +155,9 @@ const Dashboard = () => {
                                 <tr key={index}>
                                     <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>{item.user.username}</td>
                                     <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden'>{item.room.roomType}</td>
-                                    <td className='py-3 px-4 text-gray-400 border-t border-gray-300 text-center'>{currency} {item.totalPrice}</td>
+                                    <td className='py-3 px-4 text-gray-400 border-t border-gray-300'>
+                                        <PriceBreakdown breakdown={item.priceBreakdown} total={item.totalPrice} currency={item.currency} className='text-xs max-w-48 mx-auto' />
+                                    </td>
                                     <td className='py-3 px-4  border-t border-gray-300 flex'>
                                         <span className={`py-1 px-3 text-xs rounded-full mx-auto ${statusColor(item.status)}`}>{item.status}</span>
                                     </td>
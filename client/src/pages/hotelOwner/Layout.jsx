@@ -5,11 +5,11 @@ import { Outlet } from 'react-router-dom'
 import { useAppContext } from '../../context/AppContext'
 
 const Layout = () => {
-    const { isOwner, navigate } = useAppContext()
+    const { isOwner, isStaff, navigate } = useAppContext()
 
     useEffect(() => {
-        if (!isOwner) navigate('/')
-    }, [isOwner])
+        if (!(isOwner || isStaff)) navigate('/')
+    }, [isOwner, isStaff])
 
     return (
         <div className='flex flex-col min-h-screen'>
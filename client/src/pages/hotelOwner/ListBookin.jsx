@@ -3,15 +3,22 @@ import Title from "../../components/Title";
 import { useAppContext } from "../../context/AppContext";
 import toast from "react-hot-toast";
 
+// What the guest has paid and not had back; older bookings don't track it
+const amountPaidOf = (b) =>
+  b.amountPaid ?? (b.paymentStatus === "paid" ? b.totalPrice - (b.balanceDue || 0) : 0);
+
 const BookingList = () => {
-  const { axios, getToken, user } = useAppContext();
+  const { axios, getToken, user, selectedHotel, ownerHotels, formatPrice } = useAppContext();
   const [bookings, setBookings] = useState([]);
   const [expanded, setExpanded] = useState(null);
+  // Room number picked for each arriving booking, keyed by booking id
+  const [assignedUnits, setAssignedUnits] = useState({});
 
 
   const fetchBookings = async () => {
     try {
-      const { data } = await axios.get("/api/bookings", {
+      const { data } = await axios.get("/api/bookings/owner", {
+        params: { hotelId: selectedHotel },
         headers: { Authorization: `Bearer ${await getToken()}` },
       });
 
@@ -24,7 +31,7 @@ const BookingList = () => {
 
   useEffect(() => {
     if (user) fetchBookings();
-  }, [user]);
+  }, [user, selectedHotel]);
 
   const releaseRoom = async (id) => {
     try {
@@ -37,12 +44,74 @@ const BookingList = () => {
       if (data.success) {
         toast.success("Room released");
         fetchBookings();
-      }
+      } else toast.error(data.message);
     } catch (err) {
-      toast.error(err.message);
+      toast.error(err.response?.data?.message || err.message);
+    }
+  };
+
+  const markPaid = async (id) => {
+    try {
+      const { data } = await axios.put(
+        `/api/bookings/${id}/mark-paid`,
+        {},
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+
+      if (data.success) {
+        toast.success("Payment recorded");
+        fetchBookings();
+      } else toast.error(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message);
     }
   };
 
+  const updateStayStatus = async (id, status, unitNumber) => {
+    try {
+      const { data } = await axios.put(
+        `/api/bookings/${id}/stay-status`,
+        { status, unitNumber },
+        { headers: { Authorization: `Bearer ${await getToken()}` } }
+      );
+
+      if (data.success) {
+        toast.success(data.message);
+        fetchBookings();
+      } else toast.error(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.message || err.message);
+    }
+  };
+
+  const isActive = (b) => ["pending", "confirmed"].includes(b.status);
+
+  // Check-in dates are UTC midnights, so compare calendar days
+  const hasArrivalDay = (b) =>
+    new Date().toISOString().slice(0, 10) >= b.checkInDate.slice(0, 10);
+
+  // Actions are granted per hotel: owners can do everything, staff what they were given
+  const can = (booking, permission) =>
+    ownerHotels
+      .find((h) => h._id === booking.hotel?._id)
+      ?.permissions?.includes(permission);
+
+  // Room numbers of the booked room type that no checked-in guest is using
+  const freeUnits = (booking) => {
+    const room = booking.room;
+    if (!room) return [];
+    const all = room.unitNumbers?.length
+      ? room.unitNumbers
+      : Array.from({ length: room.units ?? 1 }, (_, i) => String(i + 1));
+    const occupied = bookings
+      .filter((b) => b.status === "checked_in" && b.room?._id === room._id)
+      .map((b) => b.unitNumber);
+    return all.filter((unit) => !occupied.includes(unit));
+  };
+
+  const isHotelOwner = (booking) =>
+    ownerHotels.find((h) => h._id === booking.hotel?._id)?.isOwner;
+
   const refundBooking = async (id) => {
     try {
       const { data } = await axios.put(
@@ -54,12 +123,115 @@ const BookingList = () => {
       if (data.success) {
         toast.success("Booking refunded");
         fetchBookings();
-      }
+      } else toast.error(data.message);
     } catch (err) {
-      toast.error(err.message);
+      toast.error(err.response?.data?.message || err.message);
     }
   };
 
+  // Rooms booked together in one group checkout are shown as one entry
+  const entries = Object.values(
+    bookings.reduce((acc, b) => {
+      const key = b.group || b._id;
+      (acc[key] ||= []).push(b);
+      return acc;
+    }, {})
+  );
+
+  const renderBooking = (b) => (
+    <div key={b._id} className="space-y-2">
+      {(b.specialRequests || b.arrivalTime) && (
+        <div className="bg-amber-50 border border-amber-200 rounded p-3 text-amber-900">
+          {b.arrivalTime && <p><b>Arriving around:</b> {b.arrivalTime}</p>}
+          {b.specialRequests && <p className="whitespace-pre-line"><b>Special requests:</b> {b.specialRequests}</p>}
+        </div>
+      )}
+      <p>
+        <b>Room:</b> {b.room?.roomType}
+        {b.unitNumber && ` · No. ${b.unitNumber}`}
+      </p>
+      <p><b>Guests:</b> {b.guests}</p>
+      <p><b>Status:</b> {b.status.replace("_", " ")}</p>
+      <p><b>Total:</b> {formatPrice(b.totalPrice, b.currency, { exact: true })}</p>
+      <p>
+        <b>Dates:</b>{" "}
+        {new Date(b.checkInDate).toDateString()} →{" "}
+        {new Date(b.checkOutDate).toDateString()}
+      </p>
+
+      <div className="flex gap-3 mt-4">
+        {isActive(b) && hasArrivalDay(b) && can(b, "frontDesk") && (
+          <>
+            {freeUnits(b).length > 1 && (
+              <select
+                value={assignedUnits[b._id] || ""}
+                onChange={(e) => setAssignedUnits({ ...assignedUnits, [b._id]: e.target.value })}
+                className="border border-gray-300 rounded px-2"
+              >
+                <option value="">Room no.</option>
+                {freeUnits(b).map((unit) => (
+                  <option key={unit} value={unit}>{unit}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={() => updateStayStatus(b._id, "checked_in", assignedUnits[b._id])}
+              className="px-4 py-2 bg-blue-600 text-white rounded"
+            >
+              Check In
+            </button>
+          </>
+        )}
+
+        {b.status === "checked_in" && can(b, "frontDesk") && (
+          <button
+            onClick={() => updateStayStatus(b._id, "checked_out")}
+            className="px-4 py-2 bg-blue-600 text-white rounded"
+          >
+            Check Out
+          </button>
+        )}
+
+        {isActive(b) && hasArrivalDay(b) && can(b, "frontDesk") && (
+          <button
+            onClick={() => updateStayStatus(b._id, "no_show")}
+            className="px-4 py-2 bg-gray-500 text-white rounded"
+          >
+            Mark No-show
+          </button>
+        )}
+
+        {b.paymentStatus !== "paid" && !["cancelled", "refunded"].includes(b.status) && can(b, "markPayments") && (
+          <button
+            onClick={() => markPaid(b._id)}
+            className="px-4 py-2 bg-green-600 text-white rounded"
+          >
+            Mark as Paid
+          </button>
+        )}
+
+        {b.paymentStatus !== "paid" && isActive(b) && can(b, "releaseRooms") && (
+          <button
+            onClick={() => releaseRoom(b._id)}
+            className="px-4 py-2 bg-orange-500 text-white rounded"
+          >
+            Release Room
+          </button>
+        )}
+
+        {b.paymentStatus === "paid" &&
+          amountPaidOf(b) > 0 && isHotelOwner(b) && (
+            <button
+              onClick={() => refundBooking(b._id)}
+              className="px-4 py-2 bg-red-600 text-white rounded"
+            >
+              Refund
+            </button>
+          )}
+      </div>
+    </div>
+  );
+
   return (
     <div>
       <Title
@@ -69,63 +241,57 @@ const BookingList = () => {
       />
 
       <div className="border rounded-lg mt-6 overflow-hidden">
-        {bookings.map((b) => (
-          <div key={b._id} className="border-b">
-            <div
-              onClick={() =>
-                setExpanded(expanded === b._id ? null : b._id)
-              }
-              className="flex justify-between items-center p-4 cursor-pointer hover:bg-gray-50"
-            >
-              <div>
-                <p className="font-medium">
-                  Booking #{b._id.slice(-6)}
-                </p>
-                <p className="text-sm text-gray-500">
-                  {b.paymentStatus.toUpperCase()} • {b.status}
-                </p>
-              </div>
+        {entries.map((group) => {
+          const b = group[0];
+          const isGroup = group.length > 1;
 
-              <span className="text-blue-600">
-                {expanded === b._id ? "▲" : "▼"}
-              </span>
-            </div>
-
-            {expanded === b._id && (
-              <div className="bg-gray-50 px-6 py-4 text-sm space-y-2">
-                <p><b>Room:</b> {b.room}</p>
-                <p><b>Guests:</b> {b.guests}</p>
-                <p><b>Total:</b> ₦{b.totalPrice}</p>
-                <p>
-                  <b>Dates:</b>{" "}
-                  {new Date(b.checkInDate).toDateString()} →{" "}
-                  {new Date(b.checkOutDate).toDateString()}
-                </p>
-
-                <div className="flex gap-3 mt-4">
-                  {b.paymentStatus !== "paid" && b.status !== "cancelled" && (
-                    <button
-                      onClick={() => releaseRoom(b._id)}
-                      className="px-4 py-2 bg-orange-500 text-white rounded"
-                    >
-                      Release Room
-                    </button>
-                  )}
-
-                  {b.paymentStatus === "paid" &&
-                    b.refundStatus !== "refunded" && (
-                      <button
-                        onClick={() => refundBooking(b._id)}
-                        className="px-4 py-2 bg-red-600 text-white rounded"
-                      >
-                        Refund
-                      </button>
+          return (
+            <div key={b._id} className="border-b">
+              <div
+                onClick={() =>
+                  setExpanded(expanded === b._id ? null : b._id)
+                }
+                className="flex justify-between items-center p-4 cursor-pointer hover:bg-gray-50"
+              >
+                <div>
+                  <p className="font-medium">
+                    {group.some((g) => g.specialRequests) && (
+                      <span title="Has special requests" className="mr-2 px-2 py-0.5 text-xs bg-amber-100 text-amber-800 rounded-full">Requests</span>
                     )}
+                    {isGroup
+                      ? `Group booking #${b.group.slice(-6)} • ${group.length} rooms`
+                      : `Booking ${b.reference || `#${b._id.slice(-6)}`}`}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {selectedHotel === "all" && `${b.hotel?.name} • `}
+                    {isGroup
+                      ? `${b.user?.username || b.user?.email} • ${formatPrice(group.reduce((sum, g) => sum + g.totalPrice, 0), b.currency, { exact: true })}`
+                      : `${b.paymentStatus.toUpperCase()} • ${b.status.replace("_", " ")}`}
+                  </p>
                 </div>
+
+                <span className="text-blue-600">
+                  {expanded === b._id ? "▲" : "▼"}
+                </span>
               </div>
-            )}
-          </div>
-        ))}
+
+              {expanded === b._id && (
+                <div className="bg-gray-50 px-6 py-4 text-sm space-y-6">
+                  {isGroup
+                    ? group.map((room) => (
+                        <div key={room._id} className="border-l-2 border-gray-300 pl-4">
+                          <p className="text-gray-500 mb-1">
+                            {room.reference || `#${room._id.slice(-6)}`} • {room.paymentStatus.toUpperCase()} • {room.status.replace("_", " ")}
+                          </p>
+                          {renderBooking(room)}
+                        </div>
+                      ))
+                    : renderBooking(b)}
+                </div>
+              )}
+            </div>
+          );
+        })}
       </div>
     </div>
   );
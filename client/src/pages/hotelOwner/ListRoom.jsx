@@ -2,15 +2,18 @@ import React, { useEffect } from 'react'
 import Title from '../../components/Title'
 import { useAppContext } from '../../context/AppContext';
 import toast from 'react-hot-toast';
+import RoomCalendarSync from '../../components/hotelOwner/RoomCalendarSync';
+import BlackoutCalendar from '../../components/hotelOwner/BlackoutCalendar';
 
 const ListRoom = () => {
 
-    const { axios, getToken, user } = useAppContext()
+    const { axios, getToken, user, selectedHotel } = useAppContext()
     const [rooms, setRooms] = React.useState([])
+    const [calendarRoom, setCalendarRoom] = React.useState(null)
 
     const fetchRooms = async () => {
         try {
-            const { data } = await axios.get('/api/rooms/owner/dasb', { headers: { Authorization: `Bearer ${await getToken()}` } })
+            const { data } = await axios.get('/api/rooms/owner/dasb', { params: { hotelId: selectedHotel }, headers: { Authorization: `Bearer ${await getToken()}` } })
             if (data.success) {
                 setRooms(data.rooms)
             }
@@ -36,7 +39,7 @@ const ListRoom = () => {
         if (user) {
             fetchRooms()
         }
-    }, [user])
+    }, [user, selectedHotel])
 
     return (
         <div>
@@ -47,7 +50,9 @@ const ListRoom = () => {
                     <thead className='bg-gray-50 '>
                         <tr>
                             <th className='py-3 px-4 text-gray-800 font-medium'>Name</th>
+                            {selectedHotel === 'all' && <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Hotel</th>}
                             <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Facility</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Rooms</th>
                             <th className='py-3 px-4 text-gray-800 font-medium'>Price / night</th>
                             <th className='py-3 px-4 text-gray-800 font-medium text-center'>Actions</th>
                         </tr>
@@ -57,7 +62,9 @@ const ListRoom = () => {
                             rooms.map((item, index) => (
                                 <tr key={index}>
                                     <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>{item.roomType}</td>
+                                    {selectedHotel === 'all' && <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden'>{item.hotel?.name}</td>}
                                     <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden'>{item.amenities.join(', ')}</td>
+                                    <td className='py-3 px-4 text-gray-400 border-t border-gray-300 max-sm:hidden' title={item.unitNumbers?.join(', ')}>{item.units ?? 1}</td>
                                     <td className='py-3 px-4 text-gray-400 border-t border-gray-300'>{item.pricePerNight}</td>
                                     <td className='py-3 px-4  border-t border-gray-300 text-center text-sm text-red-500'>
                                         <label className="relative inline-flex items-center cursor-pointer text-gray-900 gap-3">
@@ -65,6 +72,9 @@ const ListRoom = () => {
                                             <div className="w-12 h-7 bg-slate-300 rounded-full peer peer-checked:bg-blue-600 transition-colors duration-200"></div>
                                             <span className="dot absolute left-1 top-1 w-5 h-5 bg-white rounded-full transition-transform duration-200 ease-in-out peer-checked:translate-x-5"></span>
                                         </label>
+                                        <button onClick={() => setCalendarRoom(item)} className='ml-4 text-blue-600 hover:underline cursor-pointer'>
+                                            Calendar
+                                        </button>
                                     </td>
                                 </tr>
                             ))
@@ -72,6 +82,12 @@ const ListRoom = () => {
                     </tbody>
                 </table>
             </div>
+
+            {calendarRoom && (
+                <RoomCalendarSync key={calendarRoom._id} room={calendarRoom} onClose={() => setCalendarRoom(null)} />
+            )}
+
+            <BlackoutCalendar rooms={rooms} />
         </div>
     )
 }
@@ -0,0 +1,12 @@
+import React from 'react'
+import Title from '../../components/Title'
+import PromotionManager from '../../components/PromotionManager'
+
+const Promotions = () => (
+    <div>
+        <Title align='left' font='outfit' title='Promotions' subTitle='Run limited-time offers and promo codes for your hotels. Discounts are applied automatically when guests book.' />
+        <PromotionManager />
+    </div>
+)
+
+export default Promotions
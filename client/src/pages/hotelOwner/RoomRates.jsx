@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from 'react'
+import Title from '../../components/Title'
+import { useAppContext } from '../../context/AppContext'
+import toast from 'react-hot-toast'
+import StayRulesFields from '../../components/hotelOwner/StayRulesFields'
+
+// Overrides come back with an exclusive endDate; the form edits the last night
+const toFormOverride = (o) => ({
+    name: o.name,
+    kind: o.kind,
+    startDate: o.startDate.slice(0, 10),
+    endDate: new Date(new Date(o.endDate).getTime() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    price: o.price,
+})
+
+const emptyOverride = { name: '', kind: 'season', startDate: '', endDate: '', price: '' }
+
+const RoomRates = () => {
+
+    const { axios, getToken, user, selectedHotel, formatPrice } = useAppContext()
+
+    const [rooms, setRooms] = useState([])
+    const [roomId, setRoomId] = useState('')
+    const [inputs, setInputs] = useState({ pricePerNight: '', weekendPrice: '', rateOverrides: [], stayRules: {} })
+    const [preview, setPreview] = useState([])
+    const [loading, setLoading] = useState(false)
+
+    // Rates are set in the room's hotel's currency
+    const currency = rooms.find((room) => room._id === roomId)?.hotel?.currency
+
+    const fetchRooms = async () => {
+        try {
+            const { data } = await axios.get('/api/rooms/owner/dasb', { params: { hotelId: selectedHotel }, headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                setRooms(data.rooms)
+                setRoomId(data.rooms[0]?._id || '')
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    const applyRates = (data) => {
+        setInputs({
+            pricePerNight: data.pricePerNight,
+            weekendPrice: data.weekendPrice ?? '',
+            rateOverrides: data.rateOverrides.map(toFormOverride),
+            stayRules: data.stayRules || {},
+        })
+        setPreview(data.preview)
+    }
+
+    const fetchRates = async () => {
+        try {
+            const { data } = await axios.get(`/api/rooms/${roomId}/rates`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) applyRates(data)
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user) fetchRooms()
+    }, [user, selectedHotel])
+
+    useEffect(() => {
+        if (roomId) fetchRates()
+    }, [roomId])
+
+    const updateOverride = (index, key, value) => {
+        setInputs((prev) => ({
+            ...prev,
+            rateOverrides: prev.rateOverrides.map((o, i) => i === index ? { ...o, [key]: value } : o),
+        }))
+    }
+
+    const onSubmitHandler = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await axios.put(`/api/rooms/${roomId}/rates`, inputs, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                applyRates(data)
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <form onSubmit={onSubmitHandler}>
+            <Title align='left' font='outfit' title='Room Rates' subTitle='Set a base price, weekend rates, seasonal prices and special event prices, and any stay rules for the room. Guests are charged the rate of each night they stay.' />
+
+            <div className='mt-6 max-w-64'>
+                <p className='text-gray-800'>Room</p>
+                <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-full' value={roomId} onChange={(e) => setRoomId(e.target.value)}>
+                    {rooms.map((room) => (
+                        <option key={room._id} value={room._id}>
+                            {room.roomType}{selectedHotel === 'all' ? ` · ${room.hotel?.name}` : ''}
+                        </option>
+                    ))}
+                </select>
+                {!rooms.length && <p className='text-xs text-gray-400 mt-1'>Add a room first to set its rates.</p>}
+            </div>
+
+            <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Standard rates</h2>
+            <div className='flex gap-6 mt-2'>
+                <div>
+                    <p className='text-gray-800'>Base price <span className='text-xs'>/night{currency && `, ${currency}`}</span></p>
+                    <input type='number' min={1} className='border border-gray-300 mt-1 rounded p-2 w-28'
+                        value={inputs.pricePerNight} onChange={(e) => setInputs({ ...inputs, pricePerNight: e.target.value })} />
+                </div>
+                <div>
+                    <p className='text-gray-800'>Weekend price <span className='text-xs'>/night</span></p>
+                    <input type='number' min={1} placeholder='Same as base' className='border border-gray-300 mt-1 rounded p-2 w-32'
+                        value={inputs.weekendPrice} onChange={(e) => setInputs({ ...inputs, weekendPrice: e.target.value })} />
+                    <p className='text-xs text-gray-400 mt-1'>Friday and Saturday nights.</p>
+                </div>
+            </div>
+
+            <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Seasons and events</h2>
+            <p className='text-xs text-gray-400 mt-1'>Event prices win over seasonal ones, and both win over the standard rates.</p>
+            <div className='mt-3 space-y-3'>
+                {inputs.rateOverrides.map((o, index) => (
+                    <div key={index} className='flex flex-wrap items-end gap-3 text-sm'>
+                        <input type='text' placeholder='Name, e.g. Christmas' className='border border-gray-300 rounded p-2 w-44'
+                            value={o.name} onChange={(e) => updateOverride(index, 'name', e.target.value)} />
+                        <select className='border border-gray-300 rounded p-2' value={o.kind} onChange={(e) => updateOverride(index, 'kind', e.target.value)}>
+                            <option value='season'>Season</option>
+                            <option value='event'>Special event</option>
+                        </select>
+                        <label className='flex flex-col text-gray-500'>First night
+                            <input type='date' className='border border-gray-300 rounded p-1.5 text-gray-800'
+                                value={o.startDate} onChange={(e) => updateOverride(index, 'startDate', e.target.value)} />
+                        </label>
+                        <label className='flex flex-col text-gray-500'>Last night
+                            <input type='date' min={o.startDate} className='border border-gray-300 rounded p-1.5 text-gray-800'
+                                value={o.endDate} onChange={(e) => updateOverride(index, 'endDate', e.target.value)} />
+                        </label>
+                        <input type='number' min={1} placeholder='Price' className='border border-gray-300 rounded p-2 w-24'
+                            value={o.price} onChange={(e) => updateOverride(index, 'price', e.target.value)} />
+                        <button type='button' className='text-red-500 hover:underline cursor-pointer py-2'
+                            onClick={() => setInputs({ ...inputs, rateOverrides: inputs.rateOverrides.filter((_, i) => i !== index) })}>
+                            Remove
+                        </button>
+                    </div>
+                ))}
+            </div>
+            <button type='button' className='mt-3 text-sm text-blue-600 hover:underline cursor-pointer'
+                onClick={() => setInputs({ ...inputs, rateOverrides: [...inputs.rateOverrides, { ...emptyOverride }] })}>
+                + Add season or event
+            </button>
+
+            <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Stay rules</h2>
+            <p className='text-xs text-gray-400 mt-1'>Only needed where this room differs from the hotel's stay rules in Settings.</p>
+            <StayRulesFields value={inputs.stayRules} onChange={(stayRules) => setInputs({ ...inputs, stayRules })} forRoom />
+
+            <div>
+                <button className='bg-primary text-white px-8 py-2 rounded mt-8 cursor-pointer' disabled={loading || !roomId}>
+                    {loading ? 'Saving...' : 'Save Rates'}
+                </button>
+            </div>
+
+            {preview.length > 0 && (
+                <>
+                    <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Next 30 nights</h2>
+                    <div className='grid grid-cols-4 sm:grid-cols-7 gap-2 mt-3 max-w-3xl text-xs'>
+                        {preview.map((night) => (
+                            <div key={night.date} className={`border rounded p-2 text-center ${night.price !== +inputs.pricePerNight ? 'border-blue-300 bg-blue-50' : 'border-gray-200'}`}>
+                                <p className='text-gray-500'>{new Date(night.date).toLocaleDateString(undefined, { weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC' })}</p>
+                                <p className='font-medium text-gray-800 mt-1'>{formatPrice(night.price, currency, { exact: true })}</p>
+                            </div>
+                        ))}
+                    </div>
+                </>
+            )}
+        </form>
+    )
+}
+
+export default RoomRates
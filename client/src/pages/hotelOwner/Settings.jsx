@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react'
+import Title from '../../components/Title'
+import { useAppContext } from '../../context/AppContext'
+import toast from 'react-hot-toast'
+import { cancellationPolicies } from '../../assets/assets'
+import TaxRuleManager from '../../components/TaxRuleManager'
+import StayRulesFields from '../../components/hotelOwner/StayRulesFields'
+
+const Settings = () => {
+
+    const { axios, getToken, ownerHotels, selectedHotel, fetchMyHotels, exchangeRates } = useAppContext()
+
+    const ownedHotels = ownerHotels.filter((h) => h.isOwner)
+    const [hotelId, setHotelId] = useState('')
+    const targetHotel = selectedHotel !== 'all' && ownedHotels.some((h) => h._id === selectedHotel)
+        ? selectedHotel
+        : hotelId || ownedHotels[0]?._id || ''
+    const hotel = ownedHotels.find((h) => h._id === targetHotel)
+
+    const [inputs, setInputs] = useState({ paymentHoldHours: 24, cancellationPolicy: 'flexible', currency: 'NGN', stayRules: {} })
+    const [loading, setLoading] = useState(false)
+
+    useEffect(() => {
+        if (hotel) {
+            setInputs({
+                paymentHoldHours: hotel.paymentHoldHours ?? 24,
+                cancellationPolicy: hotel.cancellationPolicy || 'flexible',
+                currency: hotel.currency || exchangeRates.base,
+                stayRules: hotel.stayRules || {},
+            })
+        }
+    }, [hotel?._id])
+
+    const onSubmitHandler = async (e) => {
+        e.preventDefault()
+        setLoading(true)
+        try {
+            const { data } = await axios.put(`/api/hotels/${targetHotel}/settings`, inputs, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchMyHotels()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    return (
+        <div>
+            <form onSubmit={onSubmitHandler}>
+                <Title align='left' font='outfit' title='Hotel Settings' subTitle='Configure how bookings at your property behave, from payment deadlines to guest policies.' />
+
+                {selectedHotel === 'all' && ownedHotels.length > 1 && (
+                    <div className='mt-6 max-w-48'>
+                        <p className='text-gray-800'>Hotel</p>
+                        <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-full' value={targetHotel} onChange={(e) => setHotelId(e.target.value)}>
+                            {ownedHotels.map((h) => (
+                                <option key={h._id} value={h._id}>{h.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+
+                <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Payments</h2>
+                <div className='mt-2'>
+                    <p className='text-gray-800'>Payment hold window <span className='text-xs'>(hours)</span></p>
+                    <input type='number' min={1} max={168} className='border border-gray-300 mt-1 rounded p-2 w-24'
+                        value={inputs.paymentHoldHours} onChange={(e) => setInputs({ ...inputs, paymentHoldHours: e.target.value })} />
+                    <p className='text-xs text-gray-400 mt-1'>Unpaid bookings are cancelled and the room released after this many hours.</p>
+                </div>
+
+                <div className='mt-4'>
+                    <p className='text-gray-800'>Currency</p>
+                    <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-32' value={inputs.currency} onChange={(e) => setInputs({ ...inputs, currency: e.target.value })}>
+                        {Object.keys(exchangeRates.rates).sort().map((code) => (
+                            <option key={code} value={code}>{code}</option>
+                        ))}
+                    </select>
+                    <p className='text-xs text-gray-400 mt-1 max-w-md'>Room prices are set in this currency, and guests are charged in it. Changing it converts your room prices at today's exchange rate; existing bookings keep the currency they were made in.</p>
+                </div>
+
+                <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Cancellations</h2>
+                <div className='mt-2 max-w-md'>
+                    <p className='text-gray-800'>Cancellation policy</p>
+                    <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-48' value={inputs.cancellationPolicy} onChange={(e) => setInputs({ ...inputs, cancellationPolicy: e.target.value })}>
+                        {Object.entries(cancellationPolicies).map(([key, policy]) => (
+                            <option key={key} value={key}>{policy.label}</option>
+                        ))}
+                    </select>
+                    <p className='text-xs text-gray-400 mt-1'>{cancellationPolicies[inputs.cancellationPolicy]?.description}</p>
+                </div>
+
+                <h2 className='text-xl text-blue-950/70 font-medium mt-10'>Stay rules</h2>
+                <p className='text-xs text-gray-400 mt-1 max-w-md'>Apply to every room unless the room sets its own on the Rates page. Bookings can be made at most a year ahead unless you say otherwise.</p>
+                <StayRulesFields value={inputs.stayRules} onChange={(stayRules) => setInputs({ ...inputs, stayRules })} />
+
+                <button className='bg-primary text-white px-8 py-2 rounded mt-8 cursor-pointer' disabled={loading || !hotel}>
+                    {loading ? 'Saving...' : 'Save Settings'}
+                </button>
+            </form>
+
+            <h2 className='text-xl text-blue-950/70 font-medium mt-12'>Taxes & fees</h2>
+            <p className='text-xs text-gray-400 mt-1'>Added to every booking at this hotel and itemised on the guest's receipt. City taxes are set by VacayStay.</p>
+            <TaxRuleManager hotelId={targetHotel} />
+        </div>
+    )
+}
+
+export default Settings
@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from 'react'
+import Title from '../../components/Title'
+import { useAppContext } from '../../context/AppContext'
+import toast from 'react-hot-toast'
+
+const PERMISSIONS = {
+    viewBookings: 'View bookings',
+    releaseRooms: 'Release rooms',
+    markPayments: 'Mark payments',
+    editRooms: 'Edit rooms',
+    frontDesk: 'Check guests in/out',
+}
+
+const Staff = () => {
+
+    const { axios, getToken, user, ownerHotels, selectedHotel } = useAppContext()
+
+    const ownedHotels = ownerHotels.filter((h) => h.isOwner)
+    const [hotelId, setHotelId] = useState('')
+    const targetHotel = selectedHotel !== 'all' && ownedHotels.some((h) => h._id === selectedHotel)
+        ? selectedHotel
+        : hotelId || ownedHotels[0]?._id || ''
+
+    const [staff, setStaff] = useState([])
+    const [email, setEmail] = useState('')
+    const [permissions, setPermissions] = useState(['viewBookings'])
+    const [loading, setLoading] = useState(false)
+
+    const fetchStaff = async () => {
+        if (!targetHotel) return
+        try {
+            const { data } = await axios.get('/api/staff', { params: { hotelId: targetHotel }, headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) setStaff(data.staff)
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    const inviteStaff = async (e) => {
+        e.preventDefault()
+        if (!email.trim()) return toast.error('Email cannot be empty')
+
+        setLoading(true)
+        try {
+            const { data } = await axios.post('/api/staff/invite', { hotelId: targetHotel, email, permissions }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                setEmail('')
+                fetchStaff()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        } finally {
+            setLoading(false)
+        }
+    }
+
+    const togglePermission = async (member, permission) => {
+        const next = member.permissions.includes(permission)
+            ? member.permissions.filter((p) => p !== permission)
+            : [...member.permissions, permission]
+        try {
+            const { data } = await axios.put(`/api/staff/${member._id}`, { permissions: next }, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) fetchStaff()
+            else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    const revokeStaff = async (id) => {
+        try {
+            const { data } = await axios.delete(`/api/staff/${id}`, { headers: { Authorization: `Bearer ${await getToken()}` } })
+            if (data.success) {
+                toast.success(data.message)
+                fetchStaff()
+            } else toast.error(data.message)
+        } catch (error) {
+            toast.error(error.message)
+        }
+    }
+
+    useEffect(() => {
+        if (user) fetchStaff()
+    }, [user, targetHotel])
+
+    return (
+        <div>
+            <Title align='left' font='outfit' title='Staff' subTitle='Give your front-desk team access to bookings and rooms without sharing your account. Invite them by email and choose what they can do.' />
+
+            {selectedHotel === 'all' && ownedHotels.length > 1 && (
+                <div className='mt-6 max-w-48'>
+                    <p className='text-gray-800'>Hotel</p>
+                    <select className='border opacity-70 border-gray-300 mt-1 rounded p-2 w-full' value={targetHotel} onChange={(e) => setHotelId(e.target.value)}>
+                        {ownedHotels.map((hotel) => (
+                            <option key={hotel._id} value={hotel._id}>{hotel.name}</option>
+                        ))}
+                    </select>
+                </div>
+            )}
+
+            <form onSubmit={inviteStaff} className='mt-6 flex flex-col gap-3 max-w-xl'>
+                <div className='flex gap-2 items-center'>
+                    <input type='email' className='border px-4 py-2 rounded w-full' placeholder='staff@example.com' value={email} onChange={(e) => setEmail(e.target.value)} />
+                    <button className='bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 transition whitespace-nowrap' disabled={loading}>
+                        {loading ? 'Inviting...' : 'Send Invite'}
+                    </button>
+                </div>
+                <div className='flex flex-wrap gap-4 text-sm text-gray-500'>
+                    {Object.entries(PERMISSIONS).map(([key, label]) => (
+                        <label key={key} className='flex items-center gap-1.5'>
+                            <input type='checkbox' checked={permissions.includes(key)}
+                                onChange={() => setPermissions(permissions.includes(key) ? permissions.filter((p) => p !== key) : [...permissions, key])} />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+            </form>
+
+            <p className='text-gray-500 mt-8'>Team Members</p>
+            <div className='w-full text-left border border-gray-300 rounded-lg max-h-96 overflow-y-scroll mt-3'>
+                <table className='w-full'>
+                    <thead className='bg-gray-50'>
+                        <tr>
+                            <th className='py-3 px-4 text-gray-800 font-medium'>Member</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium max-sm:hidden'>Permissions</th>
+                            <th className='py-3 px-4 text-gray-800 font-medium text-center'>Actions</th>
+                        </tr>
+                    </thead>
+                    <tbody className='text-sm'>
+                        {staff.map((member) => (
+                            <tr key={member._id}>
+                                <td className='py-3 px-4 text-gray-700 border-t border-gray-300'>
+                                    <p>{member.user?.username || member.email}</p>
+                                    <p className='text-xs text-gray-400'>{member.status === 'invited' ? 'Invitation pending' : member.email}</p>
+                                </td>
+                                <td className='py-3 px-4 border-t border-gray-300 max-sm:hidden'>
+                                    <div className='flex flex-wrap gap-3 text-gray-500'>
+                                        {Object.entries(PERMISSIONS).map(([key, label]) => (
+                                            <label key={key} className='flex items-center gap-1'>
+                                                <input type='checkbox' checked={member.permissions.includes(key)} onChange={() => togglePermission(member, key)} />
+                                                {label}
+                                            </label>
+                                        ))}
+                                    </div>
+                                </td>
+                                <td className='py-3 px-4 border-t border-gray-300 text-center'>
+                                    <button onClick={() => revokeStaff(member._id)} className='text-red-500 hover:underline'>
+                                        Revoke
+                                    </button>
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    )
+}
+
+export default Staff
@@ -1,10 +1,16 @@
 import mongoose from "mongoose";
+import RoomNight from "../models/RoomNight.js";
+import { backfillRoomNights } from "../jobs/backfillRoomNights.js";
 
 const connectDB = async () => {
 
     try {
         mongoose.connection.on('connected', () => console.log("Database Connected"));
         await mongoose.connect(`${process.env.MONGODB_URI}/hotel-booking`);
+        // Drops the old one-booking-per-night index so multi-unit rooms can be claimed
+        await RoomNight.syncIndexes();
+        const backfilled = await backfillRoomNights();
+        if (backfilled) console.log(`Claimed room-nights for ${backfilled} existing booking(s)`);
     } catch (error) {
         console.error(error.message);
     }
@@ -0,0 +1,59 @@
+import AuditLog from "../models/AuditLog.js";
+
+const snapshot = (doc) => {
+  if (!doc) return null;
+  return typeof doc.toObject === "function" ? doc.toObject({ depopulate: true }) : doc;
+};
+
+// Never lets a failed audit write break the action being audited
+export const logAudit = async (req, { action, targetType, targetId, before, after }) => {
+  try {
+    await AuditLog.create({
+      actor: req.user._id,
+      action,
+      targetType,
+      targetId: String(targetId),
+      before: snapshot(before),
+      after: snapshot(after),
+    });
+  } catch (error) {
+    console.error("Audit log failed:", error.message);
+  }
+};
+
+export const getAuditLogs = async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actor = actor;
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = targetId;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        // A bare date means "up to the end of that day"
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCHours(23, 59, 59, 999);
+        filter.createdAt.$lte = end;
+      }
+    }
+
+    const [logs, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate("actor", "username email")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    res.json({ success: true, logs, total, page, limit });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
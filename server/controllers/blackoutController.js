@@ -0,0 +1,108 @@
+import Blackout from "../models/Blackout.js";
+import Booking from "../models/Booking.js";
+import Room from "../models/Room.js";
+import { logAudit } from "./auditController.js";
+import { hasHotelAccess } from "../middleware/hotelMiddleware.js";
+import { RELEASED_STATUSES } from "../services/availability.js";
+import { toNight } from "../services/inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getBlackouts = async (req, res) => {
+  try {
+    const blackouts = await Blackout.find({
+      hotel: { $in: req.hotels.map((h) => h._id.toString()) },
+      endDate: { $gt: toNight(new Date()) },
+    })
+      .populate("room", "roomType")
+      .populate("hotel", "name")
+      .sort({ startDate: 1 });
+
+    res.json({ success: true, blackouts });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// `endDate` from the form is the last blacked-out night, inclusive
+export const createBlackout = async (req, res) => {
+  try {
+    const hotel = req.hotel;
+    if (!hotel)
+      return res.json({ success: false, message: "Select which hotel the blackout is for" });
+
+    const { room, reason } = req.body;
+    const startDate = toNight(req.body.startDate);
+    const endDate = new Date(toNight(req.body.endDate).getTime() + DAY_MS);
+
+    if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate)
+      return res.json({ success: false, message: "Choose a valid date range" });
+
+    if (!reason?.trim())
+      return res.json({ success: false, message: "Give a reason for the blackout" });
+
+    if (room) {
+      const roomData = await Room.findById(room);
+      if (!roomData || roomData.hotel !== hotel._id.toString())
+        return res.json({ success: false, message: "Room not found at this hotel" });
+    }
+
+    const blackout = await Blackout.create({
+      hotel: hotel._id.toString(),
+      room: room || null,
+      startDate,
+      endDate,
+      reason,
+      createdBy: req.user._id,
+    });
+
+    await logAudit(req, {
+      action: "room.blackout.add",
+      targetType: room ? "Room" : "Hotel",
+      targetId: room || hotel._id,
+      after: blackout,
+    });
+
+    // Existing stays are kept; the owner decides what to do with them
+    const rooms = room ? [room] : (await Room.find({ hotel: hotel._id.toString() })).map((r) => r._id.toString());
+    const affected = await Booking.countDocuments({
+      room: { $in: rooms },
+      status: { $nin: RELEASED_STATUSES },
+      checkInDate: { $lt: endDate },
+      checkOutDate: { $gt: startDate },
+    });
+
+    res.json({
+      success: true,
+      message: affected
+        ? `Blackout added. ${affected} existing booking(s) overlap these dates and were kept.`
+        : "Blackout added",
+    });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const deleteBlackout = async (req, res) => {
+  try {
+    const blackout = await Blackout.findById(req.params.id);
+    if (!blackout)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (req.user.role !== "Admin" && !(await hasHotelAccess(req.user, blackout.hotel, "editRooms")))
+      return res.status(403).json({ success: false, message: "Not authorized for this hotel" });
+
+    await blackout.deleteOne();
+
+    await logAudit(req, {
+      action: "room.blackout.remove",
+      targetType: blackout.room ? "Room" : "Hotel",
+      targetId: blackout.room || blackout.hotel,
+      before: blackout,
+    });
+
+    res.json({ success: true, message: "Blackout removed" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -1,21 +1,110 @@
 import resend from "../configs/resend.js";
-import Booking from "../models/Booking.js";
+import Booking, { bookingReference, saveNewBooking } from "../models/Booking.js";
 import Hotel from "../models/Hotel.js";
 import Room from "../models/Room.js";
+import mongoose from "mongoose";
 import stripe from "stripe";
 import sgMail from "@sendgrid/mail";
+import { logAudit } from "./auditController.js";
+import { hasHotelAccess } from "../middleware/hotelMiddleware.js";
+import { capacityError, partySize } from "../services/occupancy.js";
+import { claimNights, reclaimNights, releaseNights, toNight, stayNights, unitNumbersOf } from "../services/inventory.js";
+import { findChargeRules, nightlyRates, priceBreakdown, stayPrice } from "../services/pricing.js";
+import {
+  appliesToRoom,
+  findPromoCode,
+  keptDiscount,
+  pickPromotion,
+  redeemPromotion,
+  unredeemPromotion,
+} from "../services/promotions.js";
+import { countUnitsLeft, getUnitsLeft, payableBookingFilter, RELEASED_STATUSES } from "../services/availability.js";
+import { sendCancellationEmail } from "../services/bookingEmails.js";
+import { effectiveStayRules, stayRuleError } from "../services/stayRules.js";
+import { BASE_CURRENCY, convert, currencyOf, formatMoney, getRates, toMinorUnits } from "../services/currency.js";
+import { amountPaid, getCancellationTerms } from "../services/cancellation.js";
+import { countLiveOffers, getBookableUnits, notifyWaitlist } from "../services/waitlist.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
+// Admins can manage any booking, hotel owners bookings at their own hotel and
+// hotel staff only when their membership grants `permission`
+const canManageBooking = async (user, booking, permission) => {
+  if (user.role === "Admin") return true;
 
+  return hasHotelAccess(user, booking.hotel, permission);
+};
+
+const isBookingGuest = (user, booking) =>
+  (booking.user?._id ?? booking.user) === user._id;
+
+// Special requests and arrival time from a booking form, or an error message
+const readGuestNotes = ({ specialRequests, arrivalTime }) => {
+  const notes = {
+    specialRequests: String(specialRequests || "").trim(),
+    arrivalTime: arrivalTime || null,
+  };
+
+  if (notes.specialRequests.length > 500)
+    return { error: "Special requests must be 500 characters or fewer" };
+  if (notes.arrivalTime && !/^([01]\d|2[0-3]):[0-5]\d$/.test(notes.arrivalTime))
+    return { error: "Arrival time must be given as HH:MM" };
+
+  return { notes };
+};
+
+// The live promotion behind a guest's promo code, or an error message. With
+// `room`, the code must cover that room.
+const readPromoCode = async (code, room) => {
+  if (!String(code || "").trim()) return {};
+
+  const coded = await findPromoCode(code);
+  if (!coded) return { error: "This promo code is invalid or has expired" };
+  if (room && !appliesToRoom(coded, room))
+    return { error: "This promo code doesn't apply to this room" };
+
+  return { coded };
+};
+
+const escapeHtml = (text) =>
+  text.replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// Itemised price table for emails; older bookings only have a total
+const breakdownHtml = (booking, discountLabel = "Discount") => {
+  const b = booking.priceBreakdown;
+  const money = (amount) => formatMoney(amount, booking.currency);
+  if (!b) return `<p><b>Total:</b> ${money(booking.totalPrice)}</p>`;
+
+  const row = (label, amount) =>
+    `<tr><td>${escapeHtml(label)}</td><td align="right">${money(amount)}</td></tr>`;
+
+  return `
+    <table cellpadding="4" style="border-collapse: collapse; min-width: 280px;">
+      ${row("Room (nightly rates)", b.subtotal)}
+      ${b.discount ? row(discountLabel, -b.discount) : ""}
+      ${b.taxes.map((t) => row(t.name, t.amount)).join("")}
+      ${b.fees.map((f) => row(f.name, f.amount)).join("")}
+      <tr><td><b>Total</b></td><td align="right"><b>${money(b.total)}</b></td></tr>
+    </table>
+  `;
+};
+
+const guestNotesHtml = (booking) => `
+  ${booking.arrivalTime ? `<li><b>Arrival time:</b> ${booking.arrivalTime}</li>` : ""}
+  ${booking.specialRequests ? `<li><b>Special requests:</b> ${escapeHtml(booking.specialRequests)}</li>` : ""}
+`;
+
+
+// Public: only the dates a room is taken, never who booked it
 export const getRoomBookings = async (req, res) => {
   try {
     const { roomId } = req.params;
 
     const bookings = await Booking.find({
       room: roomId,
-      status: { $ne: "cancelled" },
-    }).select("checkInDate checkOutDate user room");
+      status: { $nin: RELEASED_STATUSES },
+    }).select("checkInDate checkOutDate room");
 
     res.status(200).json(bookings);
   } catch (error) {
@@ -26,73 +115,210 @@ export const getRoomBookings = async (req, res) => {
 };
 
 
-const checkAvailability = async ({ checkInDate, checkOutDate, room }) => {
+export const checkAvailabilityAPI = async (req, res) => {
   try {
-    const bookings = await Booking.find({
+    const { room, checkInDate, checkOutDate } = req.body;
+    const checkIn = toNight(checkInDate);
+    const checkOut = toNight(checkOutDate);
+    if (isNaN(checkIn) || isNaN(checkOut) || checkOut <= checkIn)
+      return res.status(400).json({ success: false, message: "Check-out must be after check-in" });
+
+    const unitsLeft = await getUnitsLeft({
       room,
-      status: { $nin: ["cancelled", "refunded"] },
-      checkInDate: { $lte: checkOutDate },
-      checkOutDate: { $gte: checkInDate },
+      checkInDate,
+      checkOutDate,
     });
 
-    return bookings.length === 0;
+    res.json({ success: true, isAvailable: unitsLeft > 0, unitsLeft });
   } catch (error) {
-    console.error(error.message);
-    return false;
+    res.json({ success: false, message: error.message });
   }
 };
 
-export const checkAvailabilityAPI = async (req, res) => {
+// What a stay would cost, priced exactly as createBooking would, without
+// reserving anything. `bookable` is false with a `message` when the stay
+// can't be booked as asked; the prices are still returned.
+export const quoteBooking = async (req, res) => {
   try {
     const { room, checkInDate, checkOutDate } = req.body;
-    const isAvailable = await checkAvailability({
+    const party = partySize(req.body);
+
+    const checkIn = toNight(checkInDate);
+    const checkOut = toNight(checkOutDate);
+    if (isNaN(checkIn) || isNaN(checkOut) || checkOut <= checkIn)
+      return res.status(400).json({ success: false, message: "Check-out must be after check-in" });
+
+    const roomData = await Room.findById(room).populate("hotel");
+    if (!roomData)
+      return res.status(404).json({ success: false, message: "Room not found" });
+
+    const { unitsLeft, bookable } = await getBookableUnits({
       room,
-      checkInDate,
-      checkOutDate,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      excludeUser: req.auth?.userId,
     });
+    const heldOffer = unitsLeft > 0 && !bookable;
 
-    res.json({ success: true, isAvailable });
+    const nights = nightlyRates(roomData, checkIn, checkOut);
+    const subtotal = nights.reduce((sum, n) => sum + n.price, 0);
+    const { coded, error: promoError } = await readPromoCode(req.body.promoCode, roomData);
+    const { promotion, discount } = await pickPromotion({
+      room: roomData,
+      amount: subtotal,
+      currency: currencyOf(roomData.hotel),
+      coded,
+    });
+    const breakdown = priceBreakdown({
+      subtotal,
+      discount,
+      nights: nights.length,
+      rules: await findChargeRules(roomData.hotel),
+    });
+
+    const stayRules = effectiveStayRules(roomData);
+    const message = stayRuleError(stayRules, checkIn, checkOut) || (!unitsLeft
+      ? "Room is not available for these dates"
+      : heldOffer
+      ? "These dates are being held for a guest on the waitlist"
+      : capacityError(roomData, party) || promoError || null);
+
+    res.json({
+      success: true,
+      bookable: !message,
+      message,
+      isAvailable: unitsLeft > 0,
+      unitsLeft,
+      stayRules,
+      currency: currencyOf(roomData.hotel),
+      nights,
+      priceBreakdown: breakdown,
+      totalPrice: breakdown.total,
+      promotion: promotion && { title: promotion.title, code: promotion.code },
+      promoError,
+    });
   } catch (error) {
-    res.json({ success: false, message: error.message });
+    res.status(500).json({ success: false, message: error.message });
   }
 };
 export const createBooking = async (req, res) => {
   try {
-    const { room, checkInDate, checkOutDate, guests } = req.body;
+    const { room, checkInDate, checkOutDate } = req.body;
+    const party = partySize(req.body);
     const user = req.user._id;
 
-    const isAvailable = await checkAvailability({
+    const { notes, error: notesError } = readGuestNotes(req.body);
+    if (notesError) return res.json({ success: false, message: notesError });
+
+    const checkIn = toNight(checkInDate);
+    const checkOut = toNight(checkOutDate);
+    const nights = stayNights(checkIn, checkOut).length;
+
+    if (!nights)
+      return res.json({ success: false, message: "Check-out must be after check-in" });
+
+    const { unitsLeft, bookable } = await getBookableUnits({
       room,
-      checkInDate,
-      checkOutDate,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      excludeUser: user,
     });
 
-    if (!isAvailable)
-      return res.json({ success: false, message: "Room is not available" });
+    if (!unitsLeft)
+      return res.status(409).json({ success: false, message: "Room is not available" });
+
+    if (!bookable)
+      return res.json({
+        success: false,
+        message: "These dates are being held for a guest on the waitlist. Please try again later.",
+      });
 
     const roomData = await Room.findById(room).populate("hotel");
+    if (!roomData)
+      return res.json({ success: false, message: "Room not found" });
 
-    const checkIn = new Date(checkInDate);
-    const checkOut = new Date(checkOutDate);
-    const nights = Math.ceil(
-      (checkOut.getTime() - checkIn.getTime()) / (1000 * 3600 * 24)
-    );
+    const tooMany = capacityError(roomData, party);
+    if (tooMany) return res.json({ success: false, message: tooMany });
+
+    const ruleBroken = stayRuleError(effectiveStayRules(roomData), checkIn, checkOut);
+    if (ruleBroken) return res.json({ success: false, message: ruleBroken });
+
+    const { coded, error: promoError } = await readPromoCode(req.body.promoCode, roomData);
+    if (promoError) return res.json({ success: false, message: promoError });
 
-    const totalPrice = roomData.pricePerNight * nights;
+    const price = stayPrice(roomData, checkIn, checkOut);
+    const { promotion, discount } = await pickPromotion({
+      room: roomData,
+      amount: price,
+      currency: currencyOf(roomData.hotel),
+      coded,
+    });
+    const breakdown = priceBreakdown({
+      subtotal: price,
+      discount,
+      nights,
+      rules: await findChargeRules(roomData.hotel),
+    });
 
-    const booking = await Booking.create({
+    const booking = new Booking({
       user,
       room,
       hotel: roomData.hotel._id,
-      guests: +guests,
-      checkInDate,
-      checkOutDate,
-      totalPrice,
+      ...party,
+      ...notes,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      totalPrice: breakdown.total,
+      currency: currencyOf(roomData.hotel),
+      priceBreakdown: breakdown,
+      discount,
+      promotion: promotion?._id ?? null,
+      promoCode: promotion?.code ?? null,
       status: "pending",
       paymentStatus: "awaiting",
       refundStatus: "none",
+      holdExpiresAt: new Date(
+        Date.now() + (roomData.hotel.paymentHoldHours ?? 24) * 3600 * 1000
+      ),
+    });
+
+    // The availability check above can race with another request; claiming
+    // the room-nights is what actually decides who gets the room.
+    const claimed = await claimNights({
+      room,
+      booking: booking._id,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
     });
 
+    if (!claimed)
+      return res.status(409).json({
+        success: false,
+        message: "Sorry, this room was just booked for your dates. Please choose different dates.",
+      });
+
+    if (promotion && !(await redeemPromotion(promotion))) {
+      await releaseNights(booking._id);
+      return res.json({
+        success: false,
+        message: "Sorry, this offer has just run out. Please try booking again.",
+      });
+    }
+
+    try {
+      await saveNewBooking(booking);
+    } catch (error) {
+      await releaseNights(booking._id);
+      if (promotion) await unredeemPromotion(promotion);
+      throw error;
+    }
+
+    // Booking the room fulfils the guest's own waitlist offer for it
+    await WaitlistEntry.updateMany(
+      { user, room: String(room), status: "offered" },
+      { status: "booked", offerToken: null }
+    );
+
     res.json({ success: true, message: "Booking created successfully" });
 
     try {
@@ -104,12 +330,13 @@ export const createBooking = async (req, res) => {
           <h2>Your Booking Details</h2>
           <p>Hello ${req.user.username},</p>
           <ul>
-            <li><b>Booking ID:</b> ${booking._id}</li>
+            <li><b>Booking Reference:</b> ${bookingReference(booking)}</li>
             <li><b>Hotel:</b> ${roomData.hotel.name}</li>
             <li><b>Address:</b> ${roomData.hotel.address}</li>
             <li><b>Check-in:</b> ${booking.checkInDate.toDateString()}</li>
-            <li><b>Total:</b> ${booking.totalPrice}</li>
+            ${guestNotesHtml(booking)}
           </ul>
+          ${breakdownHtml(booking, promotion?.title)}
         `,
       });
     } catch (emailError) {
@@ -128,38 +355,337 @@ export const createBooking = async (req, res) => {
 };
 
 
+const MAX_GROUP_ROOMS = 5;
+
+// Reserves several rooms at one hotel for the same dates. Either every room is
+// claimed or none are.
+export const createGroupBooking = async (req, res) => {
+  try {
+    const { rooms = [], checkInDate, checkOutDate } = req.body;
+
+    const { notes, error: notesError } = readGuestNotes(req.body);
+    if (notesError) return res.json({ success: false, message: notesError });
+
+    const checkIn = toNight(checkInDate);
+    const checkOut = toNight(checkOutDate);
+    const nights = stayNights(checkIn, checkOut).length;
+
+    if (!nights)
+      return res.json({ success: false, message: "Check-out must be after check-in" });
+
+    const roomIds = rooms.map((r) => String(r.room));
+    if (rooms.length < 2 || rooms.length > MAX_GROUP_ROOMS)
+      return res.json({
+        success: false,
+        message: `A group booking needs between 2 and ${MAX_GROUP_ROOMS} rooms`,
+      });
+
+    // The same room type may be added several times, one unit each
+    const wanted = new Map();
+    roomIds.forEach((id) => wanted.set(id, (wanted.get(id) || 0) + 1));
+
+    const roomData = await Room.find({ _id: { $in: [...wanted.keys()] } }).populate("hotel");
+    if (roomData.length !== wanted.size)
+      return res.json({ success: false, message: "Room not found" });
+
+    const hotel = roomData[0].hotel;
+    if (roomData.some((r) => r.hotel._id.toString() !== hotel._id.toString()))
+      return res.json({ success: false, message: "All rooms must be at the same hotel" });
+
+    const unitsLeft = await countUnitsLeft([...wanted.keys()], checkIn, checkOut);
+    const short = roomData.find((r) => unitsLeft.get(r._id.toString()) < wanted.get(r._id.toString()));
+    if (short) {
+      const left = unitsLeft.get(short._id.toString());
+      return res.json({
+        success: false,
+        message: left
+          ? `Sorry, only ${left} ${short.roomType} ${left === 1 ? "room is" : "rooms are"} left for your dates. Please adjust your selection.`
+          : `Sorry, the ${short.roomType} is not available for your dates. Please adjust your selection.`,
+      });
+    }
+
+    for (const roomDoc of roomData) {
+      const id = roomDoc._id.toString();
+      const offered = await countLiveOffers({
+        room: id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+        excludeUser: req.user._id,
+      });
+      if (unitsLeft.get(id) - offered < wanted.get(id))
+        return res.json({
+          success: false,
+          message: `The ${roomDoc.roomType} is being held for a guest on the waitlist. Please try again later.`,
+        });
+    }
+
+    const group = new mongoose.Types.ObjectId().toString();
+    const holdExpiresAt = new Date(
+      Date.now() + (hotel.paymentHoldHours ?? 24) * 3600 * 1000
+    );
+
+    const { coded, error: promoError } = await readPromoCode(req.body.promoCode);
+    if (promoError) return res.json({ success: false, message: promoError });
+    if (coded && !roomData.some((r) => appliesToRoom(coded, r)))
+      return res.json({ success: false, message: "This promo code doesn't apply to these rooms" });
+
+    // A group checkout counts as one use of each promotion it gets
+    const promotions = new Map();
+    const chargeRules = await findChargeRules(hotel);
+    const bookings = [];
+    for (const item of rooms) {
+      const roomDoc = roomData.find((r) => r._id.toString() === String(item.room));
+      const party = partySize(item);
+
+      const tooMany = capacityError(roomDoc, party);
+      if (tooMany)
+        return res.json({ success: false, message: `${roomDoc.roomType}: ${tooMany}` });
+
+      const ruleBroken = stayRuleError(effectiveStayRules(roomDoc), checkIn, checkOut);
+      if (ruleBroken)
+        return res.json({ success: false, message: `${roomDoc.roomType}: ${ruleBroken}` });
+
+      const price = stayPrice(roomDoc, checkIn, checkOut);
+      const { promotion, discount } = await pickPromotion({ room: roomDoc, amount: price, currency: currencyOf(hotel), coded });
+      if (promotion) promotions.set(promotion._id.toString(), promotion);
+      const breakdown = priceBreakdown({ subtotal: price, discount, nights, rules: chargeRules });
+
+      bookings.push(
+        new Booking({
+          user: req.user._id,
+          room: roomDoc._id,
+          hotel: hotel._id,
+          ...party,
+          ...notes,
+          checkInDate: checkIn,
+          checkOutDate: checkOut,
+          totalPrice: breakdown.total,
+          currency: currencyOf(hotel),
+          priceBreakdown: breakdown,
+          discount,
+          promotion: promotion?._id ?? null,
+          promoCode: promotion?.code ?? null,
+          status: "pending",
+          paymentStatus: "awaiting",
+          refundStatus: "none",
+          holdExpiresAt,
+          group,
+        })
+      );
+    }
+
+    const releaseAll = () =>
+      Promise.all(bookings.map((booking) => releaseNights(booking._id)));
+
+    for (const booking of bookings) {
+      const claimed = await claimNights({
+        room: booking.room,
+        booking: booking._id,
+        checkInDate: checkIn,
+        checkOutDate: checkOut,
+      });
+
+      if (!claimed) {
+        await releaseAll();
+        const taken = roomData.find((r) => r._id.toString() === booking.room);
+        return res.status(409).json({
+          success: false,
+          message: `Sorry, the ${taken.roomType} is not available for your dates. Please adjust your selection.`,
+        });
+      }
+    }
+
+    const redeemed = [];
+    const unredeemAll = () => Promise.all(redeemed.map(unredeemPromotion));
+
+    for (const promotion of promotions.values()) {
+      if (!(await redeemPromotion(promotion))) {
+        await unredeemAll();
+        await releaseAll();
+        return res.json({
+          success: false,
+          message: "Sorry, this offer has just run out. Please try booking again.",
+        });
+      }
+      redeemed.push(promotion);
+    }
+
+    try {
+      for (const booking of bookings) await saveNewBooking(booking);
+    } catch (error) {
+      await Booking.deleteMany({ group });
+      await releaseAll();
+      await unredeemAll();
+      throw error;
+    }
+
+    const totalPrice = bookings.reduce((sum, b) => sum + b.totalPrice, 0);
+
+    res.json({ success: true, message: "Group booking created successfully", group });
+
+    try {
+      await sgMail.send({
+        to: req.user.email,
+        from: `VacayStay <${process.env.SENDGRID_SENDER}>`,
+        subject: "Hotel Booking Details",
+        html: `
+          <h2>Your Group Booking Details</h2>
+          <p>Hello ${req.user.username},</p>
+          <ul>
+            <li><b>Hotel:</b> ${hotel.name}</li>
+            <li><b>Address:</b> ${hotel.address}</li>
+            <li><b>Check-in:</b> ${checkIn.toDateString()}</li>
+            <li><b>Check-out:</b> ${checkOut.toDateString()}</li>
+            ${guestNotesHtml(bookings[0])}
+          </ul>
+          ${bookings
+            .map((b) => {
+              const roomDoc = roomData.find((r) => r._id.toString() === b.room);
+              return `<h3>${roomDoc.roomType} (${bookingReference(b)}), ${b.guests} guest(s)</h3>${breakdownHtml(b)}`;
+            })
+            .join("")}
+          <p><b>Total for all rooms:</b> ${formatMoney(totalPrice, currencyOf(hotel))}</p>
+        `,
+      });
+    } catch (emailError) {
+      console.error(
+        "SendGrid email failed:",
+        emailError.response?.body?.errors || emailError.message
+      );
+    }
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) {
+      res.json({ success: false, message: "Failed to create booking" });
+    }
+  }
+};
+
+// Public lookup for guests without their account at hand. Both the reference
+// and the booking email must match, and the same error is returned either way.
+export const findBookingByReference = async (req, res) => {
+  try {
+    const reference = String(req.body.reference || "").trim().toUpperCase();
+    const email = String(req.body.email || "").trim().toLowerCase();
+
+    if (!reference || !email)
+      return res.status(400).json({ success: false, message: "Reference and email are required" });
+
+    const booking = await Booking.findOne({ reference })
+      .populate("user", "email")
+      .populate("hotel", "name address city")
+      .populate("room", "roomType images");
+
+    if (!booking || booking.user?.email?.toLowerCase() !== email)
+      return res
+        .status(404)
+        .json({ success: false, message: "No booking matches that reference and email" });
+
+    res.json({
+      success: true,
+      booking: {
+        reference: booking.reference,
+        hotel: booking.hotel,
+        room: booking.room,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        guests: booking.guests,
+        totalPrice: booking.totalPrice,
+        currency: booking.currency,
+        status: booking.status,
+        paymentStatus: booking.paymentStatus,
+      },
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
 export const getUserBookings = async (req, res) => {
   try {
     const bookings = await Booking.find({ user: req.user._id })
       .populate("room hotel")
       .sort({ createdAt: -1 });
 
-    res.json({ success: true, bookings });
+    res.json({
+      success: true,
+      bookings: bookings.map((b) => ({
+        ...b.toObject(),
+        cancellation: getCancellationTerms(b, b.hotel),
+      })),
+    });
   } catch {
     res.json({ success: false, message: "Failed to fetch bookings" });
   }
 };
 
+// What a booking brings in: the price of a live or completed stay, which
+// modification refunds have already lowered, or what the hotel kept from a
+// released one
+const bookingRevenue = (b) =>
+  RELEASED_STATUSES.includes(b.status) ? amountPaid(b) : b.totalPrice;
+
 export const getHotelBookings = async (req, res) => {
   try {
-    const hotel = await Hotel.findOne({ owner: req.auth.userId });
-    if (!hotel)
+    if (!req.hotels.length)
       return res.json({ success: false, message: "No hotel found" });
 
-    const bookings = await Booking.find({ hotel: hotel._id })
+    const bookings = await Booking.find({
+      hotel: { $in: req.hotels.map((h) => h._id) },
+    })
       .populate("room hotel user")
       .sort({ createdAt: -1 });
 
-    const totalRevenue = bookings
-      .filter((b) => b.status !== "refunded")
-      .reduce((acc, b) => acc + b.totalPrice, 0);
+    // Each hotel's revenue is in its own currency. Combined totals across
+    // hotels with different currencies are converted to the base currency.
+    const currencies = new Set(req.hotels.map(currencyOf));
+    const totalCurrency = currencies.size === 1 ? [...currencies][0] : BASE_CURRENCY;
+    const rates = await getRates();
+
+    const sum = (list, currency) =>
+      list.reduce(
+        (acc, b) => acc + (convert(bookingRevenue(b), currencyOf(b), currency, rates) ?? 0),
+        0
+      );
+
+    // Realised: completed stays plus whatever the hotel kept from paid
+    // no-shows and cancellations. Upcoming: stays still ahead or in progress.
+    const realisedOf = (list, currency) =>
+      sum(list.filter((b) =>
+        b.status === "checked_out" ||
+        (["no_show", "cancelled"].includes(b.status) && b.paymentStatus === "paid")
+      ), currency);
+    const upcomingOf = (list, currency) =>
+      sum(list.filter((b) => ["pending", "confirmed", "checked_in"].includes(b.status)), currency);
+    const revenueOf = (list, currency) => realisedOf(list, currency) + upcomingOf(list, currency);
+
+    // Per-property breakdown for the combined "all properties" view
+    const hotels = req.hotels.map((h) => {
+      const hotelBookings = bookings.filter(
+        (b) => b.hotel?._id.toString() === h._id.toString()
+      );
+      return {
+        _id: h._id,
+        name: h.name,
+        city: h.city,
+        currency: currencyOf(h),
+        totalBookings: hotelBookings.length,
+        totalRevenue: revenueOf(hotelBookings, currencyOf(h)),
+        realisedRevenue: realisedOf(hotelBookings, currencyOf(h)),
+        upcomingRevenue: upcomingOf(hotelBookings, currencyOf(h)),
+      };
+    });
 
     res.json({
       success: true,
       dashboardData: {
+        currency: totalCurrency,
         totalBookings: bookings.length,
-        totalRevenue,
+        totalRevenue: revenueOf(bookings, totalCurrency),
+        realisedRevenue: realisedOf(bookings, totalCurrency),
+        upcomingRevenue: upcomingOf(bookings, totalCurrency),
         bookings,
+        hotels,
       },
     });
   } catch {
@@ -175,13 +701,17 @@ export const getHotelBookingsAll = async (req, res) => {
       .populate("room hotel user")
       .sort({ createdAt: -1 });
 
-    const totalRevenue = bookings
-      .filter((b) => b.status !== "refunded")
-      .reduce((acc, b) => acc + b.totalPrice, 0);
+    // Hotels charge in their own currencies; the platform total is in the base one
+    const rates = await getRates();
+    const totalRevenue = bookings.reduce(
+      (acc, b) => acc + (convert(bookingRevenue(b), currencyOf(b), BASE_CURRENCY, rates) ?? 0),
+      0
+    );
 
     res.json({
       success: true,
       dashboardData: {
+        currency: BASE_CURRENCY,
         totalBookings: bookings.length,
         totalRevenue,
         bookings,
@@ -194,6 +724,9 @@ export const getHotelBookingsAll = async (req, res) => {
 
 function getFinalStatus(b) {
   if (b.status === "refunded") return "Refunded";
+  if (b.status === "checked_in") return "Checked In";
+  if (b.status === "checked_out") return "Checked Out";
+  if (b.status === "no_show") return "No-show";
   if (b.status === "cancelled")
     return b.paymentStatus === "paid" ? "Cancelled (Paid)" : "Cancelled";
   if (b.paymentStatus === "paid")
@@ -211,12 +744,12 @@ export const generateOrders = async (req, res) => {
       .populate("user", "name");
 
     const orders = bookings.map((b) => ({
-      id: `#${b._id.toString().slice(-6)}`,
+      id: bookingReference(b),
       user: b.user?.name || "Unknown",
       date: b.checkInDate.toISOString().split("T")[0],
       checkOutDate: b.checkOutDate.toISOString().split("T")[0],
       name: b.room?.name || "Unknown Room",
-      price: `${b.totalPrice} NGN`,
+      price: formatMoney(b.totalPrice, b.currency),
       status: getFinalStatus(b),
     }));
 
@@ -228,35 +761,84 @@ export const generateOrders = async (req, res) => {
 
 export const stripePayment = async (req, res) => {
   try {
-    const { bookingId } = req.body;
-    const booking = await Booking.findById(bookingId);
+    const { bookingId, groupId } = req.body;
 
-    if (!booking)
-      return res.json({ success: false, message: "Booking not found" });
+    // A group checkout pays every still-active room of the group at once.
+    // Released or expired holds may have had their nights re-sold already.
+    const bookings = await Booking.find({
+      ...(groupId ? { group: groupId } : { _id: bookingId }),
+      ...payableBookingFilter(),
+    }).populate("user room hotel");
+
+    if (!bookings.length)
+      return res.json({ success: false, message: "This booking is no longer available for payment" });
+
+    if (bookings.some((b) => !isBookingGuest(req.user, b)))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
+    // A paid booking that was later made pricier only owes the difference
+    const amountOwed = (b) =>
+      b.paymentStatus === "paid" ? b.balanceDue : b.totalPrice;
+    const payable = bookings.filter((b) => amountOwed(b) > 0);
+
+    if (!payable.length)
+      return res.json({ success: false, message: "Nothing left to pay" });
 
-    const roomData = await Room.findById(booking.room).populate("hotel");
     const stripeInstance = new stripe(process.env.STRIPE_SECRET_KEY);
     const { origin } = req.headers;
 
+    // A group is at one hotel, so everything is charged in one currency
+    const currency = currencyOf(payable[0]);
+    const lineItem = (name, amount) => ({
+      price_data: {
+        currency: currency.toLowerCase(),
+        product_data: { name },
+        unit_amount: toMinorUnits(amount, currency),
+      },
+      quantity: 1,
+    });
+
+    // A first payment is itemised like the booking; a balance is one line
+    const lineItems = (b) => {
+      const name = payable.length > 1 ? `${b.hotel.name} - ${b.room.roomType}` : b.hotel.name;
+      const breakdown = b.priceBreakdown;
+      if (b.paymentStatus === "paid" || !breakdown)
+        return [lineItem(b.paymentStatus === "paid" ? `${name} (balance due)` : name, amountOwed(b))];
+
+      const room = {
+        name: breakdown.discount ? `${name} (after ${breakdown.discount} discount)` : name,
+        amount: breakdown.subtotal - breakdown.discount,
+      };
+      const charges = [...breakdown.taxes, ...breakdown.fees].map((line) => ({
+        name: payable.length > 1 ? `${line.name} - ${b.room.roomType}` : line.name,
+        amount: line.amount,
+      }));
+
+      return [room, ...charges]
+        .filter((line) => line.amount > 0)
+        .map((line) => lineItem(line.name, line.amount));
+    };
+
     const session = await stripeInstance.checkout.sessions.create({
       mode: "payment",
-      line_items: [
-        {
-          price_data: {
-            currency: "ngn",
-            product_data: { name: roomData.hotel.name },
-            unit_amount: booking.totalPrice * 100,
-          },
-          quantity: 1,
-        },
-      ],
+      line_items: payable.flatMap(lineItems),
+      metadata: { bookingIds: payable.map((b) => b._id.toString()).join(",") },
       success_url: `${origin}/loader/my-bookings`,
       cancel_url: `${origin}/my-bookings`,
     });
 
-    booking.paymentStatus = "paid";
-    booking.status = "confirmed";
-    await booking.save();
+    const totalPaid = payable.reduce((sum, b) => sum + amountOwed(b), 0);
+    for (const booking of payable) {
+      booking.amountPaid = amountPaid(booking) + amountOwed(booking);
+      booking.paymentStatus = "paid";
+      if (booking.status === "pending") booking.status = "confirmed";
+      booking.balanceDue = 0;
+      await booking.save();
+    }
+
+    const booking = payable[0];
 
 try {
   await sgMail.send({
@@ -268,9 +850,9 @@ try {
       <p>Hello ${booking.user.username},</p>
       <p>Your payment has been completed successfully.</p>
       <ul>
-        <li><b>Booking ID:</b> ${booking._id}</li>
+        <li><b>Booking Reference${payable.length > 1 ? "s" : ""}:</b> ${payable.map(bookingReference).join(", ")}</li>
         <li><b>Status:</b> Confirmed</li>
-        <li><b>Total Paid:</b> ${booking.totalPrice}</li>
+        <li><b>Total Paid:</b> ${formatMoney(totalPaid, currency)}</li>
         <li><b>Check-in:</b> ${booking.checkInDate.toDateString()}</li>
         <li><b>Check-out:</b> ${booking.checkOutDate.toDateString()}</li>
       </ul>
@@ -302,21 +884,15 @@ export const getAllBookings = async (req, res) => {
 
 export const getOwnerBookings = async (req, res) => {
   try {
-    const ownerId = req.user.id; // from auth middleware
-
-    const bookings = await Booking.find()
-      .populate({
-        path: "hotel",
-        match: { owner: ownerId },
-        select: "name owner",
-      })
-      .populate("room", "roomType")
-      .populate("user", "name email")
+    const bookings = await Booking.find({
+      hotel: { $in: req.hotels.map((h) => h._id) },
+    })
+      .populate("hotel", "name owner")
+      .populate("room", "roomType units unitNumbers")
+      .populate("user", "username email")
       .sort({ createdAt: -1 });
 
-    const ownerBookings = bookings.filter(b => b.hotel !== null);
-
-    res.json({ success: true, bookings: ownerBookings });
+    res.json({ success: true, bookings });
   } catch (error) {
     res.status(500).json({ success: false, message: error.message });
   }
@@ -329,41 +905,410 @@ export const releaseBookingRoom = async (req, res) => {
     if (!booking)
       return res.status(404).json({ success: false, message: "Not found" });
 
+    if (!(await canManageBooking(req.user, booking, "releaseRooms")))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
     if (booking.paymentStatus === "paid")
       return res
         .status(400)
         .json({ success: false, message: "Paid booking cannot be released" });
 
+    if (!["pending", "confirmed"].includes(booking.status))
+      return res
+        .status(400)
+        .json({ success: false, message: "Booking is no longer active" });
+
+    const before = booking.toObject({ depopulate: true });
     booking.status = "cancelled";
     booking.paymentStatus = "awaiting";
     booking.refundStatus = "none";
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = "hotel";
     await booking.save();
+    await releaseNights(booking._id);
+
+    await logAudit(req, {
+      action: "booking.release",
+      targetType: "Booking",
+      targetId: booking._id,
+      before,
+      after: booking,
+    });
 
     res.json({ success: true, message: "Room released" });
 
+    await sendCancellationEmail(booking);
+    await notifyWaitlist(booking);
+
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+};
+
+export const cancelBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate("user hotel");
+    if (!booking)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (!isBookingGuest(req.user, booking))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
+    const terms = getCancellationTerms(booking, booking.hotel);
+    if (!terms.cancellable)
+      return res
+        .status(400)
+        .json({ success: false, message: "This booking can no longer be cancelled" });
+
+    // Refunds add to any made when the booking was modified
+    booking.status = "cancelled";
+    booking.cancelledAt = new Date();
+    booking.cancelledBy = "guest";
+    booking.amountPaid = amountPaid(booking) - terms.refundableAmount;
+    booking.refundAmount += terms.refundableAmount;
+    if (terms.refundableAmount > 0)
+      booking.refundStatus = booking.amountPaid > 0 ? "partial" : "refunded";
+    await booking.save();
+    await releaseNights(booking._id);
+
+    res.json({
+      success: true,
+      message: terms.refundableAmount > 0
+        ? `Booking cancelled. ${formatMoney(terms.refundableAmount, booking.currency)} will be refunded (simulated).`
+        : "Booking cancelled",
+      refundAmount: terms.refundableAmount,
+    });
+
+    await sendCancellationEmail(booking, null, terms.refundableAmount);
+    await notifyWaitlist(booking);
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+};
+
+export const modifyBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate("user hotel");
+    if (!booking)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (!isBookingGuest(req.user, booking))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
+    if (RELEASED_STATUSES.includes(booking.status) || new Date() >= booking.checkInDate)
+      return res
+        .status(400)
+        .json({ success: false, message: "This booking can no longer be modified" });
+
+    const room = req.body.room || booking.room;
+    const checkIn = toNight(req.body.checkInDate || booking.checkInDate);
+    const checkOut = toNight(req.body.checkOutDate || booking.checkOutDate);
+    const party =
+      req.body.adults !== undefined || req.body.guests !== undefined
+        ? partySize(req.body)
+        : partySize(booking.adults ? booking : { guests: booking.guests });
+    const nights = stayNights(checkIn, checkOut).length;
+
+    if (!nights)
+      return res.json({ success: false, message: "Check-out must be after check-in" });
+
+    if (checkIn < toNight(new Date()))
+      return res.json({ success: false, message: "Check-in cannot be in the past" });
+
+    const roomData = await Room.findById(room);
+    if (!roomData || roomData.hotel !== booking.hotel._id.toString())
+      return res.json({ success: false, message: "Room not found at this hotel" });
+
+    // Room prices have moved to the hotel's new currency; the booking was
+    // paid for in the old one
+    if (currencyOf(booking) !== currencyOf(booking.hotel))
+      return res.json({
+        success: false,
+        message: "This hotel has changed its currency since you booked. Please contact the hotel to change your booking.",
+      });
+
+    const tooMany = capacityError(roomData, party);
+    if (tooMany) return res.json({ success: false, message: tooMany });
+
+    // Stays already booked keep their dates even if the rules changed since
+    const sameArrival = checkIn.getTime() === toNight(booking.checkInDate).getTime();
+    if (!sameArrival || checkOut.getTime() !== toNight(booking.checkOutDate).getTime()) {
+      const ruleBroken = stayRuleError(effectiveStayRules(roomData, booking.hotel), checkIn, checkOut, { sameArrival });
+      if (ruleBroken) return res.json({ success: false, message: ruleBroken });
+    }
+
+    const price = stayPrice(roomData, checkIn, checkOut);
+    const discount = await keptDiscount(booking.promotion, roomData, price, currencyOf(booking));
+    const breakdown = priceBreakdown({
+      subtotal: price,
+      discount,
+      nights,
+      rules: await findChargeRules(booking.hotel),
+    });
+    const totalPrice = breakdown.total;
+    const priceDifference = totalPrice - booking.totalPrice;
+
+    const { unitsLeft, bookable } = await getBookableUnits({
+      room,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      excludeBooking: booking._id,
+      excludeUser: req.user._id,
+    });
+    if (!unitsLeft)
+      return res.json({ success: false, message: "Room is not available for the new dates" });
+
+    if (!bookable)
+      return res.json({
+        success: false,
+        message: "These dates are being held for a guest on the waitlist. Please try again later.",
+      });
+
+    booking.modifications.push({
+      previous: {
+        room: booking.room,
+        checkInDate: booking.checkInDate,
+        checkOutDate: booking.checkOutDate,
+        guests: booking.guests,
+        adults: booking.adults,
+        children: booking.children,
+        totalPrice: booking.totalPrice,
+      },
+      priceDifference,
+    });
+
+    // Unpaid bookings simply carry the new total; paid ones settle the difference
+    if (booking.paymentStatus === "paid") {
+      const balance = booking.balanceDue + priceDifference;
+      booking.balanceDue = Math.max(balance, 0);
+      if (balance < 0) {
+        booking.amountPaid = amountPaid(booking) + balance;
+        booking.refundAmount += -balance;
+        booking.refundStatus = "partial";
+      }
+    }
+
+    const previousStay = {
+      room: booking.room,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+    };
+    booking.set({
+      room,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      ...party,
+      totalPrice,
+      discount,
+      priceBreakdown: breakdown,
+    });
+    await booking.validate();
+
+    // Only claimed once everything else has passed; until the booking is
+    // saved it holds both its old and new nights
+    const claim = await reclaimNights({
+      room,
+      booking: booking._id,
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+    });
+    if (!claim)
+      return res.json({
+        success: false,
+        message: "Sorry, this room was just booked for your new dates. Please choose different dates.",
+      });
+
+    try {
+      await booking.save();
+    } catch (error) {
+      await claim.rollback();
+      throw error;
+    }
+    await claim.commit();
+
+    res.json({
+      success: true,
+      message: "Booking updated",
+      priceDifference,
+      balanceDue: booking.balanceDue,
+    });
+
     try {
       await sgMail.send({
         to: booking.user.email,
         from: `VacayStay <${process.env.SENDGRID_SENDER}>`,
-        subject: "Your Booking Has Been Cancelled",
+        subject: "Your Booking Has Been Updated",
         html: `
-          <h2>Booking Cancelled</h2>
+          <h2>Booking Updated</h2>
           <p>Hello ${booking.user.username},</p>
-          <p>Your booking has been successfully cancelled.</p>
+          <p>Your booking has been changed. Here are the new details:</p>
           <ul>
-            <li><b>Booking ID:</b> ${booking._id}</li>
-            <li><b>Status:</b> Cancelled</li>
+            <li><b>Booking Reference:</b> ${bookingReference(booking)}</li>
+            <li><b>Hotel:</b> ${booking.hotel.name}</li>
+            <li><b>Room:</b> ${roomData.roomType}</li>
+            <li><b>Check-in:</b> ${booking.checkInDate.toDateString()}</li>
+            <li><b>Check-out:</b> ${booking.checkOutDate.toDateString()}</li>
+            <li><b>Guests:</b> ${booking.guests}</li>
+            <li><b>New Total:</b> ${formatMoney(booking.totalPrice, booking.currency)}</li>
+            ${priceDifference > 0 ? `<li><b>Additional charge:</b> ${formatMoney(priceDifference, booking.currency)}</li>` : ""}
+            ${priceDifference < 0 ? `<li><b>Price reduction:</b> ${formatMoney(-priceDifference, booking.currency)}</li>` : ""}
           </ul>
-          <p>If this was a mistake, you can make a new booking anytime.</p>
+          ${breakdownHtml(booking)}
         `,
       });
     } catch (emailError) {
       console.error(
-        "Cancellation email failed:",
+        "Modification email failed:",
         emailError.response?.body?.errors || emailError.message
       );
     }
 
+    // Nights the booking gave up may be someone's waitlisted stay
+    await notifyWaitlist(previousStay);
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+};
+
+export const markBookingPaid = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (!(await canManageBooking(req.user, booking, "markPayments")))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
+    if (booking.paymentStatus === "paid")
+      return res
+        .status(400)
+        .json({ success: false, message: "Booking is already paid" });
+
+    if (["cancelled", "refunded"].includes(booking.status))
+      return res
+        .status(400)
+        .json({ success: false, message: "Booking is no longer active" });
+
+    const before = booking.toObject();
+    booking.amountPaid = booking.totalPrice;
+    booking.paymentStatus = "paid";
+    // Guests paying at the desk may already be checked in
+    if (booking.status === "pending") booking.status = "confirmed";
+    await booking.save();
+
+    await logAudit(req, {
+      action: "booking.payment.mark",
+      targetType: "Booking",
+      targetId: booking._id,
+      before,
+      after: booking,
+    });
+
+    res.json({ success: true, message: "Payment recorded" });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+// Front-desk transitions: which statuses each one may start from
+const STAY_TRANSITIONS = {
+  checked_in: ["pending", "confirmed"],
+  checked_out: ["checked_in"],
+  no_show: ["pending", "confirmed"],
+};
+
+export const updateStayStatus = async (req, res) => {
+  try {
+    const { status, unitNumber } = req.body;
+    if (!STAY_TRANSITIONS[status])
+      return res.status(400).json({ success: false, message: "Invalid status" });
+
+    const booking = await Booking.findById(req.params.id);
+    if (!booking)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    if (!(await canManageBooking(req.user, booking, "frontDesk")))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
+    if (!STAY_TRANSITIONS[status].includes(booking.status))
+      return res.status(400).json({
+        success: false,
+        message: `A ${booking.status.replace("_", " ")} booking can't be marked ${status.replace("_", " ")}`,
+      });
+
+    // Guests can't arrive, or fail to, before their check-in day
+    if (status !== "checked_out" && toNight(new Date()) < booking.checkInDate)
+      return res
+        .status(400)
+        .json({ success: false, message: "The stay hasn't started yet" });
+
+    // Checking in puts the guest in one concrete unit of the room type
+    let assignedUnit = null;
+    if (status === "checked_in") {
+      const room = await Room.findById(booking.room).select("units unitNumbers");
+      const units = room ? unitNumbersOf(room) : [];
+      const occupied = (
+        await Booking.find({
+          _id: { $ne: booking._id },
+          room: booking.room,
+          status: "checked_in",
+        }).select("unitNumber")
+      ).map((b) => b.unitNumber);
+
+      // Without a choice the guest gets the first free unit
+      assignedUnit = unitNumber ? String(unitNumber) : units.find((u) => !occupied.includes(u));
+
+      if (!assignedUnit)
+        return res.status(400).json({ success: false, message: "Every room of this type is occupied" });
+      if (!units.includes(assignedUnit))
+        return res.status(400).json({ success: false, message: `Room ${assignedUnit} doesn't belong to this room type` });
+      if (occupied.includes(assignedUnit))
+        return res.status(400).json({ success: false, message: `Room ${assignedUnit} is already occupied` });
+    }
+
+    const before = booking.toObject();
+    booking.status = status;
+    if (status === "checked_in") {
+      booking.checkedInAt = new Date();
+      booking.unitNumber = assignedUnit;
+    }
+    if (status === "checked_out") booking.checkedOutAt = new Date();
+    await booking.save();
+
+    // A no-show frees the room for the rest of the stay
+    if (status === "no_show") await releaseNights(booking._id);
+
+    await logAudit(req, {
+      action: `booking.${status}`,
+      targetType: "Booking",
+      targetId: booking._id,
+      before,
+      after: booking,
+    });
+
+    res.json({ success: true, message: "Booking updated" });
+
+    if (status === "no_show") await notifyWaitlist(booking);
   } catch (error) {
     console.error(error);
     if (!res.headersSent) {
@@ -378,15 +1323,44 @@ export const refundBooking = async (req, res) => {
     if (!booking)
       return res.status(404).json({ success: false, message: "Not found" });
 
+    if (!(await canManageBooking(req.user, booking)))
+      return res
+        .status(403)
+        .json({ success: false, message: "Not authorized for this booking" });
+
     if (booking.paymentStatus !== "paid")
       return res
         .status(400)
         .json({ success: false, message: "Only paid bookings refundable" });
 
+    if (booking.status === "refunded")
+      return res
+        .status(400)
+        .json({ success: false, message: "Booking is already refunded" });
+
+    // Whatever is still held, e.g. the penalty kept from a guest cancellation
+    const refund = amountPaid(booking);
+    if (refund <= 0)
+      return res
+        .status(400)
+        .json({ success: false, message: "Nothing left to refund" });
+
+    const before = booking.toObject({ depopulate: true });
     booking.status = "refunded";
     booking.refundStatus = "refunded";
     booking.paymentStatus = "awaiting";
+    booking.amountPaid = 0;
+    booking.refundAmount += refund;
     await booking.save();
+    await releaseNights(booking._id);
+
+    await logAudit(req, {
+      action: "booking.refund",
+      targetType: "Booking",
+      targetId: booking._id,
+      before,
+      after: booking,
+    });
 
 
     res.json({
@@ -404,8 +1378,9 @@ export const refundBooking = async (req, res) => {
           <p>Hello ${booking.user.username},</p>
           <p>Your refund has been processed successfully.</p>
           <ul>
-            <li><b>Booking ID:</b> ${booking._id}</li>
+            <li><b>Booking Reference:</b> ${bookingReference(booking)}</li>
             <li><b>Refund Status:</b> Refunded</li>
+            <li><b>Amount:</b> ${formatMoney(refund, booking.currency)}</li>
           </ul>
           <p>The funds should reflect based on your payment provider's timeline.</p>
         `,
@@ -417,6 +1392,8 @@ export const refundBooking = async (req, res) => {
       );
     }
 
+    await notifyWaitlist(booking);
+
   } catch (error) {
     console.error(error);
     if (!res.headersSent) {
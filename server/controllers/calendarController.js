@@ -0,0 +1,178 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import Room from "../models/Room.js";
+import Booking from "../models/Booking.js";
+import CalendarBlock from "../models/CalendarBlock.js";
+import { findEditableRoom } from "../middleware/hotelMiddleware.js";
+import { RELEASED_STATUSES } from "../services/availability.js";
+import { buildIcs } from "../services/ical.js";
+import { importCalendar, syncCalendar } from "../services/calendarSync.js";
+import { stayNights } from "../services/inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newToken = () => crypto.randomBytes(24).toString("hex");
+
+// Runs of consecutive nights on which `bookings` take all `units`, as
+// [start, end) ranges. A room type with units still free stays open elsewhere.
+const fullyBookedRanges = (bookings, units) => {
+  const taken = new Map();
+  bookings.forEach((b) =>
+    stayNights(b.checkInDate, b.checkOutDate).forEach((night) => {
+      const t = night.getTime();
+      taken.set(t, (taken.get(t) || 0) + 1);
+    })
+  );
+
+  const ranges = [];
+  [...taken]
+    .filter(([, count]) => count >= units)
+    .map(([t]) => t)
+    .sort((a, b) => a - b)
+    .forEach((t) => {
+      const last = ranges.at(-1);
+      if (last?.end === t) last.end = t + DAY_MS;
+      else ranges.push({ start: t, end: t + DAY_MS });
+    });
+  return ranges;
+};
+
+// Public feed other platforms poll; the token is the only credential. Only
+// VacayStay bookings are exported: re-exporting blocks imported from other
+// platforms would hand them back their own stays.
+export const getRoomFeed = async (req, res) => {
+  try {
+    const room = await Room.findOne({ icalToken: req.params.token }).populate("hotel", "name");
+    if (!room) return res.status(404).send("Calendar not found");
+
+    const bookings = await Booking.find({
+      room: String(room._id),
+      status: { $nin: RELEASED_STATUSES },
+      checkOutDate: { $gte: new Date() },
+    }).select("checkInDate checkOutDate");
+
+    const ics = buildIcs({
+      name: `${room.hotel?.name || "VacayStay"} - ${room.roomType}`,
+      events: fullyBookedRanges(bookings, room.units ?? 1).map(({ start, end }) => ({
+        uid: `${room._id}-${start}@vacaystay`,
+        summary: "Booked on VacayStay",
+        start: new Date(start),
+        end: new Date(end),
+      })),
+    });
+
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `inline; filename="room-${room._id}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    res.status(500).send(error.message);
+  }
+};
+
+export const getRoomCalendars = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    if (!room.icalToken) {
+      room.icalToken = newToken();
+      await room.save();
+    }
+
+    res.json({
+      success: true,
+      feedToken: room.icalToken,
+      calendars: room.externalCalendars,
+    });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const regenerateFeedToken = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    room.icalToken = newToken();
+    await room.save();
+
+    res.json({ success: true, message: "Feed link regenerated", feedToken: room.icalToken });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const addExternalCalendar = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    const { name, url } = req.body;
+    if (!name || !/^https?:\/\//i.test(url || ""))
+      return res.json({ success: false, message: "A name and an http(s) calendar URL are required" });
+
+    room.externalCalendars.push({ name, url });
+    const calendar = room.externalCalendars.at(-1);
+    const imported = await syncCalendar(room, calendar);
+    await room.save();
+
+    if (imported === null)
+      return res.json({
+        success: true,
+        message: `Calendar added, but the first sync failed: ${calendar.lastError}`,
+      });
+
+    res.json({ success: true, message: `Calendar added. ${imported} stay(s) imported.` });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// One-off import of an .ics file; uploading again under the same name replaces it
+export const uploadCalendarFile = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    if (!req.file)
+      return res.json({ success: false, message: "Choose an .ics file to upload" });
+
+    const ics = await fs.readFile(req.file.path, "utf8");
+    if (!ics.includes("BEGIN:VCALENDAR"))
+      return res.json({ success: false, message: "Not an iCalendar file" });
+
+    const name = req.body.name || req.file.originalname;
+    let calendar = room.externalCalendars.find((c) => !c.url && c.name === name);
+    if (!calendar) {
+      room.externalCalendars.push({ name });
+      calendar = room.externalCalendars.at(-1);
+    }
+
+    const imported = await importCalendar(room, calendar, ics);
+    await room.save();
+
+    res.json({ success: true, message: `${imported} stay(s) imported from ${name}` });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const removeExternalCalendar = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    const calendar = room.externalCalendars.id(req.params.calendarId);
+    if (!calendar)
+      return res.status(404).json({ success: false, message: "Calendar not found" });
+
+    calendar.deleteOne();
+    await room.save();
+    await CalendarBlock.deleteMany({ calendar: req.params.calendarId });
+
+    res.json({ success: true, message: "Calendar removed" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
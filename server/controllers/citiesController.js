@@ -1,4 +1,5 @@
 import City from "../models/Cities.js";
+import { logAudit } from "./auditController.js";
 
 
 export const getAllCities = async (req, res) => {
@@ -26,6 +27,14 @@ export const addCity = async (req, res) => {
         const city = new City({ name: name.trim() });
         await city.save();
 
+        await logAudit(req, {
+            action: "city.add",
+            targetType: "City",
+            targetId: city._id,
+            before: null,
+            after: city,
+        });
+
         res.json({ success: true, message: "City added successfully", city });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -35,7 +44,17 @@ export const addCity = async (req, res) => {
 export const deleteCity = async (req, res) => {
     try {
         const { id } = req.params;
-        await City.findByIdAndDelete(id);
+        const city = await City.findByIdAndDelete(id);
+
+        if (city) {
+            await logAudit(req, {
+                action: "city.delete",
+                targetType: "City",
+                targetId: city._id,
+                before: city,
+                after: null,
+            });
+        }
         res.json({ success: true, message: "City deleted successfully" });
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
@@ -0,0 +1,76 @@
+import ExchangeRate from "../models/ExchangeRate.js";
+import Hotel from "../models/Hotel.js";
+import { logAudit } from "./auditController.js";
+import { BASE_CURRENCY } from "../services/currency.js";
+
+// Public: guests need the rates to show prices in their own currency
+export const getExchangeRates = async (req, res) => {
+  try {
+    const rates = await ExchangeRate.find({}).sort({ currency: 1 });
+    res.json({ success: true, base: BASE_CURRENCY, rates });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export const setExchangeRate = async (req, res) => {
+  try {
+    const currency = String(req.params.currency || "").toUpperCase();
+    const rate = +req.body.rate;
+
+    if (!/^[A-Z]{3}$/.test(currency))
+      return res.status(400).json({ success: false, message: "Use a three-letter currency code, e.g. USD" });
+    if (currency === BASE_CURRENCY)
+      return res.status(400).json({ success: false, message: `${BASE_CURRENCY} is the base currency` });
+    if (!(rate > 0))
+      return res.status(400).json({ success: false, message: "Rate must be a positive number" });
+
+    const before = await ExchangeRate.findOne({ currency });
+    const exchangeRate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate, updatedBy: req.user._id },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    await logAudit(req, {
+      action: "currency.rate.update",
+      targetType: "ExchangeRate",
+      targetId: exchangeRate._id,
+      before,
+      after: exchangeRate,
+    });
+
+    res.json({ success: true, message: `${currency} rate saved`, exchangeRate });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export const deleteExchangeRate = async (req, res) => {
+  try {
+    const currency = String(req.params.currency || "").toUpperCase();
+
+    // Hotels priced in a currency need its rate for guests' conversions
+    if (await Hotel.exists({ currency }))
+      return res.status(400).json({
+        success: false,
+        message: `Hotels still price their rooms in ${currency}`,
+      });
+
+    const exchangeRate = await ExchangeRate.findOneAndDelete({ currency });
+    if (!exchangeRate)
+      return res.status(404).json({ success: false, message: "Rate not found" });
+
+    await logAudit(req, {
+      action: "currency.rate.delete",
+      targetType: "ExchangeRate",
+      targetId: exchangeRate._id,
+      before: exchangeRate,
+      after: null,
+    });
+
+    res.json({ success: true, message: `${currency} removed` });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
@@ -1,8 +1,14 @@
 import Hotel from "../models/Hotel.js";
 import Booking from "../models/Booking.js";
+import Room from "../models/Room.js";
 import HotelTemp from "../models/HotelTemp.js";
 import User from "../models/User.js";
 import { v2 as cloudinary } from "cloudinary";
+import HotelStaff, { STAFF_PERMISSIONS } from "../models/HotelStaff.js";
+import { logAudit } from "./auditController.js";
+import { getAccessibleHotels } from "../middleware/hotelMiddleware.js";
+import { convert, currencyOf, getRates, isKnownCurrency } from "../services/currency.js";
+import { readStayRules } from "../services/stayRules.js";
 
 
 export const registerHotel = async (req, res) => {
@@ -10,7 +16,7 @@ export const registerHotel = async (req, res) => {
     const { name, address, contact, city } = req.body;
     const owner = req.user._id;
 
-    const existingHotel = await HotelTemp.findOne({ owner });
+    const existingHotel = await HotelTemp.findOne({ owner, name });
     if (existingHotel) {
       return res.json({ success: false, message: "Hotel already registered" });
     }
@@ -77,8 +83,17 @@ export const toggleRoomAvailability = async (req, res) => {
   try {
     const { roomId } = req.body;
     const roomData = await Hotel.findById(roomId);
+    const before = roomData.toObject();
     roomData.isAvailable = !roomData.isAvailable;
     await roomData.save();
+
+    await logAudit(req, {
+      action: "hotel.availability.toggle",
+      targetType: "Hotel",
+      targetId: roomData._id,
+      before,
+      after: roomData,
+    });
     res.json({ success: true, message: "Room availability Updated" });
   } catch (error) {
     res.json({ success: false, message: error.message });
@@ -109,12 +124,20 @@ export const approvePending = async (req, res) => {
 
     const hotelData = pending.toObject();
     delete hotelData._id;
-    await Hotel.create(hotelData);
+    const hotel = await Hotel.create(hotelData);
 
     await pending.deleteOne();
 
     await User.findByIdAndUpdate(pending.owner, { role: "hotelOwner" });
 
+    await logAudit(req, {
+      action: "hotel.approve",
+      targetType: "Hotel",
+      targetId: hotel._id,
+      before: pending,
+      after: hotel,
+    });
+
     res.json({ success: true, message: "Hotel approved and moved." });
   } catch (error) {
     console.error(error);
@@ -134,6 +157,14 @@ export const declinePending = async (req, res) => {
 
     await pending.deleteOne();
 
+    await logAudit(req, {
+      action: "hotel.decline",
+      targetType: "HotelPending",
+      targetId: pending._id,
+      before: pending,
+      after: null,
+    });
+
     res.json({ success: true, message: "Hotel declined and deleted." });
   } catch (error) {
     console.error(error);
@@ -159,6 +190,85 @@ export const getAllPendingPayments = async (req, res) => {
   }
 };
 
+export const updateHotelSettings = async (req, res) => {
+  try {
+    const hotel = await Hotel.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: "No hotel found" });
+    }
+
+    const { paymentHoldHours, cancellationPolicy, currency } = req.body;
+    if (paymentHoldHours !== undefined) hotel.paymentHoldHours = +paymentHoldHours;
+    if (cancellationPolicy !== undefined) hotel.cancellationPolicy = cancellationPolicy;
+
+    // Room prices are in the hotel's currency, so they move with it. Promotions
+    // and taxes keep their own currency and existing bookings the one they
+    // were made in.
+    let rooms = [];
+    if (currency !== undefined && String(currency).toUpperCase() !== currencyOf(hotel)) {
+      const code = String(currency).toUpperCase();
+      if (!(await isKnownCurrency(code)))
+        return res.json({ success: false, message: "Ask an admin to add an exchange rate for this currency first" });
+
+      const rates = await getRates();
+      const from = currencyOf(hotel);
+      if (!rates[from])
+        return res.json({ success: false, message: `Ask an admin to add an exchange rate for ${from} first` });
+
+      const toNew = (amount) => convert(amount, from, code, rates);
+      rooms = await Room.find({ hotel: hotel._id.toString() });
+      rooms.forEach((room) => {
+        room.pricePerNight = toNew(room.pricePerNight);
+        if (room.weekendPrice) room.weekendPrice = toNew(room.weekendPrice);
+        room.rateOverrides.forEach((o) => { o.price = toNew(o.price); });
+      });
+      hotel.currency = code;
+    }
+    if (req.body.stayRules !== undefined) {
+      const { rules, error } = readStayRules(req.body.stayRules, {
+        rooms: rooms.length ? rooms : await Room.find({ hotel: hotel._id.toString() }),
+      });
+      if (error) return res.status(400).json({ success: false, message: error });
+      hotel.stayRules = rules;
+    }
+
+    await hotel.save();
+    for (const room of rooms) await room.save();
+
+    res.json({
+      success: true,
+      message: rooms.length
+        ? `Hotel settings updated. Prices of ${rooms.length} room(s) were converted to ${hotel.currency}.`
+        : "Hotel settings updated",
+      hotel,
+    });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const getOwnerHotels = async (req, res) => {
+  try {
+    const hotels = await getAccessibleHotels(req.user);
+    const memberships = await HotelStaff.find({ user: req.user._id, status: "active" });
+
+    // Owners hold every permission on their own hotels, staff what they were granted
+    const result = hotels.map((hotel) => {
+      const isOwner = hotel.owner === req.user._id;
+      const membership = memberships.find((m) => m.hotel === hotel._id.toString());
+      return {
+        ...hotel.toObject(),
+        isOwner,
+        permissions: isOwner ? STAFF_PERMISSIONS : membership?.permissions || [],
+      };
+    });
+
+    res.json({ success: true, hotels: result });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
 export const getPendingHotels = async (req, res) => {
     try {
         const hotelTemp = await HotelTemp.find({ owner: req.user._id });
@@ -0,0 +1,203 @@
+import { v2 as cloudinary } from "cloudinary";
+import Hotel from "../models/Hotel.js";
+import Promotion from "../models/Promotion.js";
+import Room from "../models/Room.js";
+import { logAudit } from "./auditController.js";
+import { findLiveOffers } from "../services/promotions.js";
+import { BASE_CURRENCY, currencyOf, isKnownCurrency } from "../services/currency.js";
+
+const isAdmin = (user) => user.role === "Admin";
+
+// Owners and staff manage promotions limited to hotels they edit rooms for
+const canManage = (req, promotion) =>
+  isAdmin(req.user) ||
+  (promotion.hotels.length > 0 &&
+    promotion.hotels.every((id) => req.hotels.some((h) => h._id.toString() === id)));
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(",")).map((v) => String(v).trim()).filter(Boolean);
+
+// Validated promotion fields from a (multipart) form, or an error message
+const readPromotion = async (req) => {
+  const { title, description, discountType, discountValue, startsAt, endsAt, code, maxUses } = req.body;
+  const hotels = toList(req.body.hotels);
+  const rooms = toList(req.body.rooms);
+
+  if (!title?.trim()) return { error: "Give the promotion a title" };
+  if (!["percent", "fixed"].includes(discountType)) return { error: "Choose a discount type" };
+  if (!(+discountValue > 0) || (discountType === "percent" && +discountValue > 100))
+    return { error: "Enter a discount between 1 and 100%, or a positive amount" };
+
+  const from = new Date(startsAt);
+  const to = new Date(endsAt);
+  if (isNaN(from) || isNaN(to) || to <= from) return { error: "Choose a valid offer period" };
+
+  if (!isAdmin(req.user)) {
+    if (!hotels.length) return { error: "Choose which of your hotels the promotion is for" };
+    if (!hotels.every((id) => req.hotels.some((h) => h._id.toString() === id)))
+      return { error: "You can only create promotions for your own hotels" };
+  }
+
+  if (rooms.length) {
+    const roomData = await Room.find({ _id: { $in: rooms } }).select("hotel");
+    if (roomData.length !== rooms.length || (hotels.length && roomData.some((r) => !hotels.includes(r.hotel))))
+      return { error: "Rooms must belong to the chosen hotels" };
+  }
+
+  // A fixed discount defaults to the currency its hotels share, if they do
+  const hotelCurrencies = new Set(
+    (await Hotel.find({ _id: { $in: hotels } }).select("currency")).map(currencyOf)
+  );
+  const currency = String(
+    req.body.currency || (hotelCurrencies.size === 1 ? [...hotelCurrencies][0] : BASE_CURRENCY)
+  ).toUpperCase();
+  if (!(await isKnownCurrency(currency))) return { error: "Unknown currency" };
+
+  const promoCode = String(code || "").trim().toUpperCase();
+  if (promoCode && !/^[A-Z0-9-]{3,20}$/.test(promoCode))
+    return { error: "Promo codes are 3-20 letters, digits or dashes" };
+
+  return {
+    fields: {
+      title,
+      description: description || "",
+      discountType,
+      discountValue: +discountValue,
+      currency,
+      startsAt: from,
+      endsAt: to,
+      hotels,
+      rooms,
+      code: promoCode || undefined,
+      maxUses: +maxUses > 0 ? Math.floor(+maxUses) : null,
+    },
+  };
+};
+
+const uploadImage = async (file) =>
+  file ? (await cloudinary.uploader.upload(file.path)).secure_url : undefined;
+
+// Public offers for the home page
+export const getActiveOffers = async (req, res) => {
+  try {
+    const offers = await findLiveOffers()
+      .populate("hotels", "name city currency")
+      .sort({ endsAt: 1 })
+      .select("-usedCount -maxUses -createdBy");
+
+    res.json({ success: true, offers });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const getManagedPromotions = async (req, res) => {
+  try {
+    const filter = isAdmin(req.user)
+      ? {}
+      : { hotels: { $in: req.hotels.map((h) => h._id.toString()) } };
+
+    const promotions = await Promotion.find(filter)
+      .populate("hotels", "name currency")
+      .populate("rooms", "roomType")
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      promotions: promotions.filter((p) => canManage(req, p)),
+    });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const createPromotion = async (req, res) => {
+  try {
+    const { fields, error } = await readPromotion(req);
+    if (error) return res.json({ success: false, message: error });
+
+    if (fields.code && (await Promotion.exists({ code: fields.code })))
+      return res.json({ success: false, message: "That promo code is already in use" });
+
+    const promotion = await Promotion.create({
+      ...fields,
+      image: (await uploadImage(req.file)) ?? null,
+      createdBy: req.user._id,
+    });
+
+    await logAudit(req, {
+      action: "promotion.create",
+      targetType: "Promotion",
+      targetId: promotion._id,
+      after: promotion,
+    });
+
+    res.json({ success: true, message: "Promotion created" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion)
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    if (!canManage(req, promotion))
+      return res.status(403).json({ success: false, message: "Not authorized for this promotion" });
+
+    const before = promotion.toObject();
+
+    // Pausing or resuming doesn't resend the whole form
+    if (req.body.title === undefined && req.body.isActive !== undefined) {
+      promotion.isActive = req.body.isActive === true || req.body.isActive === "true";
+    } else {
+      const { fields, error } = await readPromotion(req);
+      if (error) return res.json({ success: false, message: error });
+
+      if (fields.code && (await Promotion.exists({ code: fields.code, _id: { $ne: promotion._id } })))
+        return res.json({ success: false, message: "That promo code is already in use" });
+
+      promotion.set(fields);
+      const image = await uploadImage(req.file);
+      if (image) promotion.image = image;
+    }
+    await promotion.save();
+
+    await logAudit(req, {
+      action: "promotion.update",
+      targetType: "Promotion",
+      targetId: promotion._id,
+      before,
+      after: promotion,
+    });
+
+    res.json({ success: true, message: "Promotion updated" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// Bookings keep their discount and code; only future use stops
+export const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion)
+      return res.status(404).json({ success: false, message: "Promotion not found" });
+    if (!canManage(req, promotion))
+      return res.status(403).json({ success: false, message: "Not authorized for this promotion" });
+
+    await promotion.deleteOne();
+
+    await logAudit(req, {
+      action: "promotion.delete",
+      targetType: "Promotion",
+      targetId: promotion._id,
+      before: promotion,
+    });
+
+    res.json({ success: true, message: "Promotion deleted" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
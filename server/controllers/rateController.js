@@ -0,0 +1,94 @@
+import Hotel from "../models/Hotel.js";
+import { logAudit } from "./auditController.js";
+import { findEditableRoom } from "../middleware/hotelMiddleware.js";
+import { toNight } from "../services/inventory.js";
+import { nightlyRates } from "../services/pricing.js";
+import { readStayRules } from "../services/stayRules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PREVIEW_NIGHTS = 30;
+
+const ratesOf = (room) => {
+  const today = toNight(new Date());
+  return {
+    pricePerNight: room.pricePerNight,
+    weekendPrice: room.weekendPrice,
+    rateOverrides: room.rateOverrides,
+    stayRules: room.stayRules,
+    preview: nightlyRates(room, today, new Date(today.getTime() + PREVIEW_NIGHTS * DAY_MS)),
+  };
+};
+
+export const getRoomRates = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    res.json({ success: true, ...ratesOf(room) });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// Replaces the room's whole rate calendar. Override `endDate`s from the form
+// are the last night of the range, inclusive.
+export const updateRoomRates = async (req, res) => {
+  try {
+    const room = await findEditableRoom(req, res);
+    if (!room) return;
+
+    const { pricePerNight, weekendPrice, rateOverrides = [] } = req.body;
+
+    // Left as they are when the form doesn't send them
+    const { rules: stayRules, error: rulesError } = req.body.stayRules
+      ? readStayRules(req.body.stayRules, { hotel: await Hotel.findById(room.hotel).select("stayRules") })
+      : { rules: room.stayRules };
+    if (rulesError) return res.status(400).json({ success: false, message: rulesError });
+
+    if (!(+pricePerNight > 0))
+      return res.json({ success: false, message: "Base price must be greater than zero" });
+
+    if (weekendPrice && !(+weekendPrice > 0))
+      return res.json({ success: false, message: "Weekend price must be greater than zero" });
+
+    const overrides = [];
+    for (const o of rateOverrides) {
+      const startDate = toNight(o.startDate);
+      const endDate = new Date(toNight(o.endDate).getTime() + DAY_MS);
+
+      if (!o.name?.trim())
+        return res.json({ success: false, message: "Give every seasonal rate a name" });
+      if (isNaN(startDate) || isNaN(endDate) || endDate <= startDate)
+        return res.json({ success: false, message: `Choose valid dates for ${o.name}` });
+      if (!(+o.price > 0))
+        return res.json({ success: false, message: `Enter a price for ${o.name}` });
+
+      overrides.push({
+        name: o.name,
+        kind: o.kind === "event" ? "event" : "season",
+        startDate,
+        endDate,
+        price: +o.price,
+      });
+    }
+
+    const before = room.toObject();
+    room.pricePerNight = +pricePerNight;
+    room.weekendPrice = weekendPrice ? +weekendPrice : null;
+    room.rateOverrides = overrides;
+    room.stayRules = stayRules;
+    await room.save();
+
+    await logAudit(req, {
+      action: "room.rates.update",
+      targetType: "Room",
+      targetId: room._id,
+      before: { pricePerNight: before.pricePerNight, weekendPrice: before.weekendPrice, rateOverrides: before.rateOverrides, stayRules: before.stayRules },
+      after: { pricePerNight: room.pricePerNight, weekendPrice: room.weekendPrice, rateOverrides: room.rateOverrides, stayRules: room.stayRules },
+    });
+
+    res.json({ success: true, message: "Rates updated", ...ratesOf(room) });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
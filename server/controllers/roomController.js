@@ -1,11 +1,30 @@
-import Hotel from "../models/Hotel.js";
 import Room from "../models/Room.js";
-import Booking from "../models/Booking.js";
 import { v2 as cloudinary } from "cloudinary";
+import { logAudit } from "./auditController.js";
+import { hasHotelAccess } from "../middleware/hotelMiddleware.js";
+import { countUnitsLeft, getBookedNights } from "../services/availability.js";
+import { fitsRoom, partySize } from "../services/occupancy.js";
+import { bestPromotion, findLiveOffers } from "../services/promotions.js";
+import { effectiveStayRules, stayRuleError } from "../services/stayRules.js";
+import { currencyOf, getRates } from "../services/currency.js";
+
+// The public offer a room's badge shows, judged on one night at the base rate.
+// A fixed discount keeps its own `currency`.
+const offerSummary = (offers, room, rates) => {
+  const { promotion } = bestPromotion(offers, room, room.pricePerNight, currencyOf(room.hotel), rates);
+  return promotion && {
+    title: promotion.title,
+    discountType: promotion.discountType,
+    discountValue: promotion.discountValue,
+    currency: promotion.currency,
+    endsAt: promotion.endsAt,
+  };
+};
 
 export const searchAvailableRooms = async (req, res) => {
   try {
     const { roomType, checkIn, checkOut } = req.body;
+    const party = partySize(req.body);
 
     if (!roomType || !checkIn || !checkOut) {
       return res.status(400).json({ message: "Missing fields" });
@@ -15,30 +34,34 @@ export const searchAvailableRooms = async (req, res) => {
     const rooms = await Room.find({
       roomType,
       isAvailable: true,
-    });
+    }).populate("hotel", "name city currency stayRules");
 
     if (!rooms.length) {
       return res.json({ availableRooms: [] });
     }
 
-    const roomIds = rooms.map(r => r._id);
+    // 2️⃣ Drop room types with every unit booked
+    const unitsLeft = await countUnitsLeft(
+      rooms.map((r) => r._id),
+      checkIn,
+      checkOut
+    );
 
-    // 2️⃣ Find overlapping bookings
-    const bookings = await Booking.find({
-      room: { $in: roomIds },
-      status: { $ne: "cancelled" },
-      checkInDate: { $lt: new Date(checkOut) },
-      checkOutDate: { $gt: new Date(checkIn) },
-    });
+    // 3️⃣ Drop rooms whose stay rules don't allow these dates
+    const ruleErrors = rooms.map((room) => stayRuleError(effectiveStayRules(room), checkIn, checkOut));
 
-    const bookedRoomIds = bookings.map(b => b.room.toString());
+    const availableRooms = rooms
+      .filter((room, i) => !ruleErrors[i] && unitsLeft.get(room._id.toString()) > 0 && fitsRoom(room, party))
+      .map((room) => ({
+        ...room.toObject(),
+        unitsLeft: unitsLeft.get(room._id.toString()),
+        stayRules: effectiveStayRules(room),
+      }));
 
-    // 3️⃣ Filter available rooms
-    const availableRooms = rooms.filter(
-      room => !bookedRoomIds.includes(room._id.toString())
-    );
+    // Tell the guest why when the rules alone ruled out every room
+    const message = !availableRooms.length && ruleErrors.every(Boolean) ? ruleErrors[0] : undefined;
 
-    res.json({ availableRooms });
+    res.json({ availableRooms, message });
 
   } catch (err) {
     console.error(err);
@@ -46,13 +69,37 @@ export const searchAvailableRooms = async (req, res) => {
   }
 };
 
-export const createRoom = async (req, res) => {
+export const getRoomAvailability = async (req, res) => {
   try {
-    const { roomType, pricePerNight, amenities } = req.body;
+    const today = new Date();
+    const from = req.query.from ? new Date(req.query.from) : today;
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(new Date(from).setFullYear(from.getFullYear() + 1));
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ success: false, message: "Invalid date range" });
+    }
 
-    const hotel = await Hotel.findOne({ owner: req.auth.userId });
+    const bookedDates = await getBookedNights({ room: req.params.id, from, to });
 
-    if (!hotel) return res.json({ success: false, message: "No Hotel found" });
+    res.json({ success: true, bookedDates });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const createRoom = async (req, res) => {
+  try {
+    const { roomType, pricePerNight, amenities, maxAdults, maxChildren, units } = req.body;
+    const hotel = req.hotel;
+
+    if (!hotel) {
+      const message = req.hotels.length
+        ? "Select which hotel this room belongs to"
+        : "No Hotel found";
+      return res.json({ success: false, message });
+    }
 
     const uploadImages = req.files.map(async (file) => {
       const response = await cloudinary.uploader.upload(file.path);
@@ -61,10 +108,20 @@ export const createRoom = async (req, res) => {
 
     const images = await Promise.all(uploadImages);
 
+    // Listing door numbers fixes the unit count
+    const unitNumbers = [...new Set(
+      String(req.body.unitNumbers || "").split(",").map((n) => n.trim()).filter(Boolean)
+    )];
+
     await Room.create({
       hotel: hotel._id,
       roomType,
       pricePerNight: +pricePerNight,
+      // Left out, the schema's defaults apply
+      maxAdults: maxAdults ? +maxAdults : undefined,
+      maxChildren: maxChildren === undefined || maxChildren === "" ? undefined : +maxChildren,
+      units: unitNumbers.length || Math.max(Math.floor(+units) || 1, 1),
+      unitNumbers,
       amenities: JSON.parse(amenities),
       images,
     });
@@ -85,7 +142,23 @@ export const getRooms = async (req, res) => {
           select: 'image',
         },
       }).sort({ createdAt: -1 });
-    res.json({ success: true, rooms });
+
+    // Units free tonight, for "3 left" badges
+    const tonight = new Date();
+    const tomorrow = new Date(tonight.getTime() + 24 * 60 * 60 * 1000);
+    const unitsLeft = await countUnitsLeft(rooms.map((r) => r._id), tonight, tomorrow);
+    const [offers, rates] = await Promise.all([findLiveOffers(), getRates()]);
+
+    res.json({
+      success: true,
+      rooms: rooms.map((room) => ({
+        ...room.toObject(),
+        unitsLeft: unitsLeft.get(room._id.toString()),
+        offer: offerSummary(offers, room, rates),
+        // The rules that apply, after falling back to the hotel's
+        stayRules: effectiveStayRules(room),
+      })),
+    });
   } catch (error) {
     res.json({ success: false, message: error.message });
   }
@@ -96,7 +169,7 @@ export const getAdminRooms = async (req, res) => {
     const rooms = await Room.find()
       .populate({
         path: 'hotel',
-        select: 'name',
+        select: 'name currency',
         populate: {
           path: 'owner',
           select: 'image',
@@ -113,9 +186,7 @@ export const getAdminRooms = async (req, res) => {
 
 export const getOwnerRooms = async (req, res) => {
   try {
-    const hotelData = await Hotel.findOne({ owner: req.auth.userId });
-
-    if (!hotelData) {
+    if (!req.hotels.length) {
       return res.json({
         success: false,
         message: "No hotel found for this owner",
@@ -123,8 +194,8 @@ export const getOwnerRooms = async (req, res) => {
     }
 
     const rooms = await Room.find({
-      hotel: hotelData._id.toString(),
-      isAvailable: true, 
+      hotel: { $in: req.hotels.map((h) => h._id.toString()) },
+      isAvailable: true,
     }).populate("hotel");
 
     res.json({ success: true, rooms });
@@ -137,8 +208,9 @@ export const getOwnerRooms = async (req, res) => {
 
 export const getOwnerRoomsDasB = async (req, res) => {
   try {
-    const hotelData = await Hotel.findOne({ owner: req.auth.userId });
-    const rooms = await Room.find({ hotel: hotelData._id.toString() }).populate("hotel");
+    const rooms = await Room.find({
+      hotel: { $in: req.hotels.map((h) => h._id.toString()) },
+    }).populate("hotel");
     res.json({ success: true, rooms });
   } catch (error) {
     console.log(error);
@@ -152,8 +224,26 @@ export const toggleRoomAvailability = async (req, res) => {
   try {
     const { roomId } = req.body;
     const roomData = await Room.findById(roomId);
+    if (!roomData) return res.json({ success: false, message: "Room not found" });
+
+    if (
+      req.user.role !== "Admin" &&
+      !(await hasHotelAccess(req.user, roomData.hotel, "editRooms"))
+    ) {
+      return res.status(403).json({ success: false, message: "Not authorized for this room" });
+    }
+
+    const before = roomData.toObject();
     roomData.isAvailable = !roomData.isAvailable;
     await roomData.save();
+
+    await logAudit(req, {
+      action: "room.availability.toggle",
+      targetType: "Room",
+      targetId: roomData._id,
+      before,
+      after: roomData,
+    });
     res.json({ success: true, message: "Room availability Updated" });
   } catch (error) {
     res.json({ success: false, message: error.message });
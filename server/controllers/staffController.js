@@ -0,0 +1,162 @@
+import crypto from "crypto";
+import sgMail from "@sendgrid/mail";
+import Hotel from "../models/Hotel.js";
+import HotelStaff, { STAFF_PERMISSIONS } from "../models/HotelStaff.js";
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+const cleanPermissions = (permissions) =>
+  Array.isArray(permissions)
+    ? [...new Set(permissions.filter((p) => STAFF_PERMISSIONS.includes(p)))]
+    : [];
+
+// Only the hotel's owner manages its staff
+const findOwnedHotel = (user, hotelId) =>
+  Hotel.findOne({ _id: hotelId, owner: user._id });
+
+export const inviteStaff = async (req, res) => {
+  try {
+    const { hotelId, email, permissions } = req.body;
+
+    if (!hotelId || !email) {
+      return res.status(400).json({ success: false, message: "Missing fields" });
+    }
+
+    const hotel = await findOwnedHotel(req.user, hotelId);
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: "No hotel found" });
+    }
+
+    const normalizedEmail = email.toLowerCase().trim();
+    if (normalizedEmail === req.user.email.toLowerCase()) {
+      return res.status(400).json({ success: false, message: "You already own this hotel" });
+    }
+
+    let member = await HotelStaff.findOne({ hotel: hotel._id.toString(), email: normalizedEmail });
+    if (member && member.status !== "revoked") {
+      return res.status(400).json({ success: false, message: "This person is already on your staff" });
+    }
+
+    const inviteToken = crypto.randomBytes(24).toString("hex");
+
+    if (member) {
+      member.set({ user: null, status: "invited", inviteToken, permissions: cleanPermissions(permissions), invitedBy: req.user._id });
+      await member.save();
+    } else {
+      member = await HotelStaff.create({
+        hotel: hotel._id.toString(),
+        email: normalizedEmail,
+        permissions: cleanPermissions(permissions),
+        inviteToken,
+        invitedBy: req.user._id,
+      });
+    }
+
+    res.json({ success: true, message: "Invitation sent", member });
+
+    try {
+      await sgMail.send({
+        to: normalizedEmail,
+        from: `VacayStay <${process.env.SENDGRID_SENDER}>`,
+        subject: `You've been invited to join ${hotel.name} on VacayStay`,
+        html: `
+          <h2>Staff Invitation</h2>
+          <p>${req.user.username} has invited you to help manage <b>${hotel.name}</b>.</p>
+          <p>Sign in with this email address and accept the invitation:</p>
+          <p><a href="${req.headers.origin}/staff/accept/${inviteToken}">Accept invitation</a></p>
+        `,
+      });
+    } catch (emailError) {
+      console.error(
+        "Staff invitation email failed:",
+        emailError.response?.body?.errors || emailError.message
+      );
+    }
+  } catch (error) {
+    console.error(error);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, message: error.message });
+    }
+  }
+};
+
+export const getHotelStaff = async (req, res) => {
+  try {
+    const hotel = await findOwnedHotel(req.user, req.query.hotelId);
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: "No hotel found" });
+    }
+
+    const staff = await HotelStaff.find({
+      hotel: hotel._id.toString(),
+      status: { $ne: "revoked" },
+    })
+      .select("-inviteToken")
+      .populate("user", "username email image")
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, staff });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export const updateStaffPermissions = async (req, res) => {
+  try {
+    const member = await HotelStaff.findById(req.params.id);
+    if (!member || !(await findOwnedHotel(req.user, member.hotel))) {
+      return res.status(404).json({ success: false, message: "Staff member not found" });
+    }
+
+    member.permissions = cleanPermissions(req.body.permissions);
+    await member.save();
+
+    res.json({ success: true, message: "Permissions updated" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export const revokeStaff = async (req, res) => {
+  try {
+    const member = await HotelStaff.findById(req.params.id);
+    if (!member || !(await findOwnedHotel(req.user, member.hotel))) {
+      return res.status(404).json({ success: false, message: "Staff member not found" });
+    }
+
+    member.status = "revoked";
+    member.inviteToken = null;
+    await member.save();
+
+    res.json({ success: true, message: "Access revoked" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+export const acceptInvite = async (req, res) => {
+  try {
+    const { token } = req.body;
+    const member = token && (await HotelStaff.findOne({ inviteToken: token, status: "invited" }));
+
+    if (!member) {
+      return res.status(404).json({ success: false, message: "Invitation not found or already used" });
+    }
+
+    if (member.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({
+        success: false,
+        message: `This invitation was sent to ${member.email}. Sign in with that account to accept it.`,
+      });
+    }
+
+    member.user = req.user._id;
+    member.status = "active";
+    member.inviteToken = null;
+    await member.save();
+
+    res.json({ success: true, message: "Invitation accepted" });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
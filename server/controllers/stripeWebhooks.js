@@ -1,5 +1,7 @@
 import stripe from "stripe";
 import Booking from "../models/Booking.js";
+import { payableBookingFilter } from "../services/availability.js";
+import { amountPaid } from "../services/cancellation.js";
 
 
 export const stripeWebhooks = async (request, response) => {
@@ -12,7 +14,7 @@ export const stripeWebhooks = async (request, response) => {
   try {
     event = stripeInstance.webhooks.constructEvent(request.body, sig, process.env.STRIPE_WEBHOOK_SECRET);
   } catch (err) {
-    response.status(400).send(`Webhook Error: ${err.message}`);
+    return response.status(400).send(`Webhook Error: ${err.message}`);
   }
 
   if (event.type === "payment_intent.succeeded") {
@@ -23,9 +25,28 @@ export const stripeWebhooks = async (request, response) => {
       payment_intent: paymentIntentId,
     });
 
-    const { bookingId } = session.data[0].metadata;
-
-    await Booking.findByIdAndUpdate(bookingId, { isPaid: true, paymentMethod: "Stripe" });
+    const { bookingIds = "" } = session.data[0]?.metadata ?? {};
+
+    for (const _id of bookingIds.split(",").filter(Boolean)) {
+      // A hold released or expired while the guest was at checkout may have
+      // lost its nights to someone else, so it must not become paid
+      const booking = await Booking.findOne({ _id, ...payableBookingFilter() });
+      if (!booking) {
+        console.error(`Payment ${paymentIntentId} received for released booking ${_id}; refund required`);
+        continue;
+      }
+
+      // Checkout may already have recorded this payment
+      const owed = booking.paymentStatus === "paid" ? booking.balanceDue : booking.totalPrice;
+      if (!owed) continue;
+
+      booking.amountPaid = amountPaid(booking) + owed;
+      booking.paymentStatus = "paid";
+      booking.paymentMethod = "Stripe";
+      booking.balanceDue = 0;
+      if (booking.status === "pending") booking.status = "confirmed";
+      await booking.save();
+    }
   } else {
     console.log("Unhandled event type :", event.type);
   }
@@ -0,0 +1,143 @@
+import Hotel from "../models/Hotel.js";
+import TaxRule from "../models/TaxRule.js";
+import City from "../models/Cities.js";
+import { logAudit } from "./auditController.js";
+import { BASE_CURRENCY, currencyOf, isKnownCurrency } from "../services/currency.js";
+
+const isAdmin = (user) => user.role === "Admin";
+
+// Admins manage every rule; owners only those of hotels they own
+const canManage = async (user, rule) =>
+  isAdmin(user) ||
+  (!!rule.hotel && !!(await Hotel.exists({ _id: rule.hotel, owner: user._id })));
+
+// Validated rule fields from the request body, or an error message
+const readRule = async (req) => {
+  const { name, kind, calculation, amount, city, hotel } = req.body;
+
+  if (!name?.trim()) return { error: "Give the tax or fee a name" };
+  if (!["tax", "fee"].includes(kind)) return { error: "Choose whether this is a tax or a fee" };
+  if (!["percent", "per_night", "per_stay"].includes(calculation))
+    return { error: "Choose how it is calculated" };
+  if (!(+amount > 0) || (calculation === "percent" && +amount > 100))
+    return { error: "Enter a percentage up to 100, or a positive amount" };
+
+  if (!!city === !!hotel) return { error: "Apply the rule to either a city or a hotel" };
+  if (city && !isAdmin(req.user)) return { error: "Only admins can set city-wide taxes" };
+  if (city && !(await City.exists({ name: city }))) return { error: "City not found" };
+  if (hotel && !(await canManage(req.user, { hotel })))
+    return { error: "You can only set taxes and fees for hotels you own" };
+
+  // Fixed amounts default to the hotel's currency; city rules to the base one
+  const currency = String(
+    req.body.currency || (hotel ? currencyOf(await Hotel.findById(hotel).select("currency")) : BASE_CURRENCY)
+  ).toUpperCase();
+  if (!(await isKnownCurrency(currency))) return { error: "Unknown currency" };
+
+  return {
+    fields: {
+      name,
+      kind,
+      calculation,
+      amount: +amount,
+      currency,
+      city: city || null,
+      hotel: hotel || null,
+    },
+  };
+};
+
+// Admins see every rule. Owners see their hotels' rules, plus the city rules
+// that also apply to those hotels (read-only).
+export const getTaxRules = async (req, res) => {
+  try {
+    let filter = {};
+    if (!isAdmin(req.user)) {
+      const hotelFilter = { owner: req.user._id };
+      if (req.query.hotelId && req.query.hotelId !== "all") hotelFilter._id = req.query.hotelId;
+      const hotels = await Hotel.find(hotelFilter).select("city");
+      filter = {
+        $or: [
+          { hotel: { $in: hotels.map((h) => h._id.toString()) } },
+          { city: { $in: hotels.map((h) => h.city) } },
+        ],
+      };
+    }
+
+    const rules = await TaxRule.find(filter)
+      .populate("hotel", "name city currency")
+      .sort({ city: 1, createdAt: 1 });
+
+    res.json({ success: true, rules });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const createTaxRule = async (req, res) => {
+  try {
+    const { fields, error } = await readRule(req);
+    if (error) return res.json({ success: false, message: error });
+
+    const rule = await TaxRule.create({ ...fields, createdBy: req.user._id });
+
+    await logAudit(req, {
+      action: "tax.create",
+      targetType: "TaxRule",
+      targetId: rule._id,
+      after: rule,
+    });
+
+    res.json({ success: true, message: `${rule.kind === "tax" ? "Tax" : "Fee"} added` });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+// Only switches a rule on or off; existing bookings keep their breakdown
+export const toggleTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: "Not found" });
+    if (!(await canManage(req.user, rule)))
+      return res.status(403).json({ success: false, message: "Not authorized for this rule" });
+
+    const before = rule.toObject();
+    rule.isActive = !rule.isActive;
+    await rule.save();
+
+    await logAudit(req, {
+      action: "tax.toggle",
+      targetType: "TaxRule",
+      targetId: rule._id,
+      before,
+      after: rule,
+    });
+
+    res.json({ success: true, message: rule.isActive ? "Rule enabled" : "Rule disabled" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const deleteTaxRule = async (req, res) => {
+  try {
+    const rule = await TaxRule.findById(req.params.id);
+    if (!rule) return res.status(404).json({ success: false, message: "Not found" });
+    if (!(await canManage(req.user, rule)))
+      return res.status(403).json({ success: false, message: "Not authorized for this rule" });
+
+    await rule.deleteOne();
+
+    await logAudit(req, {
+      action: "tax.delete",
+      targetType: "TaxRule",
+      targetId: rule._id,
+      before: rule,
+    });
+
+    res.json({ success: true, message: "Rule deleted" });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
@@ -1,4 +1,5 @@
 import User from "../models/User.js";
+import { logAudit } from "./auditController.js";
 
 export const getUsers = async (req, res) => {
   try {
@@ -22,9 +23,18 @@ export const updateUserRole = async (req, res) => {
     const user = await User.findById(userId);
     if (!user) return res.status(404).json({ success: false, message: "User not found" });
 
+    const before = user.toObject();
     user.role = role;
     await user.save();
 
+    await logAudit(req, {
+      action: "user.role.update",
+      targetType: "User",
+      targetId: user._id,
+      before,
+      after: user,
+    });
+
     res.json({ success: true, message: `User role updated to ${role}` });
   } catch (error) {
     console.error(error);
@@ -0,0 +1,113 @@
+import Room from "../models/Room.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { toNight, stayNights } from "../services/inventory.js";
+import { capacityError, partySize } from "../services/occupancy.js";
+import { getBookableUnits, notifyWaitlist } from "../services/waitlist.js";
+
+export const joinWaitlist = async (req, res) => {
+  try {
+    const { room } = req.body;
+    const checkIn = toNight(req.body.checkInDate);
+    const checkOut = toNight(req.body.checkOutDate);
+    const party = partySize(req.body);
+
+    if (!stayNights(checkIn, checkOut).length)
+      return res.json({ success: false, message: "Check-out must be after check-in" });
+
+    if (checkIn < toNight(new Date()))
+      return res.json({ success: false, message: "Check-in cannot be in the past" });
+
+    const roomData = await Room.findById(room);
+    if (!roomData)
+      return res.json({ success: false, message: "Room not found" });
+
+    const tooMany = capacityError(roomData, party);
+    if (tooMany) return res.json({ success: false, message: tooMany });
+
+    const stay = { room, checkInDate: checkIn, checkOutDate: checkOut };
+    const { bookable } = await getBookableUnits({ ...stay, excludeUser: req.user._id });
+    if (bookable)
+      return res.json({ success: false, message: "This room is available for your dates. Book it now!" });
+
+    const existing = await WaitlistEntry.exists({
+      user: req.user._id,
+      room: String(room),
+      status: { $in: ["waiting", "offered"] },
+      checkInDate: { $lt: checkOut },
+      checkOutDate: { $gt: checkIn },
+    });
+    if (existing)
+      return res.json({ success: false, message: "You're already on the waitlist for these dates" });
+
+    await WaitlistEntry.create({
+      user: req.user._id,
+      room: String(room),
+      checkInDate: checkIn,
+      checkOutDate: checkOut,
+      adults: party.adults,
+      children: party.children,
+      origin: req.headers.origin || "",
+    });
+
+    res.json({ success: true, message: "You're on the waitlist. We'll email you if the room frees up." });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      user: req.user._id,
+      status: { $in: ["waiting", "offered"] },
+    })
+      .populate({ path: "room", select: "roomType images hotel", populate: { path: "hotel", select: "name" } })
+      .sort({ checkInDate: 1 });
+
+    res.json({ success: true, entries });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
+
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({ _id: req.params.id, user: req.user._id });
+    if (!entry)
+      return res.status(404).json({ success: false, message: "Not found" });
+
+    const hadOffer = entry.status === "offered";
+    entry.status = "removed";
+    entry.offerToken = null;
+    await entry.save();
+
+    res.json({ success: true, message: "Removed from the waitlist" });
+
+    // An offer the guest gave up passes to the next person in line
+    if (hadOffer) await notifyWaitlist(entry);
+  } catch (error) {
+    if (!res.headersSent) {
+      res.json({ success: false, message: error.message });
+    }
+  }
+};
+
+// Details behind an emailed offer link, used to prefill the booking form
+export const getWaitlistOffer = async (req, res) => {
+  try {
+    const entry = await WaitlistEntry.findOne({
+      offerToken: req.params.token,
+      user: req.user._id,
+      status: "offered",
+    });
+
+    if (!entry || entry.offerExpiresAt <= new Date())
+      return res
+        .status(404)
+        .json({ success: false, message: "This waitlist offer has expired" });
+
+    res.json({ success: true, entry });
+  } catch (error) {
+    res.json({ success: false, message: error.message });
+  }
+};
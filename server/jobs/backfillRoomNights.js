@@ -0,0 +1,33 @@
+import Booking from "../models/Booking.js";
+import RoomNight from "../models/RoomNight.js";
+import { RELEASED_STATUSES } from "../services/availability.js";
+import { claimNights, toNight } from "../services/inventory.js";
+
+// Bookings made before room-nights were claimed hold none, so new bookings
+// could be taken on top of them. Claims the nights of every unreleased stay
+// that hasn't ended and holds nothing; once done this finds nothing to claim.
+export const backfillRoomNights = async () => {
+  const bookings = await Booking.find({
+    status: { $nin: RELEASED_STATUSES },
+    checkOutDate: { $gt: toNight(new Date()) },
+  }).select("room checkInDate checkOutDate");
+
+  const holding = new Set(
+    await RoomNight.distinct("booking", { booking: { $in: bookings.map((b) => b._id.toString()) } })
+  );
+
+  let claimed = 0;
+  for (const booking of bookings.filter((b) => !holding.has(b._id.toString()))) {
+    // The booking was accepted already, so blocks imported since don't undo it
+    const held = await claimNights({
+      room: booking.room,
+      booking: booking._id,
+      checkInDate: booking.checkInDate,
+      checkOutDate: booking.checkOutDate,
+      ignoreBlocks: true,
+    });
+    if (held) claimed++;
+    else console.error(`Booking ${booking._id} is overbooked; its room-nights could not be claimed`);
+  }
+  return claimed;
+};
@@ -0,0 +1,46 @@
+import Booking from "../models/Booking.js";
+import { releaseNights } from "../services/inventory.js";
+import { sendCancellationEmail } from "../services/bookingEmails.js";
+import { notifyWaitlist } from "../services/waitlist.js";
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Cancels unpaid bookings whose payment hold window has passed and frees their nights
+export const expireHolds = async () => {
+  const expired = await Booking.find({
+    status: "pending",
+    paymentStatus: "awaiting",
+    holdExpiresAt: { $lte: new Date() },
+  }).select("_id");
+
+  let count = 0;
+  for (const { _id } of expired) {
+    // Re-check the state in the update itself so a payment landing mid-sweep wins
+    const booking = await Booking.findOneAndUpdate(
+      { _id, status: "pending", paymentStatus: "awaiting" },
+      { status: "cancelled", cancelledAt: new Date(), cancelledBy: "system" },
+      { new: true }
+    ).populate("user");
+    if (!booking) continue;
+
+    await releaseNights(booking._id);
+    await sendCancellationEmail(
+      booking,
+      "Your booking was cancelled because payment was not received within the hold window."
+    );
+    await notifyWaitlist(booking);
+    count++;
+  }
+
+  return count;
+};
+
+export const startHoldExpiryJob = () => {
+  const sweep = () =>
+    expireHolds()
+      .then((count) => count && console.log(`Expired ${count} unpaid booking(s)`))
+      .catch((error) => console.error("Hold expiry failed:", error.message));
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS);
+};
@@ -0,0 +1,13 @@
+import { syncAllCalendars } from "../services/calendarSync.js";
+
+const SYNC_INTERVAL_MS = 30 * 60 * 1000;
+
+export const startCalendarSyncJob = () => {
+  const sync = () =>
+    syncAllCalendars()
+      .then((count) => count && console.log(`Synced ${count} external calendar(s)`))
+      .catch((error) => console.error("Calendar sync failed:", error.message));
+
+  sync();
+  setInterval(sync, SYNC_INTERVAL_MS);
+};
@@ -0,0 +1,13 @@
+import { expireWaitlistOffers } from "../services/waitlist.js";
+
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+export const startWaitlistOfferJob = () => {
+  const sweep = () =>
+    expireWaitlistOffers()
+      .then((count) => count && console.log(`Expired ${count} waitlist offer(s)`))
+      .catch((error) => console.error("Waitlist offer expiry failed:", error.message));
+
+  sweep();
+  setInterval(sweep, SWEEP_INTERVAL_MS);
+};
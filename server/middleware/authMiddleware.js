@@ -3,10 +3,25 @@ import User from "../models/User.js";
 export const protect = async (req, res, next) => {
   const { userId } = req.auth;
   if (!userId) {
-    res.json({ success: false, message: "not authenticated" });
-  } else {
-    const user = await User.findById(userId);
-    req.user = user;
-    next();
+    return res.status(401).json({ success: false, message: "not authenticated" });
   }
-};
\ No newline at end of file
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return res.status(401).json({ success: false, message: "User not found" });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Must run after `protect`, e.g. router.get("/", protect, requireRole("Admin"), handler)
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ success: false, message: "not authenticated" });
+  }
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ success: false, message: "Not authorized" });
+  }
+  next();
+};
@@ -0,0 +1,75 @@
+import Hotel from "../models/Hotel.js";
+import HotelStaff from "../models/HotelStaff.js";
+import Room from "../models/Room.js";
+
+// Hotels the user may act on: every hotel they own, plus hotels where they
+// hold an active staff membership that grants `permission`.
+export const getAccessibleHotels = async (user, permission) => {
+  const staffFilter = { user: user._id, status: "active" };
+  if (permission) staffFilter.permissions = permission;
+
+  const memberships = await HotelStaff.find(staffFilter).select("hotel");
+
+  return Hotel.find({
+    $or: [
+      { owner: user._id },
+      { _id: { $in: memberships.map((m) => m.hotel) } },
+    ],
+  }).sort({ createdAt: 1 });
+};
+
+// Owners always have access; staff only when their membership grants `permission`
+export const hasHotelAccess = async (user, hotelId, permission) => {
+  const hotel = await Hotel.findById(hotelId).select("owner");
+  if (!hotel) return false;
+  if (hotel.owner === user._id) return true;
+  if (!permission) return false;
+
+  return !!(await HotelStaff.exists({
+    hotel: hotel._id.toString(),
+    user: user._id,
+    status: "active",
+    permissions: permission,
+  }));
+};
+
+// Loads the hotels the logged-in owner or staff member manages into
+// `req.hotels`. A `hotelId` in the query or body narrows it to that one
+// property and sets `req.hotel`; without one (or with "all") every accessible
+// hotel is in scope and `req.hotel` is only set when there is a single one.
+export const resolveHotelAccess = (permission) => async (req, res, next) => {
+  const hotelId = req.query.hotelId || req.body?.hotelId;
+  const hotels = await getAccessibleHotels(req.user, permission);
+
+  if (hotelId && hotelId !== "all") {
+    const hotel = hotels.find((h) => h._id.toString() === hotelId);
+    if (!hotel) {
+      return res.status(404).json({ success: false, message: "No hotel found" });
+    }
+    req.hotels = [hotel];
+    req.hotel = hotel;
+  } else {
+    req.hotels = hotels;
+    req.hotel = hotels.length === 1 ? hotels[0] : null;
+  }
+
+  next();
+};
+
+// Loads the room in `req.params.id` if the user may edit it (admins, owners
+// and staff allowed to edit rooms), otherwise answers the request and
+// resolves to null
+export const findEditableRoom = async (req, res) => {
+  const room = await Room.findById(req.params.id);
+  if (!room) {
+    res.status(404).json({ success: false, message: "Room not found" });
+    return null;
+  }
+
+  if (req.user.role !== "Admin" && !(await hasHotelAccess(req.user, room.hotel, "editRooms"))) {
+    res.status(403).json({ success: false, message: "Not authorized for this room" });
+    return null;
+  }
+
+  return room;
+};
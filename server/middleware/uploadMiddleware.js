@@ -1,5 +1,20 @@
 import multer from "multer";
+import { MAX_CALENDAR_BYTES } from "../services/calendarSync.js";
 
-const upload = multer({ storage: multer.diskStorage({}) })
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
 
-export default upload;
\ No newline at end of file
+const upload = multer({ storage: multer.diskStorage({}), limits: { fileSize: MAX_IMAGE_BYTES } })
+
+// Calendar files are held to the same size as fetched calendars
+export const calendarUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: { fileSize: MAX_CALENDAR_BYTES },
+});
+
+// Answers upload errors, such as a file over the limit, like any other 400
+export const uploadErrors = (error, req, res, next) => {
+  if (!(error instanceof multer.MulterError)) return next(error);
+  res.status(400).json({ success: false, message: error.message });
+};
+
+export default upload;
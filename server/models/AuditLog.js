@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+const auditLogSchema = new Schema(
+  {
+    actor: { type: String, ref: "User", required: true },
+    action: { type: String, required: true },
+    targetType: { type: String, required: true },
+    targetId: { type: String, required: true },
+    before: { type: Schema.Types.Mixed, default: null },
+    after: { type: Schema.Types.Mixed, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only
+const rejectMutation = function () {
+  throw new Error("Audit log entries cannot be modified");
+};
+
+auditLogSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace"],
+  rejectMutation
+);
+auditLogSchema.pre(["deleteOne", "deleteMany", "findOneAndDelete"], rejectMutation);
+auditLogSchema.pre("save", function () {
+  if (!this.isNew) rejectMutation();
+});
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// Dates an owner takes a room (or, with no room, the whole hotel) off sale.
+// Half-open like stays: the night of `endDate` is bookable again.
+const blackoutSchema = new Schema(
+  {
+    hotel: { type: String, ref: "Hotel", required: true },
+    room: { type: String, ref: "Room", default: null },
+    startDate: { type: Date, required: true },
+    endDate: { type: Date, required: true },
+    reason: { type: String, required: true, trim: true, maxlength: 200 },
+    createdBy: { type: String, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+blackoutSchema.index({ hotel: 1, startDate: 1, endDate: 1 });
+blackoutSchema.index({ room: 1, startDate: 1, endDate: 1 });
+
+const Blackout = mongoose.model("Blackout", blackoutSchema);
+
+export default Blackout;
@@ -1,6 +1,56 @@
 import mongoose from "mongoose";
+import { randomInt } from "crypto";
 const { Schema } = mongoose;
 
+// No 0/O, 1/I/L so codes can be read out over the phone
+const REFERENCE_ALPHABET = "23456789ABCDEFGHJKMNPQRSTUVWXYZ";
+
+export const generateReference = () =>
+  "VS-" +
+  Array.from({ length: 6 }, () => REFERENCE_ALPHABET[randomInt(REFERENCE_ALPHABET.length)]).join("");
+
+// Bookings made before reference codes existed fall back to their id suffix
+export const bookingReference = (booking) =>
+  booking.reference || `#${String(booking._id).slice(-6)}`;
+
+const modificationSchema = new Schema(
+  {
+    changedAt: { type: Date, default: Date.now },
+    previous: {
+      room: String,
+      checkInDate: Date,
+      checkOutDate: Date,
+      guests: Number,
+      adults: Number,
+      children: Number,
+      totalPrice: Number,
+    },
+    // Positive: the guest owes more; negative: the guest is refunded
+    priceDifference: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const chargeLineSchema = new Schema(
+  {
+    name: { type: String, required: true },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+// Snapshot of how totalPrice was reached, kept as it was at booking time
+const priceBreakdownSchema = new Schema(
+  {
+    subtotal: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    taxes: [chargeLineSchema],
+    fees: [chargeLineSchema],
+    total: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
 const bookingSchema = new Schema(
   {
     user: { type: String, ref: "User", required: true },
@@ -10,14 +60,40 @@ const bookingSchema = new Schema(
     checkInDate: { type: Date, required: true },
     checkOutDate: { type: Date, required: true },
 
+    // What the guest pays, after `discount` from `promotion`
     totalPrice: { type: Number, required: true },
+    // The hotel's currency when booked; every amount here is in it
+    currency: { type: String, default: "NGN" },
+    discount: { type: Number, default: 0, min: 0 },
+    promotion: { type: String, ref: "Promotion", default: null },
+    promoCode: { type: String, default: null },
+    // Missing on bookings made before taxes and fees were itemised
+    priceBreakdown: { type: priceBreakdownSchema, default: null },
     guests: { type: Number, required: true },
+    adults: { type: Number, min: 1 },
+    children: { type: Number, default: 0, min: 0 },
 
     status: {
       type: String,
-      enum: ["pending", "confirmed", "cancelled", "refunded"],
+      enum: [
+        "pending",
+        "confirmed",
+        "checked_in",
+        "checked_out",
+        "no_show",
+        "cancelled",
+        "refunded",
+      ],
       default: "pending",
     },
+    // Free-text notes for the hotel and expected arrival as "HH:MM"
+    specialRequests: { type: String, default: "", trim: true, maxlength: 500 },
+    arrivalTime: { type: String, default: null, match: /^([01]\d|2[0-3]):[0-5]\d$/ },
+
+    checkedInAt: { type: Date, default: null },
+    // Physical room the guest was given at check-in
+    unitNumber: { type: String, default: null },
+    checkedOutAt: { type: Date, default: null },
 
     paymentMethod: {
       type: String,
@@ -30,15 +106,57 @@ const bookingSchema = new Schema(
       default: "awaiting",
     },
 
+    // "partial" once some of what was paid is refunded and the rest still held
     refundStatus: {
       type: String,
-      enum: ["none", "requested", "refunded"],
+      enum: ["none", "requested", "partial", "refunded"],
       default: "none",
     },
+
+    // Unpaid bookings are cancelled automatically once this passes
+    holdExpiresAt: { type: Date, default: null },
+
+    cancelledAt: { type: Date, default: null },
+    cancelledBy: { type: String, enum: ["guest", "hotel", "system", null], default: null },
+    refundAmount: { type: Number, default: 0 },
+    // What the guest has paid and not had refunded. Null on bookings paid
+    // before this was tracked; see amountPaid() in services/cancellation.js.
+    amountPaid: { type: Number, default: null },
+
+    // Bookings made together in one group checkout share this id
+    group: { type: String, default: null, index: true },
+
+    // Short code guests quote to find their booking, e.g. VS-7K3Q9P
+    reference: { type: String, unique: true, sparse: true },
+
+    // Extra amount owed on an already paid booking after a modification
+    balanceDue: { type: Number, default: 0 },
+    modifications: [modificationSchema],
   },
   { timestamps: true }
 );
 
+// Not a schema default: that would give older bookings a new code on every read
+bookingSchema.pre("validate", function () {
+  if (!this.reference) this.reference = generateReference();
+});
+
 const Booking = mongoose.model("Booking", bookingSchema);
 
+const REFERENCE_ATTEMPTS = 5;
+
+// Saves a new booking, drawing a fresh reference whenever its code turns out
+// to be taken already
+export const saveNewBooking = async (booking) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await booking.save();
+    } catch (error) {
+      const clash = error.code === 11000 && error.keyPattern?.reference;
+      if (!clash || attempt >= REFERENCE_ATTEMPTS) throw error;
+      booking.reference = generateReference();
+    }
+  }
+};
+
 export default Booking;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// Dates taken on another platform, imported from one of a room's external
+// calendars. Same half-open [checkInDate, checkOutDate) nights as bookings.
+const calendarBlockSchema = new Schema(
+  {
+    room: { type: String, ref: "Room", required: true },
+    calendar: { type: String, required: true },
+    uid: { type: String, default: "" },
+    summary: { type: String, default: "" },
+    checkInDate: { type: Date, required: true },
+    checkOutDate: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+calendarBlockSchema.index({ room: 1, checkInDate: 1, checkOutDate: 1 });
+calendarBlockSchema.index({ calendar: 1 });
+
+const CalendarBlock = mongoose.model("CalendarBlock", calendarBlockSchema);
+
+export default CalendarBlock;
@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// How many units of `currency` one unit of the base currency buys. Kept by
+// admins; used only to show guests converted prices, never to charge them.
+const exchangeRateSchema = new Schema(
+  {
+    currency: { type: String, required: true, unique: true, uppercase: true, match: /^[A-Z]{3}$/ },
+    rate: { type: Number, required: true, min: 0 },
+    updatedBy: { type: String, ref: "User", default: null },
+  },
+  { timestamps: true }
+);
+
+const ExchangeRate = mongoose.model("ExchangeRate", exchangeRateSchema);
+
+export default ExchangeRate;
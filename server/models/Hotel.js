@@ -1,6 +1,21 @@
 import mongoose from "mongoose";
 const { Schema } = mongoose;
 
+// Which stays can be booked. Unset fields (null, or no arrival days) leave a
+// room to its hotel's rules and a hotel to the platform defaults.
+export const stayRulesSchema = new Schema(
+  {
+    minNights: { type: Number, default: null, min: 1 },
+    maxNights: { type: Number, default: null, min: 1 },
+    // Days between booking and check-in
+    minLeadDays: { type: Number, default: null, min: 0 },
+    maxAdvanceDays: { type: Number, default: null, min: 1 },
+    // Weekdays a stay may start on, 0 = Sunday
+    arrivalDays: [{ type: Number, min: 0, max: 6 }],
+  },
+  { _id: false }
+);
+
 const hotelSchema = new Schema(
   {
     name: { type: String, required: true },
@@ -10,6 +25,16 @@ const hotelSchema = new Schema(
     city: { type: String, required: true },
     images: [{ type: String }],
     isAvailable: { type: Boolean, default: true },
+    // How long guests have to pay before an unpaid booking is released
+    paymentHoldHours: { type: Number, default: 24, min: 1, max: 168 },
+    cancellationPolicy: {
+      type: String,
+      enum: ["flexible", "moderate", "strict"],
+      default: "flexible",
+    },
+    // Room prices, taxes and fees are set, and guests charged, in this currency
+    currency: { type: String, default: "NGN", uppercase: true, match: /^[A-Z]{3}$/ },
+    stayRules: { type: stayRulesSchema, default: () => ({}) },
 
   },
   { timestamps: true }
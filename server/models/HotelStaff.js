@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+export const STAFF_PERMISSIONS = [
+  "viewBookings",
+  "releaseRooms",
+  "markPayments",
+  "editRooms",
+  "frontDesk",
+];
+
+const hotelStaffSchema = new Schema(
+  {
+    hotel: { type: String, ref: "Hotel", required: true },
+    // Set once the invited person accepts with a matching account
+    user: { type: String, ref: "User", default: null },
+    email: { type: String, required: true, lowercase: true, trim: true },
+    permissions: [{ type: String, enum: STAFF_PERMISSIONS }],
+    status: {
+      type: String,
+      enum: ["invited", "active", "revoked"],
+      default: "invited",
+    },
+    inviteToken: { type: String, default: null },
+    invitedBy: { type: String, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+hotelStaffSchema.index({ hotel: 1, email: 1 }, { unique: true });
+hotelStaffSchema.index({ inviteToken: 1 }, { sparse: true });
+
+const HotelStaff = mongoose.model("HotelStaff", hotelStaffSchema);
+
+export default HotelStaff;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// A discount created by an admin (any hotel) or an owner (their hotels).
+// Without a code it is a public offer applied to every eligible booking;
+// with one it only applies when the guest enters the code.
+const promotionSchema = new Schema(
+  {
+    title: { type: String, required: true, trim: true, maxlength: 80 },
+    description: { type: String, default: "", trim: true, maxlength: 200 },
+    image: { type: String, default: null },
+
+    // A fixed discount is in `currency` and converted to the booked hotel's
+    discountType: { type: String, enum: ["percent", "fixed"], required: true },
+    discountValue: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "NGN", uppercase: true, match: /^[A-Z]{3}$/ },
+
+    // Bookable while startsAt <= now < endsAt
+    startsAt: { type: Date, required: true },
+    endsAt: { type: Date, required: true },
+
+    // Empty means every hotel / every room at the eligible hotels
+    hotels: [{ type: String, ref: "Hotel" }],
+    rooms: [{ type: String, ref: "Room" }],
+
+    code: { type: String, trim: true, uppercase: true },
+    maxUses: { type: Number, default: null, min: 1 },
+    usedCount: { type: Number, default: 0 },
+    isActive: { type: Boolean, default: true },
+
+    createdBy: { type: String, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+promotionSchema.index({ code: 1 }, { unique: true, sparse: true });
+promotionSchema.index({ hotels: 1 });
+
+const Promotion = mongoose.model("Promotion", promotionSchema);
+
+export default Promotion;
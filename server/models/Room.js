@@ -1,18 +1,53 @@
 import mongoose from "mongoose";
+import { stayRulesSchema } from "./Hotel.js";
 const { Schema } = mongoose;
 
+// Another platform's iCal feed (url) or an uploaded .ics file (no url)
+const externalCalendarSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  url: { type: String, default: null },
+  lastSyncedAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
+});
+
+// Seasonal or special event price for the nights [startDate, endDate)
+const rateOverrideSchema = new Schema({
+  name: { type: String, required: true, trim: true },
+  kind: { type: String, enum: ["season", "event"], default: "season" },
+  startDate: { type: Date, required: true },
+  endDate: { type: Date, required: true },
+  price: { type: Number, required: true, min: 0 },
+});
+
 const roomSchema = new Schema(
   {
     hotel: { type: String, ref: "Hotel", required: true },
     roomType: { type: String, required: true },
     pricePerNight: { type: Number, required: true },
+    // Friday and Saturday nights; falls back to pricePerNight when unset
+    weekendPrice: { type: Number, default: null, min: 0 },
+    rateOverrides: [rateOverrideSchema],
+    // Overrides the hotel's stay rules where set
+    stayRules: { type: stayRulesSchema, default: () => ({}) },
+    maxAdults: { type: Number, default: 2, min: 1 },
+    maxChildren: { type: Number, default: 2, min: 0 },
+    // How many identical physical rooms this listing (room type) stands for,
+    // and optionally their door numbers; otherwise units are numbered 1..units
+    units: { type: Number, default: 1, min: 1 },
+    unitNumbers: [{ type: String, trim: true }],
     amenities: { type: Array, required: true },
     images: [{ type: String }],
     isAvailable: { type: Boolean, default: true },
+
+    // Secret for the room's public .ics feed
+    icalToken: { type: String },
+    externalCalendars: [externalCalendarSchema],
   },
   { timestamps: true }
 );
 
+roomSchema.index({ icalToken: 1 }, { unique: true, sparse: true });
+
 const Room = mongoose.model("Room", roomSchema);
 
 export default Room;
@@ -0,0 +1,21 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// One document per unit of a room type per night that is held by a booking.
+// `slot` counts units (0 .. units-1) without naming a physical room; the
+// unique index makes claiming a slot atomic, so no more bookings than units
+// can ever hold the same night. Units taken by imported calendar blocks or a
+// blackout are left out of the slots bookings may claim.
+const roomNightSchema = new Schema({
+  room: { type: String, ref: "Room", required: true },
+  date: { type: Date, required: true },
+  slot: { type: Number, default: 0 },
+  booking: { type: String, ref: "Booking", required: true },
+});
+
+roomNightSchema.index({ room: 1, date: 1, slot: 1 }, { unique: true });
+roomNightSchema.index({ booking: 1 });
+
+const RoomNight = mongoose.model("RoomNight", roomNightSchema);
+
+export default RoomNight;
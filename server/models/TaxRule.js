@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+// A tax (e.g. VAT, tourism levy) or fee (e.g. service charge) added to every
+// booking at one hotel, or at every hotel in a city. Percentages apply to the
+// nightly subtotal after discounts; fixed amounts are in `currency` and
+// converted to the currency of the hotel charging them.
+const taxRuleSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 60 },
+    kind: { type: String, enum: ["tax", "fee"], required: true },
+    calculation: {
+      type: String,
+      enum: ["percent", "per_night", "per_stay"],
+      required: true,
+    },
+    amount: { type: Number, required: true, min: 0 },
+    currency: { type: String, default: "NGN", uppercase: true, match: /^[A-Z]{3}$/ },
+
+    // Exactly one of these is set
+    city: { type: String, default: null },
+    hotel: { type: String, ref: "Hotel", default: null },
+
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: String, ref: "User", required: true },
+  },
+  { timestamps: true }
+);
+
+taxRuleSchema.index({ city: 1 });
+taxRuleSchema.index({ hotel: 1 });
+
+const TaxRule = mongoose.model("TaxRule", taxRuleSchema);
+
+export default TaxRule;
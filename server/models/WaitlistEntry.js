@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+const waitlistEntrySchema = new Schema(
+  {
+    user: { type: String, ref: "User", required: true },
+    room: { type: String, ref: "Room", required: true },
+    checkInDate: { type: Date, required: true },
+    checkOutDate: { type: Date, required: true },
+    adults: { type: Number, default: 1, min: 1 },
+    children: { type: Number, default: 0, min: 0 },
+    status: {
+      type: String,
+      enum: ["waiting", "offered", "booked", "expired", "removed"],
+      default: "waiting",
+    },
+    // Offers go out by email long after the request, so keep the site it came from
+    origin: { type: String, default: "" },
+    offerToken: { type: String, default: null },
+    offerExpiresAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+waitlistEntrySchema.index({ room: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ offerToken: 1 }, { sparse: true });
+
+const WaitlistEntry = mongoose.model("WaitlistEntry", waitlistEntrySchema);
+
+export default WaitlistEntry;
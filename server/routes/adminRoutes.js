@@ -0,0 +1,9 @@
+import express from "express";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { getAuditLogs } from "../controllers/auditController.js";
+
+const adminRouter = express.Router();
+
+adminRouter.get("/audit", protect, requireRole("Admin"), getAuditLogs);
+
+export default adminRouter;
@@ -1,21 +1,29 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
-import { checkAvailabilityAPI, createBooking, getRoomBookings, getOwnerBookings, getAllBookings, releaseBookingRoom, refundBooking, getHotelBookings, getUserBookings, getHotelBookingsAll, generateOrders, stripePayment } from '../controllers/bookingController.js';
+import { protect, requireRole } from '../middleware/authMiddleware.js';
+import { resolveHotelAccess } from '../middleware/hotelMiddleware.js';
+import { checkAvailabilityAPI, quoteBooking, createBooking, getRoomBookings, getOwnerBookings, getAllBookings, releaseBookingRoom, refundBooking, markBookingPaid, updateStayStatus, cancelBooking, modifyBooking, createGroupBooking, findBookingByReference, getHotelBookings, getUserBookings, getHotelBookingsAll, generateOrders, stripePayment } from '../controllers/bookingController.js';
 
 const bookingRouter = express.Router();
 
-bookingRouter.get("/", protect, getAllBookings);
-bookingRouter.get("/owner", protect, getOwnerBookings);
+bookingRouter.get("/", protect, requireRole("Admin"), getAllBookings);
+bookingRouter.get("/owner", protect, resolveHotelAccess("viewBookings"), getOwnerBookings);
 bookingRouter.put("/:id/release", protect, releaseBookingRoom);
-bookingRouter.put("/:id/refund", protect, refundBooking);
+bookingRouter.put("/:id/mark-paid", protect, markBookingPaid);
+bookingRouter.put("/:id/stay-status", protect, updateStayStatus);
+bookingRouter.post("/:id/cancel", protect, cancelBooking);
+bookingRouter.put("/:id/modify", protect, modifyBooking);
+bookingRouter.put("/:id/refund", protect, requireRole("hotelOwner", "Admin"), refundBooking);
 
 bookingRouter.post('/check-availability', checkAvailabilityAPI);
+bookingRouter.post('/quote', quoteBooking);
+bookingRouter.post('/lookup', findBookingByReference);
 bookingRouter.post('/book', protect, createBooking);
+bookingRouter.post('/book-group', protect, createGroupBooking);
 bookingRouter.get('/user', protect, getUserBookings);
-bookingRouter.get('/orders', generateOrders);
+bookingRouter.get('/orders', protect, requireRole("Admin"), generateOrders);
 bookingRouter.get("/room/:roomId", getRoomBookings);
-bookingRouter.get('/hotel', protect, getHotelBookings);
-bookingRouter.get('/hotelAdmin', getHotelBookingsAll);
+bookingRouter.get('/hotel', protect, resolveHotelAccess("viewBookings"), getHotelBookings);
+bookingRouter.get('/hotelAdmin', protect, requireRole("Admin"), getHotelBookingsAll);
 bookingRouter.post('/stripe-payment', protect, stripePayment);
 
 export default bookingRouter;
\ No newline at end of file
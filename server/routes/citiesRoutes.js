@@ -1,13 +1,13 @@
 import express from 'express';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect, requireRole } from '../middleware/authMiddleware.js';
 import { getAllCities, addCity, deleteCity } from '../controllers/citiesController.js';
 
 const citiesRouter = express.Router();
 
 citiesRouter.get('/', protect, getAllCities);
 
-citiesRouter.post('/', protect, addCity);
+citiesRouter.post('/', protect, requireRole('Admin'), addCity);
 
-citiesRouter.delete('/:id', protect, deleteCity);
+citiesRouter.delete('/:id', protect, requireRole('Admin'), deleteCity);
 
 export default citiesRouter;
\ No newline at end of file
@@ -1,6 +1,8 @@
 import express from "express";
 import Contact from "../models/Contact.js";
 import sgMail from "@sendgrid/mail";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { logAudit } from "../controllers/auditController.js";
 
 sgMail.setApiKey(process.env.SENDGRID_API_KEY);
 
@@ -30,7 +32,7 @@ router.post("/", async (req, res) => {
     }
 });
 
-router.get("/", async (req, res) => {
+router.get("/", protect, requireRole("Admin"), async (req, res) => {
     try {
         const contacts = await Contact.find().sort({ createdAt: -1 });
 
@@ -43,7 +45,7 @@ router.get("/", async (req, res) => {
     }
 });
 
-router.post("/reply", async (req, res) => {
+router.post("/reply", protect, requireRole("Admin"), async (req, res) => {
   try {
     const { messageId, reply } = req.body;
 
@@ -84,10 +86,19 @@ router.post("/reply", async (req, res) => {
 `,
     });
 
+    const before = contact.toObject();
     contact.replies.push({ message: reply });
     contact.replied = true;
     await contact.save();
 
+    await logAudit(req, {
+      action: "support.reply",
+      targetType: "Contact",
+      targetId: contact._id,
+      before,
+      after: contact,
+    });
+
     res.json({
       success: true,
       message: "Reply sent and saved",
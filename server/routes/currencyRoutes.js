@@ -0,0 +1,11 @@
+import express from "express";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { getExchangeRates, setExchangeRate, deleteExchangeRate } from "../controllers/currencyController.js";
+
+const currencyRouter = express.Router();
+
+currencyRouter.get("/", getExchangeRates);
+currencyRouter.put("/:currency", protect, requireRole("Admin"), setExchangeRate);
+currencyRouter.delete("/:currency", protect, requireRole("Admin"), deleteExchangeRate);
+
+export default currencyRouter;
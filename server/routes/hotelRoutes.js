@@ -1,21 +1,23 @@
 import express from "express";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
 import upload from "../middleware/uploadMiddleware.js";
 
-import { registerHotel, getAllHotels, getAllAdminHotels, getPending, getAllPending, getPendingHotels, getAllPendingPayments, approvePending, declinePending, toggleRoomAvailability } from "../controllers/hotelController.js";
+import { registerHotel, getAllHotels, getAllAdminHotels, getPending, getAllPending, getPendingHotels, getOwnerHotels, updateHotelSettings, getAllPendingPayments, approvePending, declinePending, toggleRoomAvailability } from "../controllers/hotelController.js";
 
 const hotelRouter = express.Router();
 
 hotelRouter.post("/", upload.array("images", 5), protect, registerHotel);
 hotelRouter.get("/", getAllHotels);
-hotelRouter.get("/admin", getAllAdminHotels);
-hotelRouter.post("/pending/approve/:id", approvePending);
-hotelRouter.get("/pending", getPending);
-hotelRouter.delete("/pending/decline/:id", declinePending);
-hotelRouter.get("/payment", getAllPendingPayments);
-hotelRouter.get("/pending_hotels", getAllPending);
+hotelRouter.get("/admin", protect, requireRole("Admin"), getAllAdminHotels);
+hotelRouter.post("/pending/approve/:id", protect, requireRole("Admin"), approvePending);
+hotelRouter.get("/pending", protect, requireRole("Admin"), getPending);
+hotelRouter.delete("/pending/decline/:id", protect, requireRole("Admin"), declinePending);
+hotelRouter.get("/payment", protect, requireRole("Admin"), getAllPendingPayments);
+hotelRouter.get("/pending_hotels", protect, requireRole("Admin"), getAllPending);
 hotelRouter.get("/owner", protect, getPendingHotels);
-hotelRouter.post("/toggle-availability", protect, toggleRoomAvailability);
+hotelRouter.get("/mine", protect, getOwnerHotels);
+hotelRouter.put("/:id/settings", protect, requireRole("hotelOwner"), updateHotelSettings);
+hotelRouter.post("/toggle-availability", protect, requireRole("Admin"), toggleRoomAvailability);
 
 
 
@@ -0,0 +1,15 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import upload from "../middleware/uploadMiddleware.js";
+import { resolveHotelAccess } from "../middleware/hotelMiddleware.js";
+import { getActiveOffers, getManagedPromotions, createPromotion, updatePromotion, deletePromotion } from "../controllers/promotionController.js";
+
+const promotionRouter = express.Router();
+
+promotionRouter.get("/", getActiveOffers);
+promotionRouter.get("/manage", protect, resolveHotelAccess("editRooms"), getManagedPromotions);
+promotionRouter.post("/manage", upload.single("image"), protect, resolveHotelAccess("editRooms"), createPromotion);
+promotionRouter.put("/manage/:id", upload.single("image"), protect, resolveHotelAccess("editRooms"), updatePromotion);
+promotionRouter.delete("/manage/:id", protect, resolveHotelAccess("editRooms"), deletePromotion);
+
+export default promotionRouter;
@@ -1,16 +1,34 @@
 import express from "express";
 import { protect } from "../middleware/authMiddleware.js";
-import upload from "../middleware/uploadMiddleware.js";
-import { createRoom, getRooms, getAdminRooms, toggleRoomAvailability, getOwnerRooms, getOwnerRoomsDasB, searchAvailableRooms} from "../controllers/roomController.js";
+import upload, { calendarUpload } from "../middleware/uploadMiddleware.js";
+import { resolveHotelAccess } from "../middleware/hotelMiddleware.js";
+import { getBlackouts, createBlackout, deleteBlackout } from "../controllers/blackoutController.js";
+import { getRoomFeed, getRoomCalendars, regenerateFeedToken, addExternalCalendar, uploadCalendarFile, removeExternalCalendar } from "../controllers/calendarController.js";
+import { getRoomRates, updateRoomRates } from "../controllers/rateController.js";
+import { createRoom, getRooms, getAdminRooms, toggleRoomAvailability, getOwnerRooms, getOwnerRoomsDasB, searchAvailableRooms, getRoomAvailability } from "../controllers/roomController.js";
 
 const roomRouter = express.Router();
 
-roomRouter.post("/", upload.array("images", 5), protect, createRoom);
+roomRouter.post("/", upload.array("images", 5), protect, resolveHotelAccess("editRooms"), createRoom);
 roomRouter.get("/", getRooms);
 roomRouter.post("/search", searchAvailableRooms);
 roomRouter.get("/admin", getAdminRooms);
-roomRouter.get("/owner", protect, getOwnerRooms);
-roomRouter.get("/owner/dasb", protect, getOwnerRoomsDasB);
+roomRouter.get("/owner", protect, resolveHotelAccess("editRooms"), getOwnerRooms);
+roomRouter.get("/owner/dasb", protect, resolveHotelAccess("editRooms"), getOwnerRoomsDasB);
 roomRouter.post("/toggle-availability", protect, toggleRoomAvailability);
+roomRouter.get("/blackouts", protect, resolveHotelAccess("editRooms"), getBlackouts);
+roomRouter.post("/blackouts", protect, resolveHotelAccess("editRooms"), createBlackout);
+roomRouter.delete("/blackouts/:id", protect, deleteBlackout);
+roomRouter.get("/:id/availability", getRoomAvailability);
+roomRouter.get("/:id/rates", protect, getRoomRates);
+roomRouter.put("/:id/rates", protect, updateRoomRates);
+
+// iCal channel sync
+roomRouter.get("/ical/:token.ics", getRoomFeed);
+roomRouter.get("/:id/calendars", protect, getRoomCalendars);
+roomRouter.post("/:id/calendars", protect, addExternalCalendar);
+roomRouter.post("/:id/calendars/upload", calendarUpload.single("file"), protect, uploadCalendarFile);
+roomRouter.post("/:id/calendars/regenerate-token", protect, regenerateFeedToken);
+roomRouter.delete("/:id/calendars/:calendarId", protect, removeExternalCalendar);
 
 export default roomRouter;
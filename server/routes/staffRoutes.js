@@ -0,0 +1,13 @@
+import express from "express";
+import { protect, requireRole } from "../middleware/authMiddleware.js";
+import { inviteStaff, getHotelStaff, updateStaffPermissions, revokeStaff, acceptInvite } from "../controllers/staffController.js";
+
+const staffRouter = express.Router();
+
+staffRouter.get("/", protect, requireRole("hotelOwner"), getHotelStaff);
+staffRouter.post("/invite", protect, requireRole("hotelOwner"), inviteStaff);
+staffRouter.put("/:id", protect, requireRole("hotelOwner"), updateStaffPermissions);
+staffRouter.delete("/:id", protect, requireRole("hotelOwner"), revokeStaff);
+staffRouter.post("/accept", protect, acceptInvite);
+
+export default staffRouter;
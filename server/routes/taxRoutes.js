@@ -0,0 +1,12 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { getTaxRules, createTaxRule, toggleTaxRule, deleteTaxRule } from "../controllers/taxController.js";
+
+const taxRouter = express.Router();
+
+taxRouter.get("/", protect, getTaxRules);
+taxRouter.post("/", protect, createTaxRule);
+taxRouter.put("/:id/toggle", protect, toggleTaxRule);
+taxRouter.delete("/:id", protect, deleteTaxRule);
+
+export default taxRouter;
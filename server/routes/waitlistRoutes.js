@@ -0,0 +1,12 @@
+import express from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import { joinWaitlist, getMyWaitlist, leaveWaitlist, getWaitlistOffer } from "../controllers/waitlistController.js";
+
+const waitlistRouter = express.Router();
+
+waitlistRouter.post("/", protect, joinWaitlist);
+waitlistRouter.get("/mine", protect, getMyWaitlist);
+waitlistRouter.get("/offer/:token", protect, getWaitlistOffer);
+waitlistRouter.delete("/:id", protect, leaveWaitlist);
+
+export default waitlistRouter;
@@ -10,12 +10,25 @@ import roomRouter from "./routes/roomRoutes.js";
 import contactRoutes from "./routes/contactRoutes.js";
 import bookingRouter from "./routes/bookingRoutes.js";
 import citiesRouter from "./routes/citiesRoutes.js";
+import adminRouter from "./routes/adminRoutes.js";
+import staffRouter from "./routes/staffRoutes.js";
+import waitlistRouter from "./routes/waitlistRoutes.js";
+import promotionRouter from "./routes/promotionRoutes.js";
+import taxRouter from "./routes/taxRoutes.js";
+import currencyRouter from "./routes/currencyRoutes.js";
 import clerkWebhooks from "./controllers/clerkWebhooks.js";
 import connectCloudinary from "./configs/cloudinary.js";
 import { stripeWebhooks } from "./controllers/stripeWebhooks.js";
+import { startHoldExpiryJob } from "./jobs/expireHolds.js";
+import { startWaitlistOfferJob } from "./jobs/waitlistOffers.js";
+import { startCalendarSyncJob } from "./jobs/syncCalendars.js";
+import { uploadErrors } from "./middleware/uploadMiddleware.js";
 
 connectDB();
 connectCloudinary();
+startHoldExpiryJob();
+startWaitlistOfferJob();
+startCalendarSyncJob();
 
 const app = express();
 app.use(cors());
@@ -35,6 +48,13 @@ app.use("/api/contact", contactRoutes);
 app.use("/api/rooms", roomRouter);
 app.use("/api/bookings", bookingRouter);
 app.use("/api/cities", citiesRouter);
+app.use("/api/admin", adminRouter);
+app.use("/api/staff", staffRouter);
+app.use("/api/waitlist", waitlistRouter);
+app.use("/api/promotions", promotionRouter);
+app.use("/api/taxes", taxRouter);
+app.use("/api/currencies", currencyRouter);
+app.use(uploadErrors);
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
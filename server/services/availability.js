@@ -0,0 +1,126 @@
+import Booking from "../models/Booking.js";
+import CalendarBlock from "../models/CalendarBlock.js";
+import Blackout from "../models/Blackout.js";
+import Room from "../models/Room.js";
+import { toNight, stayNights } from "./inventory.js";
+
+// Stays are half-open night intervals [check-in, check-out): the check-out
+// day is free for the next guest to check in. Dates imported from external
+// calendars and owner blackouts block a room the same way bookings do.
+// A Room is a room type with `units` identical physical rooms, so it stays
+// bookable until every unit is taken for a night.
+
+// Bookings in these states no longer hold their room
+export const RELEASED_STATUSES = ["cancelled", "refunded", "no_show"];
+
+// Bookings that may still be paid for: not released, and not an unpaid hold
+// whose payment window has passed but that the expiry sweep hasn't reached yet
+export const payableBookingFilter = () => ({
+  status: { $nin: RELEASED_STATUSES },
+  $or: [
+    { paymentStatus: "paid" },
+    { holdExpiresAt: null },
+    { holdExpiresAt: { $gt: new Date() } },
+  ],
+});
+
+const overlappingDates = (checkInDate, checkOutDate) => ({
+  checkInDate: { $lt: toNight(checkOutDate) },
+  checkOutDate: { $gt: toNight(checkInDate) },
+});
+
+const overlapping = (checkInDate, checkOutDate) => ({
+  status: { $nin: RELEASED_STATUSES },
+  ...overlappingDates(checkInDate, checkOutDate),
+});
+
+// Blackouts on any of `rooms`, or on their whole hotel, overlapping the range
+const findBlackouts = async (rooms, from, to) => {
+  const blackouts = await Blackout.find({
+    $or: [
+      { room: { $in: rooms.map((r) => r._id.toString()) } },
+      { room: null, hotel: { $in: rooms.map((r) => r.hotel) } },
+    ],
+    startDate: { $lt: toNight(to) },
+    endDate: { $gt: toNight(from) },
+  });
+
+  // Spread hotel-wide blackouts onto each affected room
+  return rooms.flatMap((room) =>
+    blackouts
+      .filter((b) => b.room ? b.room === room._id.toString() : b.hotel === room.hotel)
+      .map((b) => ({ room: room._id.toString(), checkInDate: b.startDate, checkOutDate: b.endDate }))
+  );
+};
+
+// Units of each room type taken per night in [from, to), as
+// room id -> { units, taken: Map(YYYY-MM-DD -> count) }. Every booking and
+// imported block takes one unit; a blackout takes all of them.
+const nightlyLoad = async (roomIds, from, to, excludeBooking) => {
+  const ids = roomIds.map(String);
+  const bookingFilter = { room: { $in: ids }, ...overlapping(from, to) };
+  if (excludeBooking) bookingFilter._id = { $ne: excludeBooking };
+
+  const rooms = await Room.find({ _id: { $in: ids } }).select("hotel units");
+  const [bookings, blocks, blackouts] = await Promise.all([
+    Booking.find(bookingFilter).select("room checkInDate checkOutDate"),
+    CalendarBlock.find({ room: { $in: ids }, ...overlappingDates(from, to) }).select("room checkInDate checkOutDate"),
+    findBlackouts(rooms, from, to),
+  ]);
+
+  const start = toNight(from).getTime();
+  const end = toNight(to).getTime();
+  const load = new Map(rooms.map((r) => [r._id.toString(), { units: r.units ?? 1, taken: new Map() }]));
+
+  const take = (entries, count) => entries.forEach((b) => {
+    const { taken } = load.get(String(b.room));
+    stayNights(b.checkInDate, b.checkOutDate).forEach((night) => {
+      const t = night.getTime();
+      if (t < start || t >= end) return;
+      const key = night.toISOString().slice(0, 10);
+      taken.set(key, (taken.get(key) || 0) + count);
+    });
+  });
+  take([...bookings, ...blocks], 1);
+  take(blackouts, Infinity);
+
+  return load;
+};
+
+// Fewest units of each room free on any night of the stay, as room id -> count.
+// A stay with no nights, e.g. check-out on or before check-in, leaves none.
+export const countUnitsLeft = async (roomIds, checkInDate, checkOutDate, excludeBooking) => {
+  const left = new Map(roomIds.map((id) => [String(id), 0]));
+  const nights = stayNights(checkInDate, checkOutDate).map((n) => n.toISOString().slice(0, 10));
+  if (!nights.length) return left;
+
+  const load = await nightlyLoad(roomIds, checkInDate, checkOutDate, excludeBooking);
+  load.forEach(({ units, taken }, id) => {
+    const free = Math.min(...nights.map((key) => units - (taken.get(key) || 0)));
+    left.set(id, Math.max(free, 0));
+  });
+  return left;
+};
+
+export const getUnitsLeft = async ({ room, checkInDate, checkOutDate, excludeBooking }) =>
+  (await countUnitsLeft([room], checkInDate, checkOutDate, excludeBooking)).get(String(room));
+
+// `excludeBooking` ignores that booking's own stay, e.g. when modifying it
+export const isRoomAvailable = async (stay) => (await getUnitsLeft(stay)) > 0;
+
+// Ids of the given rooms with no unit free for the whole stay
+export const findBookedRoomIds = async (roomIds, checkInDate, checkOutDate) => {
+  const left = await countUnitsLeft(roomIds, checkInDate, checkOutDate);
+  return new Set([...left].filter(([, count]) => count <= 0).map(([id]) => id));
+};
+
+// Nights between `from` and `to` with every unit taken, as YYYY-MM-DD strings
+export const getBookedNights = async ({ room, from, to }) => {
+  const load = (await nightlyLoad([room], from, to)).get(String(room));
+  if (!load) return [];
+
+  return [...load.taken]
+    .filter(([, count]) => count >= load.units)
+    .map(([key]) => key)
+    .sort();
+};
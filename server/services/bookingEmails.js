@@ -0,0 +1,32 @@
+import sgMail from "@sendgrid/mail";
+import { bookingReference } from "../models/Booking.js";
+import { formatMoney } from "./currency.js";
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// `booking.user` must be populated
+export const sendCancellationEmail = async (booking, reason, refundAmount) => {
+  try {
+    await sgMail.send({
+      to: booking.user.email,
+      from: `VacayStay <${process.env.SENDGRID_SENDER}>`,
+      subject: "Your Booking Has Been Cancelled",
+      html: `
+        <h2>Booking Cancelled</h2>
+        <p>Hello ${booking.user.username},</p>
+        <p>${reason || "Your booking has been successfully cancelled."}</p>
+        <ul>
+          <li><b>Booking Reference:</b> ${bookingReference(booking)}</li>
+          <li><b>Status:</b> Cancelled</li>
+          ${refundAmount ? `<li><b>Refund:</b> ${formatMoney(refundAmount, booking.currency)}</li>` : ""}
+        </ul>
+        <p>If this was a mistake, you can make a new booking anytime.</p>
+      `,
+    });
+  } catch (emailError) {
+    console.error(
+      "Cancellation email failed:",
+      emailError.response?.body?.errors || emailError.message
+    );
+  }
+};
@@ -0,0 +1,165 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import CalendarBlock from "../models/CalendarBlock.js";
+import Room from "../models/Room.js";
+import { parseIcs } from "./ical.js";
+import { toNight } from "./inventory.js";
+
+const FETCH_TIMEOUT_MS = 15 * 1000;
+export const MAX_CALENDAR_BYTES = 2 * 1024 * 1024;
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local (cloud metadata endpoints), shared, multicast
+// and reserved ranges. Owners choose calendar URLs, so the server must never
+// be pointed at its own network through one.
+const internalAddresses = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, "ipv4"));
+[
+  ["::", 127],
+  ["::ffff:0:0", 96],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) => internalAddresses.addSubnet(address, prefix, "ipv6"));
+
+const isInternalAddress = (address) =>
+  internalAddresses.check(address, net.isIPv4(address) ? "ipv4" : "ipv6");
+
+// dns.lookup that refuses internal addresses. It runs as each connection is
+// made, so redirects and DNS answers that change after a check are covered.
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    if (addresses.some((a) => isInternalAddress(a.address)))
+      return callback(new Error(`${hostname} is not a public address`));
+
+    callback(null, address, family);
+  });
+
+const get = (url, signal) =>
+  new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    client.get(url, { lookup: publicLookup, signal }, resolve).on("error", reject);
+  });
+
+const readBody = async (response) => {
+  if (Number(response.headers["content-length"]) > MAX_CALENDAR_BYTES) {
+    response.destroy();
+    throw new Error("Calendar file is too large");
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_CALENDAR_BYTES) {
+      response.destroy();
+      throw new Error("Calendar file is too large");
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+};
+
+// Downloads an external calendar from a public http(s) address, following a
+// few redirects, within a time and size limit
+export const fetchCalendar = async (address) => {
+  const signal = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let url = new URL(address);
+
+  for (let redirects = 0; ; redirects++) {
+    if (!["http:", "https:"].includes(url.protocol))
+      throw new Error("Calendar URLs must use http or https");
+
+    // IP addresses in the URL are connected to without a lookup
+    const host = url.hostname.replace(/^\[|\]$/g, "");
+    if (net.isIP(host) && isInternalAddress(host))
+      throw new Error(`${host} is not a public address`);
+
+    const response = await get(url, signal);
+    const { statusCode, headers } = response;
+
+    if (statusCode >= 300 && statusCode < 400 && headers.location) {
+      response.resume();
+      if (redirects >= MAX_REDIRECTS) throw new Error("Calendar redirected too many times");
+      url = new URL(headers.location, url);
+      continue;
+    }
+
+    if (statusCode < 200 || statusCode >= 300) {
+      response.resume();
+      throw new Error(`Calendar responded with ${statusCode}`);
+    }
+    return readBody(response);
+  }
+};
+
+// Replaces everything previously imported from `calendar` with the events in `ics`
+export const importCalendar = async (room, calendar, ics) => {
+  const today = toNight(new Date());
+  const events = parseIcs(ics).filter((event) => event.end > today);
+
+  // The new blocks go in before the old ones come out, so the dates are never
+  // left open to bookings between the two
+  const blocks = await CalendarBlock.insertMany(
+    events.map((event) => ({
+      room: String(room._id),
+      calendar: String(calendar._id),
+      uid: event.uid,
+      summary: event.summary,
+      checkInDate: event.start,
+      checkOutDate: event.end,
+    }))
+  );
+  await CalendarBlock.deleteMany({
+    calendar: String(calendar._id),
+    _id: { $nin: blocks.map((b) => b._id) },
+  });
+
+  calendar.lastSyncedAt = new Date();
+  calendar.lastError = null;
+  return events.length;
+};
+
+// Fetches a URL calendar and refreshes its blocks. Failures are recorded on the
+// calendar and keep the previous blocks rather than unblocking dates.
+export const syncCalendar = async (room, calendar) => {
+  try {
+    const ics = await fetchCalendar(calendar.url);
+    if (!ics.includes("BEGIN:VCALENDAR")) throw new Error("Not an iCalendar file");
+
+    return await importCalendar(room, calendar, ics);
+  } catch (error) {
+    calendar.lastError = error.message;
+    return null;
+  }
+};
+
+export const syncAllCalendars = async () => {
+  const rooms = await Room.find({ "externalCalendars.url": { $ne: null } });
+
+  let synced = 0;
+  for (const room of rooms) {
+    for (const calendar of room.externalCalendars.filter((c) => c.url)) {
+      if ((await syncCalendar(room, calendar)) !== null) synced++;
+    }
+    await room.save();
+  }
+
+  return synced;
+};
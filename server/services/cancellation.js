@@ -0,0 +1,44 @@
+import { RELEASED_STATUSES } from "./availability.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cancelling at least `freeUntilHours` before check-in is free; later than
+// that the hotel keeps `penaltyPercent` of what was paid.
+export const CANCELLATION_POLICIES = {
+  flexible: { freeUntilHours: 24, penaltyPercent: 10 },
+  moderate: { freeUntilHours: 5 * 24, penaltyPercent: 50 },
+  strict: { freeUntilHours: 14 * 24, penaltyPercent: 100 },
+};
+
+// What the guest has paid for `booking` and not had back. Older bookings
+// don't track it; for them it's the price, less any balance still owed.
+export const amountPaid = (booking) =>
+  booking.amountPaid ??
+  (booking.paymentStatus === "paid" ? booking.totalPrice - (booking.balanceDue || 0) : 0);
+
+// What cancelling `booking` right now would cost the guest under the hotel's policy
+export const getCancellationTerms = (booking, hotel, now = new Date()) => {
+  const policy = hotel?.cancellationPolicy || "flexible";
+  const { freeUntilHours, penaltyPercent } = CANCELLATION_POLICIES[policy];
+
+  const checkIn = new Date(booking.checkInDate);
+  const freeUntil = new Date(checkIn.getTime() - freeUntilHours * HOUR_MS);
+
+  const cancellable =
+    !RELEASED_STATUSES.includes(booking.status) && now < checkIn;
+  const isFree = now <= freeUntil;
+
+  const paid = amountPaid(booking);
+  const appliedPenaltyPercent = isFree ? 0 : penaltyPercent;
+  const penaltyAmount = Math.round((paid * appliedPenaltyPercent) / 100);
+
+  return {
+    policy,
+    cancellable,
+    freeUntil,
+    isFree,
+    penaltyPercent: appliedPenaltyPercent,
+    penaltyAmount,
+    refundableAmount: paid - penaltyAmount,
+  };
+};
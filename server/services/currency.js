@@ -0,0 +1,49 @@
+import ExchangeRate from "../models/ExchangeRate.js";
+
+// Prices are stored and charged in each hotel's own currency. Exchange rates
+// are given against this one, which is also what older hotels and bookings use.
+export const BASE_CURRENCY = "NGN";
+
+// Stripe amounts are in the smallest unit, which these currencies don't have
+const ZERO_DECIMAL_CURRENCIES = new Set([
+  "BIF", "CLP", "DJF", "GNF", "JPY", "KMF", "KRW", "MGA",
+  "PYG", "RWF", "UGX", "VND", "VUV", "XAF", "XOF", "XPF",
+]);
+
+export const currencyOf = (hotelOrBooking) => hotelOrBooking?.currency || BASE_CURRENCY;
+
+export const toMinorUnits = (amount, currency) =>
+  Math.round(amount * (ZERO_DECIMAL_CURRENCIES.has(currency) ? 1 : 100));
+
+export const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const whole = Number.isInteger(Math.round(amount * 100) / 100);
+  try {
+    return new Intl.NumberFormat("en", {
+      style: "currency",
+      currency,
+      currencyDisplay: "narrowSymbol",
+      ...(whole && { minimumFractionDigits: 0, maximumFractionDigits: 0 }),
+    }).format(amount);
+  } catch {
+    return `${amount} ${currency}`;
+  }
+};
+
+// { NGN: 1, USD: 0.00065, ... }, always including the base currency
+export const getRates = async () => {
+  const rates = { [BASE_CURRENCY]: 1 };
+  (await ExchangeRate.find({})).forEach((r) => {
+    rates[r.currency] = r.rate;
+  });
+  return rates;
+};
+
+export const isKnownCurrency = async (currency) =>
+  currency === BASE_CURRENCY || !!(await ExchangeRate.exists({ currency }));
+
+// `amount` in `from` expressed in `to`, or null without a rate for either
+export const convert = (amount, from, to, rates) => {
+  if (from === to) return amount;
+  if (!rates[from] || !rates[to]) return null;
+  return Math.round((amount / rates[from]) * rates[to] * 100) / 100;
+};
@@ -0,0 +1,66 @@
+import { toNight } from "./inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "20250314" or "20250314T150000Z" -> the calendar night it falls on
+const parseIcsDate = (value) => {
+  const m = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+  if (!m) return null;
+  return toNight(`${m[1]}-${m[2]}-${m[3]}`);
+};
+
+// Minimal RFC 5545 reader: only the VEVENT fields needed to block dates
+export const parseIcs = (text) => {
+  // Long lines are folded onto continuation lines starting with a space or tab
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+  const events = [];
+  let current = null;
+
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") current = {};
+    else if (line === "END:VEVENT") {
+      if (current?.start) {
+        let end = current.end;
+        // All-day events without DTEND, or same-day timed events, take one night
+        if (!end || end <= current.start) end = new Date(current.start.getTime() + DAY_MS);
+        events.push({ uid: current.uid || "", summary: current.summary || "", start: current.start, end });
+      }
+      current = null;
+    } else if (current) {
+      const sep = line.indexOf(":");
+      if (sep === -1) continue;
+      const name = line.slice(0, sep).split(";")[0].toUpperCase();
+      const value = line.slice(sep + 1).trim();
+
+      if (name === "DTSTART") current.start = parseIcsDate(value);
+      else if (name === "DTEND") current.end = parseIcsDate(value);
+      else if (name === "UID") current.uid = value;
+      else if (name === "SUMMARY") current.summary = value.replace(/\\([,;\\])/g, "$1");
+    }
+  }
+
+  return events;
+};
+
+const formatIcsDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, "");
+
+// All-day events for each stay; DTEND is the (exclusive) check-out day
+export const buildIcs = ({ name, events }) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//VacayStay//Room Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    `X-WR-CALNAME:${name}`,
+    ...events.flatMap((event) => [
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${new Date().toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`,
+      `DTSTART;VALUE=DATE:${formatIcsDate(event.start)}`,
+      `DTEND;VALUE=DATE:${formatIcsDate(event.end)}`,
+      `SUMMARY:${event.summary}`,
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ].join("\r\n") + "\r\n";
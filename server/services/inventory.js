@@ -0,0 +1,138 @@
+import Blackout from "../models/Blackout.js";
+import CalendarBlock from "../models/CalendarBlock.js";
+import Room from "../models/Room.js";
+import RoomNight from "../models/RoomNight.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Nights are keyed by their UTC calendar date
+export const toNight = (date) => {
+  const d = new Date(date);
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+};
+
+// Nights of a stay: from the check-in day up to, not including, the check-out day
+export const stayNights = (checkInDate, checkOutDate) => {
+  const nights = [];
+  const end = toNight(checkOutDate).getTime();
+  for (let t = toNight(checkInDate).getTime(); t < end; t += DAY_MS) {
+    nights.push(new Date(t));
+  }
+  return nights;
+};
+
+// Door numbers of a room type's physical units
+export const unitNumbersOf = (room) =>
+  room.unitNumbers?.length
+    ? room.unitNumbers
+    : Array.from({ length: room.units ?? 1 }, (_, i) => String(i + 1));
+
+// Units of `room` bookings may hold on each of `dates`, as time -> count: all
+// of them less one per imported calendar block, and none under a blackout
+const bookableUnitsByDate = async (room, dates) => {
+  const roomData = await Room.findById(room).select("hotel units");
+  const units = roomData?.units ?? 1;
+  if (!dates.length) return { units, free: new Map() };
+
+  const from = dates[0];
+  const to = new Date(dates.at(-1).getTime() + DAY_MS);
+  const [blocks, blackouts] = await Promise.all([
+    CalendarBlock.find({ room: String(room), checkInDate: { $lt: to }, checkOutDate: { $gt: from } }),
+    Blackout.find({
+      $or: [{ room: String(room) }, { room: null, hotel: roomData?.hotel }],
+      startDate: { $lt: to },
+      endDate: { $gt: from },
+    }),
+  ]);
+
+  const covers = (start, end, date) => start <= date && date < end;
+  const free = new Map(
+    dates.map((date) => [
+      date.getTime(),
+      blackouts.some((b) => covers(b.startDate, b.endDate, date))
+        ? 0
+        : units - blocks.filter((b) => covers(b.checkInDate, b.checkOutDate, date)).length,
+    ])
+  );
+  return { units, free };
+};
+
+// Takes the first free unit slot of `room` on `date`, or resolves to null when
+// the `free` units bookings may hold that night are all taken
+const claimSlot = async ({ room, date, booking, units, free }) => {
+  for (let slot = 0; slot < free; slot++) {
+    let night;
+    try {
+      night = await RoomNight.create({ room, date, slot, booking });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      continue;
+    }
+
+    // Blocks and blackouts don't hold slots, so with some units taken by them
+    // the slot index alone doesn't cap the night; recount after claiming
+    if (free < units && (await RoomNight.countDocuments({ room, date })) > free) {
+      await night.deleteOne();
+      return null;
+    }
+    return night;
+  }
+  return null;
+};
+
+const deleteNights = (nights) =>
+  RoomNight.deleteMany({ _id: { $in: nights.map((n) => n._id) } });
+
+// Holds one unit for each of `dates` and resolves to the claimed nights; on
+// failure releases what it took and resolves to null. With `ignoreBlocks` any
+// of the room's units may be held, whatever was imported or blacked out since.
+const claimDates = async ({ room, booking, dates, ignoreBlocks = false }) => {
+  const { units, free } = await bookableUnitsByDate(room, dates);
+  const claimed = [];
+
+  for (const date of dates) {
+    const night = await claimSlot({
+      room: String(room),
+      date,
+      booking: String(booking),
+      units,
+      free: ignoreBlocks ? units : Math.max(free.get(date.getTime()), 0),
+    });
+    if (!night) {
+      await deleteNights(claimed);
+      return null;
+    }
+    claimed.push(night);
+  }
+  return claimed;
+};
+
+// Atomically holds a unit for every night of the stay for `booking`. Resolves
+// to false, holding nothing, when all units are taken on any of those nights.
+export const claimNights = async ({ room, booking, checkInDate, checkOutDate, ignoreBlocks }) =>
+  !!(await claimDates({ room, booking, dates: stayNights(checkInDate, checkOutDate), ignoreBlocks }));
+
+// Claims what `booking` needs for a new room/stay beyond the nights it already
+// holds, resolving to null when a night is taken. Otherwise the booking holds
+// both stays until the change is settled: `commit()` drops the nights it no
+// longer needs, `rollback()` gives back the ones just claimed.
+export const reclaimNights = async ({ room, booking, checkInDate, checkOutDate }) => {
+  const held = await RoomNight.find({ booking: String(booking) });
+  const heldKeys = new Set(held.map((n) => `${n.room}|${n.date.getTime()}`));
+
+  const wanted = stayNights(checkInDate, checkOutDate);
+  const wantedKeys = new Set(wanted.map((date) => `${room}|${date.getTime()}`));
+  const toClaim = wanted.filter((date) => !heldKeys.has(`${room}|${date.getTime()}`));
+
+  const claimed = await claimDates({ room, booking, dates: toClaim });
+  if (!claimed) return null;
+
+  const stale = held.filter((n) => !wantedKeys.has(`${n.room}|${n.date.getTime()}`));
+  return {
+    commit: () => deleteNights(stale),
+    rollback: () => deleteNights(claimed),
+  };
+};
+
+export const releaseNights = (booking) =>
+  RoomNight.deleteMany({ booking: String(booking) });
@@ -0,0 +1,25 @@
+// Rooms hold up to `maxAdults` adults and `maxChildren` children; children
+// may also take any adult places left free.
+
+// Normalises a request's party. Older clients only send `guests`, which is
+// treated as all adults.
+export const partySize = ({ adults, children, guests } = {}) => {
+  const a = adults !== undefined ? +adults : +guests || 1;
+  const c = +children || 0;
+  return { adults: a, children: c, guests: a + c };
+};
+
+export const fitsRoom = (room, { adults, children }) =>
+  adults <= room.maxAdults && adults + children <= room.maxAdults + room.maxChildren;
+
+// Message describing why the party doesn't fit, or null when it does
+export const capacityError = (room, party) => {
+  if (!Number.isInteger(party.adults) || !Number.isInteger(party.children) ||
+      party.adults < 1 || party.children < 0)
+    return "At least one adult is required";
+
+  if (fitsRoom(room, party)) return null;
+
+  return `This room sleeps up to ${room.maxAdults} adult${room.maxAdults === 1 ? "" : "s"}` +
+    (room.maxChildren ? ` and ${room.maxChildren} child${room.maxChildren === 1 ? "" : "ren"}` : "");
+};
@@ -0,0 +1,86 @@
+import TaxRule from "../models/TaxRule.js";
+import { convert, currencyOf, getRates } from "./currency.js";
+import { stayNights } from "./inventory.js";
+
+// Nights starting on these UTC weekdays (Friday, Saturday) use the weekend rate
+export const WEEKEND_NIGHTS = [5, 6];
+
+const overrideFor = (room, night, kind) =>
+  room.rateOverrides?.find(
+    (o) => o.kind === kind && o.startDate <= night && night < o.endDate
+  );
+
+// A special event price beats a seasonal one, which beats the weekend or base rate
+export const nightlyRate = (room, night) => {
+  const override = overrideFor(room, night, "event") || overrideFor(room, night, "season");
+  if (override) return override.price;
+
+  if (room.weekendPrice && WEEKEND_NIGHTS.includes(night.getUTCDay()))
+    return room.weekendPrice;
+
+  return room.pricePerNight;
+};
+
+// Price of each night of the stay, as [{ date: "YYYY-MM-DD", price }]
+export const nightlyRates = (room, checkInDate, checkOutDate) =>
+  stayNights(checkInDate, checkOutDate).map((night) => ({
+    date: night.toISOString().slice(0, 10),
+    price: nightlyRate(room, night),
+  }));
+
+export const stayPrice = (room, checkInDate, checkOutDate) =>
+  nightlyRates(room, checkInDate, checkOutDate).reduce((sum, n) => sum + n.price, 0);
+
+// Active tax and fee rules for a hotel: its own plus its city's. Fixed
+// amounts come back converted to the hotel's currency; a rule with no
+// exchange rate for its currency can't be charged and is left out.
+export const findChargeRules = async (hotel) => {
+  const [rules, rates] = await Promise.all([
+    TaxRule.find({
+      isActive: true,
+      $or: [{ hotel: String(hotel._id) }, { city: hotel.city }],
+    }).sort({ kind: -1, createdAt: 1 }),
+    getRates(),
+  ]);
+
+  return rules.flatMap((rule) => {
+    if (rule.calculation === "percent") return [rule.toObject()];
+
+    const amount = convert(rule.amount, currencyOf(rule), currencyOf(hotel), rates);
+    if (amount === null) {
+      console.error(`No exchange rate to charge ${rule.name} (${currencyOf(rule)}) at hotel ${hotel._id}`);
+      return [];
+    }
+    return [{ ...rule.toObject(), amount }];
+  });
+};
+
+// To the cent, so amounts below the major unit aren't lost
+export const roundMoney = (amount) => Math.round(amount * 100) / 100;
+const sum = (lines) => lines.reduce((total, line) => total + line.amount, 0);
+
+// Itemised price of a stay. Taxes and fees are charged on what is left after
+// the discount; per-night and per-stay amounts are flat.
+export const priceBreakdown = ({ subtotal, discount = 0, nights, rules = [] }) => {
+  const base = subtotal - discount;
+  const line = (rule) => ({
+    name: rule.name,
+    amount:
+      rule.calculation === "percent"
+        ? roundMoney((base * rule.amount) / 100)
+        : rule.calculation === "per_night"
+        ? roundMoney(rule.amount * nights)
+        : rule.amount,
+  });
+
+  const taxes = rules.filter((r) => r.kind === "tax").map(line);
+  const fees = rules.filter((r) => r.kind === "fee").map(line);
+
+  return {
+    subtotal,
+    discount,
+    taxes,
+    fees,
+    total: roundMoney(base + sum(taxes) + sum(fees)),
+  };
+};
@@ -0,0 +1,82 @@
+import Promotion from "../models/Promotion.js";
+import { convert, currencyOf, getRates } from "./currency.js";
+import { roundMoney } from "./pricing.js";
+
+// A booking gets at most one promotion: the biggest discount among the public
+// offers that cover its room and the promo code the guest entered, if any.
+// Validity and usage limits are checked when the booking is made.
+
+const hasUsesLeft = { $or: [{ maxUses: null }, { $expr: { $lt: ["$usedCount", "$maxUses"] } }] };
+
+const liveFilter = (now = new Date()) => ({
+  isActive: true,
+  startsAt: { $lte: now },
+  endsAt: { $gt: now },
+  ...hasUsesLeft,
+});
+
+// Public offers that can be applied right now
+export const findLiveOffers = () => Promotion.find({ ...liveFilter(), code: null });
+
+export const findPromoCode = (code) =>
+  Promotion.findOne({ ...liveFilter(), code: String(code).trim().toUpperCase() });
+
+const idOf = (ref) => String(ref?._id ?? ref);
+
+export const appliesToRoom = (promotion, room) =>
+  (!promotion.hotels.length || promotion.hotels.includes(idOf(room.hotel))) &&
+  (!promotion.rooms.length || promotion.rooms.includes(idOf(room._id)));
+
+// Discount on `amount`, which is in `currency`. Fixed discounts are converted
+// from the promotion's own currency and give nothing without a rate for it.
+export const discountFor = (promotion, amount, currency, rates) => {
+  if (promotion.discountType === "percent")
+    return roundMoney((amount * promotion.discountValue) / 100);
+
+  const value = convert(promotion.discountValue, currencyOf(promotion), currency, rates);
+  return Math.min(value ?? 0, amount);
+};
+
+// The promotion among `candidates` saving the most on `amount` (in
+// `currency`) for `room`
+export const bestPromotion = (candidates, room, amount, currency, rates) => {
+  let best = null;
+  let discount = 0;
+  for (const promotion of candidates) {
+    if (!appliesToRoom(promotion, room)) continue;
+    const saving = discountFor(promotion, amount, currency, rates);
+    if (saving > discount) {
+      best = promotion;
+      discount = saving;
+    }
+  }
+  return { promotion: best, discount };
+};
+
+// Picks the promotion for a new booking at a hotel charging in `currency`.
+// `coded` is the guest's promo code promotion from findPromoCode, when they
+// entered one.
+export const pickPromotion = async ({ room, amount, currency, coded }) => {
+  const [offers, rates] = await Promise.all([findLiveOffers(), getRates()]);
+  return bestPromotion([...offers, ...(coded ? [coded] : [])], room, amount, currency, rates);
+};
+
+// Counts one use. Resolves to false when the usage limit was reached since
+// the promotion was picked.
+export const redeemPromotion = async (promotion) =>
+  !!(await Promotion.findOneAndUpdate(
+    { _id: promotion._id, ...hasUsesLeft },
+    { $inc: { usedCount: 1 } }
+  ));
+
+export const unredeemPromotion = (promotion) =>
+  Promotion.updateOne({ _id: promotion._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+
+// Discount a booking keeps when its stay is re-priced: the promotion it was
+// booked with still applies, even if it has since expired or run out
+export const keptDiscount = async (promotionId, room, amount, currency) => {
+  const promotion = promotionId && (await Promotion.findById(promotionId));
+  return promotion && appliesToRoom(promotion, room)
+    ? discountFor(promotion, amount, currency, await getRates())
+    : 0;
+};
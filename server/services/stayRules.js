@@ -0,0 +1,96 @@
+import { toNight } from "./inventory.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead stays can be booked when neither the room nor its hotel says
+export const DEFAULT_MAX_ADVANCE_DAYS = 365;
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+// The room's own stay rules, falling back field by field to its hotel's and
+// then to the platform defaults. `hotel` defaults to the populated room.hotel.
+export const effectiveStayRules = (room, hotel = room.hotel) => {
+  const own = room.stayRules || {};
+  const inherited = hotel?.stayRules || {};
+  const pick = (key) => own[key] ?? inherited[key] ?? null;
+
+  return {
+    minNights: pick("minNights") ?? 1,
+    maxNights: pick("maxNights"),
+    minLeadDays: pick("minLeadDays") ?? 0,
+    maxAdvanceDays: pick("maxAdvanceDays") ?? DEFAULT_MAX_ADVANCE_DAYS,
+    arrivalDays: [...(own.arrivalDays?.length ? own.arrivalDays : inherited.arrivalDays || [])],
+  };
+};
+
+// Why a stay breaks `rules`, or null when it may be booked. With
+// `sameArrival` (a booking changing only its length) the arrival date is
+// not checked again.
+export const stayRuleError = (rules, checkInDate, checkOutDate, { sameArrival = false } = {}) => {
+  const checkIn = toNight(checkInDate);
+  const nights = Math.round((toNight(checkOutDate) - checkIn) / DAY_MS);
+  const daysAhead = Math.round((checkIn - toNight(new Date())) / DAY_MS);
+
+  if (!sameArrival) {
+    if (daysAhead < 0) return "Check-in cannot be in the past";
+    if (daysAhead < rules.minLeadDays)
+      return `This room must be booked at least ${plural(rules.minLeadDays, "day")} before check-in`;
+    if (daysAhead > rules.maxAdvanceDays)
+      return `This room can only be booked up to ${plural(rules.maxAdvanceDays, "day")} ahead`;
+    if (rules.arrivalDays.length && !rules.arrivalDays.includes(checkIn.getUTCDay()))
+      return `Check-in is only possible on ${rules.arrivalDays.map((d) => WEEKDAYS[d]).join(", ")}`;
+  }
+
+  if (nights < rules.minNights)
+    return `Stays must be at least ${plural(rules.minNights, "night")}`;
+  if (rules.maxNights && nights > rules.maxNights)
+    return `Stays can be at most ${plural(rules.maxNights, "night")}`;
+
+  return null;
+};
+
+// Why effective `rules` could never be met by any stay, or null
+const unbookableError = (rules) => {
+  if (rules.maxNights && rules.maxNights < rules.minNights)
+    return `The maximum stay (${plural(rules.maxNights, "night")}) is shorter than the minimum stay (${plural(rules.minNights, "night")})`;
+  if (rules.maxAdvanceDays < rules.minLeadDays)
+    return `The lead time (${plural(rules.minLeadDays, "day")}) is longer than how far ahead bookings are taken (${plural(rules.maxAdvanceDays, "day")})`;
+  return null;
+};
+
+// Stay rules from an owner's form, or an error message. Blank fields are
+// stored as null so they fall back to the hotel's rules or the defaults.
+// Rules are checked as they would apply: for a room, together with its
+// `hotel`'s; for a hotel, together with each of its `rooms`' own.
+export const readStayRules = (input = {}, { hotel = null, rooms = [] } = {}) => {
+  const count = (value, min) => {
+    if (value === undefined || value === null || value === "") return null;
+    return Number.isInteger(+value) && +value >= min ? +value : NaN;
+  };
+
+  const rules = {
+    minNights: count(input.minNights, 1),
+    maxNights: count(input.maxNights, 1),
+    minLeadDays: count(input.minLeadDays, 0),
+    maxAdvanceDays: count(input.maxAdvanceDays, 1),
+    arrivalDays: [...new Set((input.arrivalDays || []).map(Number))].sort((a, b) => a - b),
+  };
+
+  if ([rules.minNights, rules.maxNights, rules.minLeadDays, rules.maxAdvanceDays].some(Number.isNaN))
+    return { error: "Stay rules must be whole numbers" };
+  if (rules.arrivalDays.some((d) => !Number.isInteger(d) || d < 0 || d > 6))
+    return { error: "Choose arrival days from Sunday to Saturday" };
+
+  const error = unbookableError(effectiveStayRules({ stayRules: rules }, hotel));
+  if (error) return { error };
+
+  const hotelRules = { stayRules: rules };
+  for (const room of rooms) {
+    const roomError = unbookableError(effectiveStayRules(room, hotelRules));
+    if (roomError) return { error: `${room.roomType}: ${roomError}` };
+  }
+
+  return { rules };
+};
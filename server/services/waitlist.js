@@ -0,0 +1,132 @@
+import crypto from "crypto";
+import sgMail from "@sendgrid/mail";
+import Room from "../models/Room.js";
+import WaitlistEntry from "../models/WaitlistEntry.js";
+import { getUnitsLeft } from "./availability.js";
+import { stayNights, toNight } from "./inventory.js";
+
+sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+// How long a waitlisted guest has to book once a room frees up
+export const WAITLIST_OFFER_HOURS = 4;
+
+const overlapping = (checkInDate, checkOutDate) => ({
+  checkInDate: { $lt: toNight(checkOutDate) },
+  checkOutDate: { $gt: toNight(checkInDate) },
+});
+
+// A live offer holds one unit for its guest until it expires. Counts the
+// units held this way on the busiest night of the stay.
+export const countLiveOffers = async ({ room, checkInDate, checkOutDate, excludeUser }) => {
+  const filter = {
+    room: String(room),
+    status: "offered",
+    offerExpiresAt: { $gt: new Date() },
+    ...overlapping(checkInDate, checkOutDate),
+  };
+  if (excludeUser) filter.user = { $ne: excludeUser };
+  const offers = await WaitlistEntry.find(filter).select("checkInDate checkOutDate");
+
+  const start = toNight(checkInDate).getTime();
+  const end = toNight(checkOutDate).getTime();
+  const held = new Map();
+  offers.forEach((offer) =>
+    stayNights(offer.checkInDate, offer.checkOutDate)
+      .map((night) => night.getTime())
+      .filter((t) => t >= start && t < end)
+      .forEach((t) => held.set(t, (held.get(t) || 0) + 1))
+  );
+  return Math.max(0, ...held.values());
+};
+
+// Units free for the stay, and how many of those are left to book once live
+// offers to other waitlisted guests (all of them without `excludeUser`) are
+// set aside
+export const getBookableUnits = async ({ excludeUser, ...stay }) => {
+  const [unitsLeft, offered] = await Promise.all([
+    getUnitsLeft(stay),
+    countLiveOffers({ ...stay, excludeUser }),
+  ]);
+  return { unitsLeft, bookable: Math.max(unitsLeft - offered, 0) };
+};
+
+const sendOffer = async (entry, room) => {
+  try {
+    await sgMail.send({
+      to: entry.user.email,
+      from: `VacayStay <${process.env.SENDGRID_SENDER}>`,
+      subject: "Good News - Your Waitlisted Room Is Available",
+      html: `
+        <h2>Your Room Is Available</h2>
+        <p>Hello ${entry.user.username},</p>
+        <p>The ${room.roomType} you were waiting for is now free for your dates.</p>
+        <ul>
+          <li><b>Check-in:</b> ${entry.checkInDate.toDateString()}</li>
+          <li><b>Check-out:</b> ${entry.checkOutDate.toDateString()}</li>
+        </ul>
+        <p><a href="${entry.origin}/rooms/${room._id}?waitlist=${entry.offerToken}">Book now</a></p>
+        <p>This link is reserved for you until ${entry.offerExpiresAt.toUTCString()}.</p>
+      `,
+    });
+  } catch (emailError) {
+    console.error(
+      "Waitlist email failed:",
+      emailError.response?.body?.errors || emailError.message
+    );
+  }
+};
+
+// Called whenever nights of `room` are freed. Waiting guests whose dates touch
+// the freed range are offered the room in the order they joined, skipping
+// anyone whose stay is still blocked or already promised to someone ahead.
+export const notifyWaitlist = async ({ room, checkInDate, checkOutDate }) => {
+  try {
+    const entries = await WaitlistEntry.find({
+      room: String(room),
+      status: "waiting",
+      ...overlapping(checkInDate, checkOutDate),
+    })
+      .populate("user")
+      .sort({ createdAt: 1 });
+    if (!entries.length) return;
+
+    const roomData = await Room.findById(room);
+
+    for (const entry of entries) {
+      const stay = { room, checkInDate: entry.checkInDate, checkOutDate: entry.checkOutDate };
+      if (!(await getBookableUnits(stay)).bookable) continue;
+
+      entry.status = "offered";
+      entry.offerToken = crypto.randomBytes(24).toString("hex");
+      entry.offerExpiresAt = new Date(Date.now() + WAITLIST_OFFER_HOURS * 3600 * 1000);
+      await entry.save();
+
+      await sendOffer(entry, roomData);
+    }
+  } catch (error) {
+    console.error("Waitlist notification failed:", error.message);
+  }
+};
+
+// Lapsed offers drop out and their nights go to the next guest in line
+export const expireWaitlistOffers = async () => {
+  const lapsed = await WaitlistEntry.find({
+    status: "offered",
+    offerExpiresAt: { $lte: new Date() },
+  });
+
+  for (const entry of lapsed) {
+    entry.status = "expired";
+    entry.offerToken = null;
+    await entry.save();
+    await notifyWaitlist(entry);
+  }
+
+  // Stays that have started can no longer be booked
+  await WaitlistEntry.updateMany(
+    { status: "waiting", checkInDate: { $lt: toNight(new Date()) } },
+    { status: "expired" }
+  );
+
+  return lapsed.length;
+};
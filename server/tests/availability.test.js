@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { countUnitsLeft } from "../services/availability.js";
+
+test("a stay with no nights leaves no units, without querying bookings", async () => {
+  const rooms = ["room-a", "room-b"];
+
+  for (const [checkIn, checkOut] of [
+    ["2026-03-10", "2026-03-10"],
+    ["2026-03-12", "2026-03-10"],
+    ["not a date", "2026-03-10"],
+  ]) {
+    const left = await countUnitsLeft(rooms, checkIn, checkOut);
+    assert.deepEqual([...left], [["room-a", 0], ["room-b", 0]]);
+  }
+});
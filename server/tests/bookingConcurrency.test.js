@@ -0,0 +1,179 @@
+import "dotenv/config";
+import { after, before, beforeEach, describe, test } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { MongoMemoryServer } from "mongodb-memory-server";
+import mongoose from "mongoose";
+
+// Runs against a real MongoDB, since the unique RoomNight index is what is
+// under test: TEST_MONGODB_URI when set, otherwise an in-process server. A
+// throwaway database is created on it and dropped afterwards.
+let memoryServer, unavailable;
+let uri = process.env.TEST_MONGODB_URI?.replace(/\/$/, "");
+if (!uri) {
+  try {
+    memoryServer = await MongoMemoryServer.create();
+    uri = memoryServer.getUri().replace(/\/$/, "");
+  } catch (error) {
+    unavailable = `no MongoDB to run against (${error.message})`;
+  }
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dateKey = (daysFromToday) =>
+  new Date(Date.now() + daysFromToday * DAY_MS).toISOString().slice(0, 10);
+
+describe("concurrent bookings", { skip: unavailable }, () => {
+  let server, baseUrl, Booking, Hotel, Room, RoomNight, User;
+
+  before(async () => {
+    // Emails are sent after the response and their failures are only logged
+    process.env.RESEND_API_KEY ||= "re_test";
+
+    ({ default: Booking } = await import("../models/Booking.js"));
+    ({ default: Hotel } = await import("../models/Hotel.js"));
+    ({ default: Room } = await import("../models/Room.js"));
+    ({ default: RoomNight } = await import("../models/RoomNight.js"));
+    ({ default: User } = await import("../models/User.js"));
+    const { default: bookingRouter } = await import("../routes/bookingRoutes.js");
+
+    await mongoose.connect(`${uri}/vacaystay-test-${process.pid}`);
+    await mongoose.connection.syncIndexes();
+
+    // Stands in for Clerk, which sets req.auth from the session token
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.auth = { userId: req.get("x-test-user") };
+      next();
+    });
+    app.use("/api/bookings", bookingRouter);
+
+    server = app.listen(0);
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    server?.close();
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    await memoryServer?.stop();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([Booking, Hotel, Room, RoomNight, User].map((model) => model.deleteMany({})));
+  });
+
+  const createRoom = async (units) => {
+    const owner = await User.create({ _id: "owner", username: "Owner", email: "owner@example.com", role: "hotelOwner" });
+    const hotel = await Hotel.create({
+      name: "Test Hotel",
+      address: "1 Test Street",
+      contact: "0000",
+      city: "Lagos",
+      owner: owner._id,
+    });
+    return Room.create({
+      hotel: hotel._id.toString(),
+      roomType: "Double Bed",
+      pricePerNight: 100,
+      amenities: [],
+      units,
+    });
+  };
+
+  // Fires one booking request per guest at the same moment
+  const bookInParallel = async (room, stays) => {
+    await User.insertMany(stays.map((_, i) => ({ _id: `guest-${i}`, username: `Guest ${i}`, email: `guest${i}@example.com` })));
+
+    return Promise.all(
+      stays.map(async ([checkInDate, checkOutDate], i) => {
+        const response = await fetch(`${baseUrl}/api/bookings/book`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json", "x-test-user": `guest-${i}` },
+          body: JSON.stringify({ room: room._id, checkInDate, checkOutDate, adults: 1 }),
+        });
+        return { status: response.status, body: await response.json() };
+      })
+    );
+  };
+
+  const assertLosersConflict = (results) => {
+    for (const { status, body } of results.filter((r) => !r.body.success)) {
+      assert.equal(status, 409);
+      assert.equal(typeof body.message, "string");
+    }
+  };
+
+  test("only one guest gets the last unit for the same dates", async () => {
+    const room = await createRoom(1);
+    const stay = [dateKey(10), dateKey(12)];
+
+    const results = await bookInParallel(room, Array(8).fill(stay));
+
+    assert.equal(results.filter((r) => r.body.success).length, 1);
+    assertLosersConflict(results);
+    assert.equal(await Booking.countDocuments({ room: room._id }), 1);
+    assert.equal(await RoomNight.countDocuments({ room: room._id.toString() }), 2);
+  });
+
+  test("a room type with several units takes exactly that many bookings", async () => {
+    const room = await createRoom(3);
+    const stay = [dateKey(20), dateKey(23)];
+
+    const results = await bookInParallel(room, Array(8).fill(stay));
+
+    assert.equal(results.filter((r) => r.body.success).length, 3);
+    assertLosersConflict(results);
+    assert.equal(await Booking.countDocuments({ room: room._id }), 3);
+  });
+
+  test("overlapping stays never hold the same room-night twice", async () => {
+    const room = await createRoom(1);
+    const stays = [
+      [dateKey(30), dateKey(33)],
+      [dateKey(31), dateKey(34)],
+      [dateKey(32), dateKey(35)],
+      [dateKey(30), dateKey(31)],
+      [dateKey(33), dateKey(35)],
+    ];
+
+    const results = await bookInParallel(room, stays);
+    assertLosersConflict(results);
+
+    const nights = await RoomNight.find({ room: room._id.toString() });
+    const keys = nights.map((n) => n.date.getTime());
+    assert.equal(new Set(keys).size, keys.length);
+
+    // Every winner holds all of its nights and nothing else is held
+    const bookings = await Booking.find({ room: room._id });
+    const heldNights = bookings.reduce(
+      (sum, b) => sum + (b.checkOutDate - b.checkInDate) / DAY_MS,
+      0
+    );
+    assert.equal(nights.length, heldNights);
+  });
+
+  test("bookings made before room-nights existed are backfilled and not overbooked", async () => {
+    const { backfillRoomNights } = await import("../jobs/backfillRoomNights.js");
+    const room = await createRoom(1);
+    const stay = [dateKey(40), dateKey(42)];
+    await Booking.create({
+      user: "owner",
+      room: room._id,
+      hotel: room.hotel,
+      checkInDate: stay[0],
+      checkOutDate: stay[1],
+      totalPrice: 200,
+      guests: 1,
+    });
+
+    assert.equal(await backfillRoomNights(), 1);
+    assert.equal(await backfillRoomNights(), 0);
+    assert.equal(await RoomNight.countDocuments({ room: room._id.toString() }), 2);
+
+    const results = await bookInParallel(room, Array(4).fill(stay));
+    assert.equal(results.filter((r) => r.body.success).length, 0);
+    assertLosersConflict(results);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { amountPaid, getCancellationTerms } from "../services/cancellation.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const now = new Date("2026-03-01T12:00:00Z");
+const checkInIn = (hours) => new Date(now.getTime() + hours * HOUR_MS);
+
+const paidBooking = (overrides) => ({
+  status: "confirmed",
+  paymentStatus: "paid",
+  totalPrice: 400,
+  amountPaid: 400,
+  checkInDate: checkInIn(10 * 24),
+  ...overrides,
+});
+
+describe("amountPaid", () => {
+  test("is what the booking records once tracked", () => {
+    assert.equal(amountPaid(paidBooking({ amountPaid: 150 })), 150);
+    assert.equal(amountPaid(paidBooking({ amountPaid: 0 })), 0);
+  });
+
+  test("falls back to the price less any balance due on older paid bookings", () => {
+    assert.equal(amountPaid(paidBooking({ amountPaid: null })), 400);
+    assert.equal(amountPaid(paidBooking({ amountPaid: undefined, balanceDue: 50 })), 350);
+  });
+
+  test("is nothing on older unpaid bookings", () => {
+    assert.equal(amountPaid(paidBooking({ amountPaid: null, paymentStatus: "awaiting" })), 0);
+  });
+});
+
+describe("getCancellationTerms", () => {
+  test("refunds everything before the free cancellation deadline", () => {
+    const terms = getCancellationTerms(paidBooking(), { cancellationPolicy: "moderate" }, now);
+
+    assert.equal(terms.cancellable, true);
+    assert.equal(terms.isFree, true);
+    assert.equal(terms.penaltyAmount, 0);
+    assert.equal(terms.refundableAmount, 400);
+    assert.deepEqual(terms.freeUntil, checkInIn(5 * 24));
+  });
+
+  test("keeps the policy's share of what was paid after the deadline", () => {
+    const booking = paidBooking({ checkInDate: checkInIn(48) });
+
+    const moderate = getCancellationTerms(booking, { cancellationPolicy: "moderate" }, now);
+    assert.equal(moderate.isFree, false);
+    assert.equal(moderate.penaltyPercent, 50);
+    assert.equal(moderate.refundableAmount, 200);
+
+    const strict = getCancellationTerms(booking, { cancellationPolicy: "strict" }, now);
+    assert.equal(strict.refundableAmount, 0);
+  });
+
+  test("charges the penalty on what is still paid, not the price", () => {
+    const booking = paidBooking({ checkInDate: checkInIn(12), amountPaid: 250 });
+
+    const terms = getCancellationTerms(booking, { cancellationPolicy: "flexible" }, now);
+    assert.equal(terms.penaltyAmount, 25);
+    assert.equal(terms.refundableAmount, 225);
+  });
+
+  test("uses the flexible policy when the hotel has none", () => {
+    const terms = getCancellationTerms(paidBooking({ checkInDate: checkInIn(12) }), null, now);
+
+    assert.equal(terms.policy, "flexible");
+    assert.equal(terms.penaltyPercent, 10);
+  });
+
+  test("can't cancel once released or checked in", () => {
+    for (const booking of [
+      paidBooking({ status: "cancelled" }),
+      paidBooking({ status: "no_show" }),
+      paidBooking({ checkInDate: checkInIn(-1) }),
+    ]) {
+      assert.equal(getCancellationTerms(booking, { cancellationPolicy: "flexible" }, now).cancellable, false);
+    }
+  });
+});
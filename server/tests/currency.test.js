@@ -0,0 +1,53 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { convert, currencyOf, formatMoney, toMinorUnits } from "../services/currency.js";
+
+const rates = { NGN: 1, USD: 0.00065, EUR: 0.0006 };
+
+describe("convert", () => {
+  test("goes through the base currency and rounds to the cent", () => {
+    assert.equal(convert(10000, "NGN", "USD", rates), 6.5);
+    assert.equal(convert(6.5, "USD", "NGN", rates), 10000);
+    assert.equal(convert(13, "USD", "EUR", rates), 12);
+    assert.equal(convert(1, "NGN", "EUR", rates), 0);
+  });
+
+  test("leaves amounts in the same currency alone", () => {
+    assert.equal(convert(12.345, "GBP", "GBP", rates), 12.345);
+  });
+
+  test("is null without a rate for either currency", () => {
+    assert.equal(convert(100, "GBP", "NGN", rates), null);
+    assert.equal(convert(100, "NGN", "GBP", rates), null);
+  });
+});
+
+describe("formatMoney", () => {
+  test("shows cents only when there are some", () => {
+    assert.equal(formatMoney(12.5, "USD"), "$12.50");
+    assert.equal(formatMoney(12, "USD"), "$12");
+    assert.equal(formatMoney(12.004, "USD"), "$12");
+  });
+
+  test("defaults to the base currency", () => {
+    assert.equal(formatMoney(1500), "₦1,500");
+  });
+
+  test("falls back to the code for currencies Intl rejects", () => {
+    assert.equal(formatMoney(5, "bad!"), "5 bad!");
+  });
+});
+
+describe("toMinorUnits", () => {
+  test("counts cents, except for currencies without them", () => {
+    assert.equal(toMinorUnits(12.34, "USD"), 1234);
+    assert.equal(toMinorUnits(0.1 + 0.2, "USD"), 30);
+    assert.equal(toMinorUnits(1500, "JPY"), 1500);
+  });
+});
+
+test("currencyOf treats hotels and bookings without one as the base currency", () => {
+  assert.equal(currencyOf({ currency: "USD" }), "USD");
+  assert.equal(currencyOf({}), "NGN");
+  assert.equal(currencyOf(null), "NGN");
+});
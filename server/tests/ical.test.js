@@ -0,0 +1,92 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { buildIcs, parseIcs } from "../services/ical.js";
+
+const night = (date) => new Date(`${date}T00:00:00Z`);
+
+describe("parseIcs", () => {
+  test("reads all-day and timed events as the nights they cover", () => {
+    const events = parseIcs(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:abc@airbnb.com",
+        "DTSTART;VALUE=DATE:20260310",
+        "DTEND;VALUE=DATE:20260313",
+        "SUMMARY:Reserved",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "UID:def@booking.com",
+        "DTSTART:20260320T150000Z",
+        "DTEND:20260322T110000Z",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    );
+
+    assert.deepEqual(events, [
+      { uid: "abc@airbnb.com", summary: "Reserved", start: night("2026-03-10"), end: night("2026-03-13") },
+      { uid: "def@booking.com", summary: "", start: night("2026-03-20"), end: night("2026-03-22") },
+    ]);
+  });
+
+  test("gives events without a later end one night", () => {
+    const events = parseIcs(
+      [
+        "BEGIN:VEVENT",
+        "DTSTART;VALUE=DATE:20260401",
+        "END:VEVENT",
+        "BEGIN:VEVENT",
+        "DTSTART:20260405T090000Z",
+        "DTEND:20260405T170000Z",
+        "END:VEVENT",
+      ].join("\n")
+    );
+
+    assert.deepEqual(
+      events.map((e) => [e.start, e.end]),
+      [
+        [night("2026-04-01"), night("2026-04-02")],
+        [night("2026-04-05"), night("2026-04-06")],
+      ]
+    );
+  });
+
+  test("unfolds long lines and unescapes summaries", () => {
+    const [event] = parseIcs(
+      "BEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20260501\r\nSUMMARY:Smith\\, party\r\n  of four\r\nEND:VEVENT\r\n"
+    );
+    assert.equal(event.summary, "Smith, party of four");
+  });
+
+  test("skips events without a start and anything outside events", () => {
+    const events = parseIcs(
+      ["DTSTART:20260101", "BEGIN:VEVENT", "SUMMARY:No dates", "END:VEVENT"].join("\r\n")
+    );
+    assert.deepEqual(events, []);
+  });
+});
+
+describe("buildIcs", () => {
+  const ics = buildIcs({
+    name: "Deluxe Room",
+    events: [{ uid: "b1@vacaystay", summary: "Booked", start: night("2026-06-01"), end: night("2026-06-04") }],
+  });
+
+  test("writes each stay as an all-day event ending on check-out day", () => {
+    const lines = ics.split("\r\n");
+
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("X-WR-CALNAME:Deluxe Room"));
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20260601"));
+    assert.ok(lines.includes("DTEND;VALUE=DATE:20260604"));
+    assert.ok(lines.some((line) => /^DTSTAMP:\d{8}T\d{6}Z$/.test(line)));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  });
+
+  test("reads back as the same stays", () => {
+    assert.deepEqual(parseIcs(ics), [
+      { uid: "b1@vacaystay", summary: "Booked", start: night("2026-06-01"), end: night("2026-06-04") },
+    ]);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { nightlyRates, priceBreakdown, stayPrice } from "../services/pricing.js";
+
+const night = (date) => new Date(`${date}T00:00:00Z`);
+
+// 2026-03-01 is a Sunday, so the 6th and 7th are the weekend nights
+const room = {
+  pricePerNight: 100,
+  weekendPrice: 150,
+  rateOverrides: [
+    { kind: "season", startDate: night("2026-03-10"), endDate: night("2026-03-20"), price: 120 },
+    { kind: "event", startDate: night("2026-03-14"), endDate: night("2026-03-15"), price: 300 },
+  ],
+};
+
+describe("nightlyRates", () => {
+  test("charges the weekend rate on Friday and Saturday nights", () => {
+    assert.deepEqual(nightlyRates(room, "2026-03-05", "2026-03-09"), [
+      { date: "2026-03-05", price: 100 },
+      { date: "2026-03-06", price: 150 },
+      { date: "2026-03-07", price: 150 },
+      { date: "2026-03-08", price: 100 },
+    ]);
+  });
+
+  test("lets an event beat a season, and a season beat the weekend", () => {
+    assert.deepEqual(nightlyRates(room, "2026-03-13", "2026-03-16"), [
+      { date: "2026-03-13", price: 120 },
+      { date: "2026-03-14", price: 300 },
+      { date: "2026-03-15", price: 120 },
+    ]);
+  });
+
+  test("uses the base rate when there is no weekend rate", () => {
+    assert.equal(stayPrice({ pricePerNight: 80 }, "2026-03-06", "2026-03-08"), 160);
+  });
+
+  test("prices no nights for an empty stay", () => {
+    assert.deepEqual(nightlyRates(room, "2026-03-05", "2026-03-05"), []);
+  });
+});
+
+describe("priceBreakdown", () => {
+  const rules = [
+    { kind: "tax", name: "VAT", calculation: "percent", amount: 7.5 },
+    { kind: "fee", name: "City fee", calculation: "per_night", amount: 2.5 },
+    { kind: "fee", name: "Cleaning", calculation: "per_stay", amount: 20 },
+  ];
+
+  test("itemises taxes and fees and totals them", () => {
+    assert.deepEqual(priceBreakdown({ subtotal: 300, nights: 3, rules }), {
+      subtotal: 300,
+      discount: 0,
+      taxes: [{ name: "VAT", amount: 22.5 }],
+      fees: [
+        { name: "City fee", amount: 7.5 },
+        { name: "Cleaning", amount: 20 },
+      ],
+      total: 350,
+    });
+  });
+
+  test("charges percentages on the price after the discount", () => {
+    const breakdown = priceBreakdown({ subtotal: 300, discount: 100, nights: 3, rules });
+
+    assert.deepEqual(breakdown.taxes, [{ name: "VAT", amount: 15 }]);
+    assert.equal(breakdown.total, 242.5);
+  });
+
+  test("rounds each line and the total to the cent", () => {
+    const breakdown = priceBreakdown({
+      subtotal: 99.99,
+      nights: 1,
+      rules: [{ kind: "tax", name: "VAT", calculation: "percent", amount: 7.5 }],
+    });
+
+    assert.deepEqual(breakdown.taxes, [{ name: "VAT", amount: 7.5 }]);
+    assert.equal(breakdown.total, 107.49);
+  });
+
+  test("is just the subtotal without rules", () => {
+    assert.deepEqual(priceBreakdown({ subtotal: 200, nights: 2 }), {
+      subtotal: 200,
+      discount: 0,
+      taxes: [],
+      fees: [],
+      total: 200,
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, test } from "node:test";
+import assert from "node:assert/strict";
+import { effectiveStayRules, readStayRules, stayRuleError } from "../services/stayRules.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const today = new Date(new Date().toISOString().slice(0, 10));
+const daysFromToday = (days) => new Date(today.getTime() + days * DAY_MS);
+
+const defaults = effectiveStayRules({});
+const rules = (overrides) => ({ ...defaults, ...overrides });
+
+describe("effectiveStayRules", () => {
+  test("falls back field by field to the hotel's rules, then the defaults", () => {
+    const room = {
+      stayRules: { minNights: 3, maxNights: null, arrivalDays: [] },
+      hotel: { stayRules: { minNights: 2, maxNights: 14, minLeadDays: 1, arrivalDays: [5, 6] } },
+    };
+
+    assert.deepEqual(effectiveStayRules(room), {
+      minNights: 3,
+      maxNights: 14,
+      minLeadDays: 1,
+      maxAdvanceDays: 365,
+      arrivalDays: [5, 6],
+    });
+  });
+
+  test("lets a room's arrival days replace its hotel's", () => {
+    const room = { stayRules: { arrivalDays: [1] } };
+    assert.deepEqual(effectiveStayRules(room, { stayRules: { arrivalDays: [5, 6] } }).arrivalDays, [1]);
+  });
+});
+
+describe("stayRuleError", () => {
+  test("accepts a stay within the rules", () => {
+    assert.equal(stayRuleError(defaults, daysFromToday(3), daysFromToday(5)), null);
+  });
+
+  test("rejects a check-in in the past before the lead time", () => {
+    const error = stayRuleError(rules({ minLeadDays: 2 }), daysFromToday(-1), daysFromToday(2));
+    assert.equal(error, "Check-in cannot be in the past");
+  });
+
+  test("enforces the lead time and the advance window", () => {
+    assert.match(stayRuleError(rules({ minLeadDays: 2 }), daysFromToday(1), daysFromToday(3)), /at least 2 days before/);
+    assert.match(stayRuleError(rules({ maxAdvanceDays: 30 }), daysFromToday(31), daysFromToday(33)), /up to 30 days ahead/);
+  });
+
+  test("enforces arrival days", () => {
+    const checkIn = daysFromToday(7);
+    const otherDay = (checkIn.getUTCDay() + 1) % 7;
+
+    assert.match(stayRuleError(rules({ arrivalDays: [otherDay] }), checkIn, daysFromToday(9)), /^Check-in is only possible on/);
+    assert.equal(stayRuleError(rules({ arrivalDays: [checkIn.getUTCDay()] }), checkIn, daysFromToday(9)), null);
+  });
+
+  test("enforces the minimum and maximum stay", () => {
+    assert.equal(stayRuleError(rules({ minNights: 3 }), daysFromToday(5), daysFromToday(7)), "Stays must be at least 3 nights");
+    assert.equal(stayRuleError(rules({ maxNights: 1 }), daysFromToday(5), daysFromToday(7)), "Stays can be at most 1 night");
+  });
+
+  test("doesn't check the arrival again when only the length changes", () => {
+    const strict = rules({ minLeadDays: 5, arrivalDays: [(today.getUTCDay() + 1) % 7], minNights: 2 });
+
+    assert.equal(stayRuleError(strict, today, daysFromToday(2), { sameArrival: true }), null);
+    assert.match(stayRuleError(strict, today, daysFromToday(1), { sameArrival: true }), /at least 2 nights/);
+  });
+});
+
+describe("readStayRules", () => {
+  test("stores blank fields as null and sorts arrival days", () => {
+    assert.deepEqual(readStayRules({ minNights: "2", maxNights: "", arrivalDays: ["6", "5", "6"] }), {
+      rules: { minNights: 2, maxNights: null, minLeadDays: null, maxAdvanceDays: null, arrivalDays: [5, 6] },
+    });
+  });
+
+  test("rejects fractions, values below the minimum and unknown weekdays", () => {
+    assert.equal(readStayRules({ minNights: "1.5" }).error, "Stay rules must be whole numbers");
+    assert.equal(readStayRules({ minNights: "0" }).error, "Stay rules must be whole numbers");
+    assert.equal(readStayRules({ arrivalDays: [7] }).error, "Choose arrival days from Sunday to Saturday");
+  });
+
+  test("rejects rules no stay could satisfy", () => {
+    assert.match(readStayRules({ minNights: 5, maxNights: 3 }).error, /maximum stay/);
+    assert.match(readStayRules({ minLeadDays: 400 }).error, /lead time/);
+  });
+
+  test("checks a room's rules together with its hotel's", () => {
+    const hotel = { stayRules: { minNights: 7 } };
+    assert.match(readStayRules({ maxNights: 5 }, { hotel }).error, /maximum stay/);
+  });
+
+  test("checks a hotel's rules together with each room's own", () => {
+    const rooms = [{ roomType: "Suite", stayRules: { maxNights: 3 } }];
+    assert.match(readStayRules({ minNights: 4 }, { rooms }).error, /^Suite: /);
+  });
+});